@@ -1,4 +1,11 @@
-const fs = require('fs').promises;
+const fsSync = require('fs');
+const fs = fsSync.promises;
+const path = require('path');
+const crypto = require('crypto');
+const { getValueAtPath } = require('./aiJsonPath');
+const { decodeBuffer, preprocessRecords, resolvePreprocessOptions } = require('./aiTextPreprocessor');
+const { createPathMatcher, globToRegExp, toPosixPath } = require('./aiGlobMatcher');
+const { mapWithConcurrency } = require('./aiConcurrency');
 
 /**
  * @module aIFileIntegrator
@@ -6,6 +13,27 @@ const fs = require('fs').promises;
  *              (e.g., preparing text content for sentiment analysis).
  */
 
+/**
+ * Maps file extensions to the record formats understood by the integrator.
+ * @type {Object<string, string>}
+ */
+const FORMAT_BY_EXTENSION = {
+    '.csv': 'csv',
+    '.tsv': 'csv',
+    '.json': 'json',
+    '.jsonl': 'jsonl',
+    '.ndjson': 'jsonl',
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.txt': 'text',
+};
+
+/**
+ * Field names probed (case-insensitively) when no `textField` option is given.
+ * @type {string[]}
+ */
+const DEFAULT_TEXT_FIELDS = ['text', 'review', 'comment', 'body', 'content', 'message', 'feedback'];
+
 /**
  * Reads the content of a specified text file.
  * @param {string} filePath - The absolute or relative path to the text file.
@@ -22,22 +50,773 @@ async function readTextFileContent(filePath) {
     }
 }
 
+/**
+ * Reads a file as raw bytes and decodes it after detecting its encoding (BOM, UTF-16, UTF-8 or Latin-1).
+ * @param {string} filePath - The path to the file.
+ * @param {Object} decodeOptions - Options of the decode stage (see aiTextPreprocessor.decodeBuffer).
+ * @returns {Promise<{text: string, report: Object}>} The decoded text and the decode stage report.
+ * @throws {Error} If the file cannot be read.
+ */
+async function _readDecodedFileContent(filePath, decodeOptions) {
+    let buffer;
+    try {
+        buffer = await fs.readFile(filePath);
+    } catch (error) {
+        throw new Error(`Failed to read file content from ${filePath}`, { cause: error });
+    }
+    return decodeBuffer(buffer, decodeOptions);
+}
+
+/**
+ * Detects the record format of a file, first from its extension and then by sniffing the content.
+ * @param {string} filePath - The path of the file (used for its extension).
+ * @param {string} [content=''] - The file content, used when the extension is not conclusive.
+ * @returns {'csv'|'json'|'jsonl'|'markdown'|'text'} The detected format.
+ */
+function detectFileFormat(filePath, content = '') {
+    const byExtension = FORMAT_BY_EXTENSION[path.extname(filePath).toLowerCase()];
+    if (byExtension) {
+        return byExtension;
+    }
+
+    const trimmed = content.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        try {
+            JSON.parse(trimmed);
+            return 'json';
+        } catch (error) {
+            // Not a single JSON document; every line may still be one (NDJSON).
+            const lines = trimmed.split(/\r?\n/).filter(line => line.trim() !== '');
+            if (lines.every(line => _isJsonLine(line))) {
+                return 'jsonl';
+            }
+        }
+    }
+    return 'text';
+}
+
+/**
+ * Checks whether a single line holds a JSON value.
+ * @param {string} line - The line to check.
+ * @returns {boolean} True if the line parses as JSON.
+ */
+function _isJsonLine(line) {
+    try {
+        JSON.parse(line);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Parses CSV content, handling quoted fields, escaped quotes (`""`) and line breaks inside quotes.
+ * @param {string} content - The raw CSV text.
+ * @param {Object} [options={}] - Parser options.
+ * @param {string} [options.delimiter=','] - The field delimiter.
+ * @returns {Array<{values: string[], line: number}>} The parsed rows, each with the 1-based line it starts on.
+ * @throws {Error} If a quoted field is never closed.
+ */
+function parseCsv(content, options = {}) {
+    const delimiter = options.delimiter || ',';
+    const rows = [];
+    let values = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowStartLine = 1;
+    let rowHasContent = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (content[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                if (char === '\n') {
+                    line++;
+                }
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"' && field === '') {
+            inQuotes = true;
+            rowHasContent = true;
+        } else if (char === delimiter) {
+            values.push(field);
+            field = '';
+            rowHasContent = true;
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') {
+                i++;
+            }
+            if (rowHasContent || field !== '') {
+                values.push(field);
+                rows.push({ values, line: rowStartLine });
+            }
+            values = [];
+            field = '';
+            rowHasContent = false;
+            line++;
+            rowStartLine = line;
+        } else {
+            field += char;
+            rowHasContent = true;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error(`Unterminated quoted CSV field starting on line ${rowStartLine}`);
+    }
+    if (rowHasContent || field !== '') {
+        values.push(field);
+        rows.push({ values, line: rowStartLine });
+    }
+    return rows;
+}
+
+/**
+ * Picks the field holding the text to analyze from a list of candidate names.
+ * @param {string[]} names - The available field names.
+ * @returns {string|undefined} The matching field name, if any.
+ */
+function _findDefaultTextField(names) {
+    const lowerCased = names.map(name => String(name).toLowerCase());
+    for (const candidate of DEFAULT_TEXT_FIELDS) {
+        const index = lowerCased.indexOf(candidate);
+        if (index !== -1) {
+            return names[index];
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Builds a normalized text record.
+ * @param {Object} params - Record parameters.
+ * @param {string} params.filePath - The source file.
+ * @param {string} params.format - The detected source format.
+ * @param {*} params.text - The text to analyze (converted to a string).
+ * @param {Object} [params.fields] - The original fields of the record.
+ * @param {number} [params.row] - The 1-based row/element number within the file.
+ * @param {number} [params.line] - The 1-based line number the record starts on.
+ * @param {*} [params.id] - An explicit record id.
+ * @returns {Object} The record: `{ id, text, source: { file, format, row, line }, fields }`.
+ */
+function _createRecord({ filePath, format, text, fields = {}, row, line, id }) {
+    const position = row !== undefined ? row : line;
+    return {
+        id: id !== undefined && id !== null && id !== '' ? String(id) : `${path.basename(filePath)}:${position}`,
+        text: text === undefined || text === null ? '' : String(text),
+        source: { file: filePath, format, row, line },
+        fields,
+    };
+}
+
+/**
+ * Extracts records from CSV content. The first row is treated as the header.
+ * @param {string} filePath - The source file.
+ * @param {string} content - The CSV text.
+ * @param {Object} options - Extraction options (see integrateFileForAI).
+ * @returns {Object[]} The extracted records.
+ */
+function _extractCsvRecords(filePath, content, options) {
+    const delimiter = options.delimiter || (path.extname(filePath).toLowerCase() === '.tsv' ? '\t' : ',');
+    const [header, ...rows] = parseCsv(content, { delimiter });
+    if (!header) {
+        return [];
+    }
+
+    const columns = header.values.map(name => name.trim());
+    const textField = options.textField || _findDefaultTextField(columns);
+    if (!textField || !columns.includes(textField)) {
+        throw new Error(`Text column '${textField || ''}' not found in CSV header of ${filePath}. Available columns: ${columns.join(', ')}`);
+    }
+
+    return rows.map((row, index) => {
+        const fields = {};
+        columns.forEach((column, columnIndex) => {
+            fields[column] = row.values[columnIndex] !== undefined ? row.values[columnIndex] : '';
+        });
+        return _createRecord({
+            filePath,
+            format: 'csv',
+            text: fields[textField],
+            fields,
+            row: index + 1,
+            line: row.line,
+            id: fields[options.idField || 'id'],
+        });
+    });
+}
+
+/**
+ * Converts parsed JSON elements into records.
+ * @param {string} filePath - The source file.
+ * @param {string} format - 'json' or 'jsonl'.
+ * @param {Object} element - The parsed element and its position (`{ value, row, line }`).
+ * @param {Object} options - Extraction options (see integrateFileForAI).
+ * @returns {Object} The extracted record.
+ */
+function _createJsonRecord(filePath, format, { value, row, line }, options) {
+    if (value === null || typeof value !== 'object') {
+        return _createRecord({ filePath, format, text: value, fields: { value }, row, line });
+    }
+
+    const textField = options.textField || _findDefaultTextField(Object.keys(value));
+    if (!textField) {
+        throw new Error(`No text field found for ${format.toUpperCase()} record ${row} in ${filePath}. Use the 'textField' option to specify one.`);
+    }
+    return _createRecord({
+        filePath,
+        format,
+        text: getValueAtPath(value, textField),
+        fields: value,
+        row,
+        line,
+        id: getValueAtPath(value, options.idField || 'id'),
+    });
+}
+
+/**
+ * Extracts records from a JSON document holding an array (optionally nested under `recordsPath`).
+ * @param {string} filePath - The source file.
+ * @param {string} content - The JSON text.
+ * @param {Object} options - Extraction options (see integrateFileForAI).
+ * @returns {Object[]} The extracted records.
+ */
+function _extractJsonRecords(filePath, content, options) {
+    let document;
+    try {
+        document = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Failed to parse JSON content from ${filePath}`, { cause: error });
+    }
+
+    const items = options.recordsPath ? getValueAtPath(document, options.recordsPath) : document;
+    const elements = Array.isArray(items) ? items : [items];
+    return elements.map((value, index) => _createJsonRecord(filePath, 'json', { value, row: index + 1 }, options));
+}
+
+/**
+ * Extracts records from newline-delimited JSON content, one record per non-empty line.
+ * @param {string} filePath - The source file.
+ * @param {string} content - The JSONL text.
+ * @param {Object} options - Extraction options (see integrateFileForAI).
+ * @returns {Object[]} The extracted records.
+ */
+function _extractJsonLinesRecords(filePath, content, options) {
+    const records = [];
+    content.split(/\r?\n/).forEach((lineContent, index) => {
+        if (lineContent.trim() === '') {
+            return;
+        }
+        let value;
+        try {
+            value = JSON.parse(lineContent);
+        } catch (error) {
+            throw new Error(`Failed to parse JSONL line ${index + 1} in ${filePath}`, { cause: error });
+        }
+        records.push(_createJsonRecord(filePath, 'jsonl', { value, row: records.length + 1, line: index + 1 }, options));
+    });
+    return records;
+}
+
+/**
+ * Extracts records from Markdown content: one record per paragraph/block, with the
+ * nearest preceding heading kept as `fields.section`. Fenced code blocks are skipped.
+ * @param {string} filePath - The source file.
+ * @param {string} content - The Markdown text.
+ * @returns {Object[]} The extracted records.
+ */
+function _extractMarkdownRecords(filePath, content) {
+    const records = [];
+    let section = null;
+    let block = [];
+    let blockStartLine = 0;
+    let inFence = false;
+
+    const flushBlock = () => {
+        if (block.length > 0) {
+            records.push(_createRecord({
+                filePath,
+                format: 'markdown',
+                text: block.join('\n'),
+                fields: { section },
+                row: records.length + 1,
+                line: blockStartLine,
+            }));
+        }
+        block = [];
+    };
+
+    content.split(/\r?\n/).forEach((lineContent, index) => {
+        if (/^\s*(```|~~~)/.test(lineContent)) {
+            flushBlock();
+            inFence = !inFence;
+            return;
+        }
+        if (inFence) {
+            return;
+        }
+
+        const heading = lineContent.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            flushBlock();
+            section = heading[1];
+        } else if (lineContent.trim() === '') {
+            flushBlock();
+        } else {
+            if (block.length === 0) {
+                blockStartLine = index + 1;
+            }
+            block.push(lineContent);
+        }
+    });
+    flushBlock();
+    return records;
+}
+
+/**
+ * Extracts the text records of already-read content in the given format.
+ * @param {string} filePath - The source file.
+ * @param {string} content - The file content.
+ * @param {string} format - The record format.
+ * @param {Object} options - Extraction options (see integrateFileForAI).
+ * @returns {Object[]} The extracted records.
+ * @throws {Error} If the format is unsupported or the content cannot be parsed.
+ */
+function _extractRecords(filePath, content, format, options) {
+    switch (format) {
+        case 'csv':
+            return _extractCsvRecords(filePath, content, options);
+        case 'json':
+            return _extractJsonRecords(filePath, content, options);
+        case 'jsonl':
+            return _extractJsonLinesRecords(filePath, content, options);
+        case 'markdown':
+            return _extractMarkdownRecords(filePath, content);
+        case 'text':
+            return [_createRecord({ filePath, format, text: content, line: 1 })];
+        default:
+            throw new Error(`Unsupported format '${format}' requested for ${filePath}`);
+    }
+}
+
+/**
+ * Rough characters-per-token ratio used to translate token budgets into character budgets.
+ * @type {number}
+ */
+const APPROX_CHARS_PER_TOKEN = 4;
+
+/**
+ * Boundary patterns tried in order of preference when closing a chunk.
+ * @type {RegExp[]}
+ */
+const CHUNK_BOUNDARY_PATTERNS = [
+    /\n[ \t]*\n\s*/g, // Paragraph break
+    /[.!?…]+["'”’)\]]*\s+/g, // End of sentence
+    /\s+/g, // Any whitespace
+];
+
+/**
+ * Steps back by one position if the index would split a UTF-16 surrogate pair.
+ * @param {string} text - The text being cut.
+ * @param {number} index - The candidate cut position.
+ * @returns {number} A cut position that keeps surrogate pairs intact.
+ */
+function _avoidSurrogateSplit(text, index) {
+    const code = text.charCodeAt(index - 1);
+    return index > 1 && code >= 0xD800 && code <= 0xDBFF ? index - 1 : index;
+}
+
+/**
+ * Finds where to close the next chunk: the last paragraph break, sentence end or whitespace
+ * within the size budget (preferring them in that order), or a hard cut at `maxChars`.
+ * @param {string} text - The pending text, longer than `maxChars`.
+ * @param {number} maxChars - The maximum chunk length in characters.
+ * @returns {number} The number of characters to put into the chunk.
+ */
+function _findChunkBoundary(text, maxChars) {
+    const window = text.slice(0, maxChars);
+    const minChars = Math.floor(maxChars / 2);
+
+    for (const pattern of CHUNK_BOUNDARY_PATTERNS) {
+        let boundary = -1;
+        for (const match of window.matchAll(pattern)) {
+            const end = match.index + match[0].length;
+            if (end > minChars) {
+                boundary = end;
+            }
+        }
+        if (boundary !== -1) {
+            return boundary;
+        }
+    }
+    return _avoidSurrogateSplit(text, maxChars);
+}
+
+/**
+ * Builds a chunk record from a slice of the pending text, trimming surrounding whitespace
+ * while keeping the character and byte offsets exact.
+ * @param {string} filePath - The source file.
+ * @param {number} index - The 0-based chunk index.
+ * @param {string} slice - The raw chunk text.
+ * @param {number} charOffset - The character offset of `slice` in the source file.
+ * @param {number} byteOffset - The byte offset of `slice` in the source file.
+ * @returns {Object|null} The chunk, or null if the slice is only whitespace.
+ */
+function _createChunk(filePath, index, slice, charOffset, byteOffset) {
+    const text = slice.trim();
+    if (text === '') {
+        return null;
+    }
+    const leading = slice.length - slice.trimStart().length;
+    const end = leading + text.length;
+    return {
+        id: `${path.basename(filePath)}#${index}`,
+        text,
+        approxTokens: Math.ceil(text.length / APPROX_CHARS_PER_TOKEN),
+        source: {
+            file: filePath,
+            format: 'chunk',
+            chunk: index,
+            charStart: charOffset + leading,
+            charEnd: charOffset + end,
+            byteStart: byteOffset + Buffer.byteLength(slice.slice(0, leading), 'utf8'),
+            byteEnd: byteOffset + Buffer.byteLength(slice.slice(0, end), 'utf8'),
+        },
+    };
+}
+
+/**
+ * Streams a UTF-8 text file as a sequence of chunks without loading it into memory.
+ * Chunks break on paragraph or sentence boundaries where possible and carry their
+ * start/end character and byte offsets in the source file (`source.charStart`, `source.byteEnd`, ...),
+ * so results can be traced back to the exact passage.
+ * @param {string} filePath - The path to the text file.
+ * @param {Object} [options={}] - Chunking options.
+ * @param {number} [options.maxChars=4000] - The maximum chunk size in characters.
+ * @param {number} [options.maxTokens] - The maximum chunk size in approximate tokens (overrides maxChars).
+ * @param {number} [options.overlapChars=0] - Characters repeated from the end of the previous chunk.
+ * @param {number} [options.overlapTokens] - Overlap in approximate tokens (overrides overlapChars).
+ * @param {number} [options.highWaterMark=65536] - The read buffer size in bytes.
+ * @returns {AsyncGenerator<Object>} An async iterator of chunk records.
+ * @throws {Error} If the file cannot be read.
+ */
+async function* streamTextChunks(filePath, options = {}) {
+    const maxChars = Math.max(1, options.maxTokens ? options.maxTokens * APPROX_CHARS_PER_TOKEN : (options.maxChars || 4000));
+    const requestedOverlap = options.overlapTokens ? options.overlapTokens * APPROX_CHARS_PER_TOKEN : (options.overlapChars || 0);
+    // Overlap is capped so that every chunk still advances through the file.
+    const overlapChars = Math.min(requestedOverlap, Math.floor(maxChars / 2));
+
+    const stream = fsSync.createReadStream(filePath, { encoding: 'utf8', highWaterMark: options.highWaterMark || 64 * 1024 });
+    let pending = '';
+    let charOffset = 0;
+    let byteOffset = 0;
+    let index = 0;
+
+    // Emits the first `cut` characters of the pending text and keeps the overlap for the next chunk.
+    const takeChunk = (cut) => {
+        const chunk = _createChunk(filePath, index, pending.slice(0, cut), charOffset, byteOffset);
+        let nextStart = cut;
+        if (overlapChars > 0) {
+            // Start the overlap on a word boundary rather than mid-word.
+            const overlapStart = cut - overlapChars;
+            const wordStart = pending.slice(overlapStart, cut).search(/\s\S/);
+            nextStart = _avoidSurrogateSplit(pending, wordStart === -1 ? overlapStart : overlapStart + wordStart + 1);
+        }
+        byteOffset += Buffer.byteLength(pending.slice(0, nextStart), 'utf8');
+        charOffset += nextStart;
+        pending = pending.slice(nextStart);
+        if (chunk) {
+            index++;
+        }
+        return chunk;
+    };
+
+    try {
+        for await (const piece of stream) {
+            pending += piece;
+            while (pending.length > maxChars) {
+                const chunk = takeChunk(_findChunkBoundary(pending, maxChars));
+                if (chunk) {
+                    yield chunk;
+                }
+            }
+        }
+    } catch (error) {
+        throw new Error(`Failed to stream file content from ${filePath}`, { cause: error });
+    } finally {
+        stream.destroy();
+    }
+
+    const lastChunk = _createChunk(filePath, index, pending, charOffset, byteOffset);
+    if (lastChunk) {
+        yield lastChunk;
+    }
+}
+
 /**
  * The primary function to integrate file data for AI analysis.
- * Currently, it reads the content of a text file and returns it directly.
- * Future enhancements could include:
- * - File type detection and specific parsing logic (e.g., CSV, JSON).
- * - Chunking large files into smaller processable units.
- * - Basic text cleaning/preparation before returning.
+ * Detects the file format (CSV, JSON, JSONL/NDJSON, Markdown or plain text) and returns
+ * the list of text records to analyze, each carrying its source metadata.
+ * With `options.stream`, the file is not read into memory; an async iterator of
+ * size-bounded chunks is returned instead (see streamTextChunks).
+ * With `options.preprocess`, the content is decoded and cleaned by the aiTextPreprocessor
+ * pipeline and each record reports what was changed in `record.preprocessing`.
  * @param {string} filePath - The path to the file to be integrated.
- * @returns {Promise<string>} A promise that resolves with the prepared text content for AI.
+ * @param {Object} [options={}] - Integration options.
+ * @param {'auto'|'csv'|'json'|'jsonl'|'markdown'|'text'} [options.format='auto'] - Forces a format instead of detecting it.
+ * @param {string} [options.textField] - The CSV column or JSON path holding the text (e.g. 'review.body').
+ *                                       Defaults to the first common text field found (text, review, comment, ...).
+ * @param {string} [options.idField='id'] - The CSV column or JSON path holding the record id.
+ * @param {string} [options.recordsPath] - For JSON documents, the path of the array holding the records.
+ * @param {string} [options.delimiter] - The CSV delimiter (defaults to ',' or a tab for .tsv files).
+ * @param {boolean} [options.stream=false] - Streams the file as chunks instead of extracting records.
+ *                                           The chunking options of streamTextChunks apply.
+ * @param {boolean|Object} [options.preprocess=false] - Enables the preprocessing pipeline; `true` runs every stage
+ *                                                     with its defaults, an object toggles/configures stages
+ *                                                     (see aiTextPreprocessor.DEFAULT_PREPROCESS_OPTIONS).
+ *                                                     Not applied in streaming mode.
+ * @returns {Promise<Object[]|AsyncGenerator<Object>>} A promise that resolves with the records:
+ *                              `{ id, text, source: { file, format, row, line }, fields }`,
+ *                              or with an async iterator of chunks in streaming mode.
  * @throws {Error} If the file integration fails.
  */
-async function integrateFileForAI(filePath) {
-    // Removed redundant 'await' as readTextFileContent already returns a Promise
-    return readTextFileContent(filePath);
+async function integrateFileForAI(filePath, options = {}) {
+    if (options.stream) {
+        return streamTextChunks(filePath, options);
+    }
+
+    const stages = options.preprocess ? resolvePreprocessOptions(options.preprocess) : null;
+    let content;
+    let decodeReport = [];
+    if (stages && stages.decode) {
+        const decoded = await _readDecodedFileContent(filePath, stages.decode);
+        content = decoded.text;
+        decodeReport = [decoded.report];
+    } else {
+        content = await readTextFileContent(filePath);
+    }
+
+    const format = options.format && options.format !== 'auto' ? options.format : detectFileFormat(filePath, content);
+    const records = _extractRecords(filePath, content, format, options);
+    if (!stages) {
+        return records;
+    }
+    return preprocessRecords(records, options.preprocess, decodeReport).records;
+}
+
+/**
+ * Computes the content hash of a file without loading it into memory.
+ * @param {string} filePath - The path to the file.
+ * @param {string} algorithm - The hash algorithm (e.g. 'sha256').
+ * @returns {Promise<string>} The hex digest.
+ */
+function _hashFile(filePath, algorithm) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash(algorithm);
+        const stream = fsSync.createReadStream(filePath);
+        stream.on('data', chunk => hash.update(chunk));
+        stream.on('end', () => resolve(hash.digest('hex')));
+        stream.on('error', err => reject(err));
+    });
+}
+
+/**
+ * Splits an ingestion target into the directory to walk and the glob (if any) to apply below it.
+ * `exports/**\/*.csv` becomes `{ root: 'exports', pattern: '**\/*.csv' }`; a plain path has no pattern.
+ * @param {string} target - A directory, a file or a glob.
+ * @returns {{root: string, pattern: string|null}} The walk root and relative pattern.
+ */
+function _splitGlobTarget(target) {
+    const segments = toPosixPath(target).split('/');
+    const firstGlob = segments.findIndex(segment => /[*?[{]/.test(segment));
+    if (firstGlob === -1) {
+        return { root: target, pattern: null };
+    }
+    return {
+        root: segments.slice(0, firstGlob).join('/') || '.',
+        pattern: segments.slice(firstGlob).join('/'),
+    };
+}
+
+/**
+ * Recursively lists the files below a directory, pruning ignored directories early.
+ * @param {string} root - The directory to walk.
+ * @param {function(string): boolean} isIgnored - Returns true for relative paths to skip.
+ * @returns {Promise<string[]>} The relative paths of all files found.
+ */
+async function walkDirectory(root, isIgnored) {
+    const files = [];
+    const pendingDirectories = [''];
+    while (pendingDirectories.length > 0) {
+        const relativeDirectory = pendingDirectories.pop();
+        const entries = await fs.readdir(path.join(root, relativeDirectory), { withFileTypes: true });
+        for (const entry of entries) {
+            const relativePath = relativeDirectory ? path.join(relativeDirectory, entry.name) : entry.name;
+            if (isIgnored(relativePath)) {
+                continue;
+            }
+            if (entry.isDirectory()) {
+                pendingDirectories.push(relativePath);
+            } else if (entry.isFile()) {
+                files.push(relativePath);
+            }
+        }
+    }
+    return files;
+}
+
+/**
+ * Resolves ingestion targets (directories, files or globs) into a sorted, de-duplicated file list.
+ * @param {string[]} targets - The targets.
+ * @param {Object} options - Ingestion options (`include`, `exclude`).
+ * @returns {Promise<string[]>} The file paths to ingest.
+ */
+async function _resolveIngestionTargets(targets, options) {
+    const isNotExcluded = createPathMatcher({ ignore: options.exclude });
+    const matchesInclude = createPathMatcher({ include: options.include || [] });
+    const found = new Set();
+
+    for (const target of targets) {
+        const { root, pattern } = _splitGlobTarget(target);
+        const stats = await fs.stat(root);
+        if (stats.isFile()) {
+            found.add(root);
+            continue;
+        }
+
+        // The rest of a glob target is anchored to its root: `exports/*.csv` does not match `exports/sub/b.csv`.
+        // `include` narrows glob targets as it does directories.
+        let isIncluded = matchesInclude;
+        if (pattern) {
+            const regex = globToRegExp(pattern);
+            isIncluded = relativePath => regex.test(toPosixPath(relativePath)) && matchesInclude(relativePath);
+        }
+        const files = await walkDirectory(root, relativePath => !isNotExcluded(relativePath));
+        files.filter(relativePath => isIncluded(relativePath))
+            .forEach(relativePath => found.add(path.join(root, relativePath)));
+    }
+    return [...found].sort();
+}
+
+/**
+ * Ingests every file of one or more directories or globs for AI analysis.
+ * Files are walked and parsed with bounded concurrency. Files with identical content are
+ * ingested once (later copies reference the first by `duplicateOf`), and records whose text
+ * is identical to an earlier record, in any file, are dropped from the returned record list
+ * (records with empty text are all kept).
+ * Files that fail to parse are kept in the manifest with their `error` instead of aborting the batch.
+ * @param {string|string[]} targets - Directories, files or globs (e.g. `exports/**\/*.csv`).
+ * @param {Object} [options={}] - Ingestion options; the options of integrateFileForAI apply to every file.
+ * @param {string[]} [options.include=[]] - Globs a file must match, relative to each walked directory (for glob
+ *        targets, in addition to the target's own pattern).
+ * @param {string[]} [options.exclude=[]] - Globs of files or directories to skip (e.g. `node_modules`, `*.log`).
+ * @param {number} [options.concurrency=4] - The maximum number of files processed at once.
+ * @param {string} [options.hashAlgorithm='sha256'] - The algorithm used for content hashes.
+ * @returns {Promise<Object>} The manifest: `{ files, records, duplicateRecords, stats }`, where each file entry is
+ *                            `{ path, size, mtime, type, hash, recordCount, duplicateOf, error }` and each
+ *                            record carries its text `hash`.
+ * @throws {Error} If a target does not exist or cannot be walked.
+ */
+async function integrateDirectoryForAI(targets, options = {}) {
+    const concurrency = options.concurrency || 4;
+    const hashAlgorithm = options.hashAlgorithm || 'sha256';
+    const fileOptions = { ...options, stream: false };
+
+    let filePaths;
+    try {
+        filePaths = await _resolveIngestionTargets(Array.isArray(targets) ? targets : [targets], options);
+    } catch (error) {
+        throw new Error(`Failed to resolve ingestion targets: ${[].concat(targets).join(', ')}`, { cause: error });
+    }
+
+    // Phase 1: describe and hash every file, then mark content duplicates in a stable (sorted) order.
+    const files = await mapWithConcurrency(filePaths, concurrency, async (filePath) => {
+        const stats = await fs.stat(filePath);
+        return {
+            path: filePath,
+            size: stats.size,
+            mtime: stats.mtime.toISOString(),
+            type: FORMAT_BY_EXTENSION[path.extname(filePath).toLowerCase()] || null,
+            hash: await _hashFile(filePath, hashAlgorithm),
+            recordCount: 0,
+            duplicateOf: null,
+            error: null,
+        };
+    });
+    const firstFileByHash = new Map();
+    for (const file of files) {
+        if (firstFileByHash.has(file.hash)) {
+            file.duplicateOf = firstFileByHash.get(file.hash);
+        } else {
+            firstFileByHash.set(file.hash, file.path);
+        }
+    }
+
+    // Phase 2: extract records from unique files only.
+    const recordsPerFile = await mapWithConcurrency(files, concurrency, async (file) => {
+        if (file.duplicateOf) {
+            return [];
+        }
+        try {
+            const records = await integrateFileForAI(file.path, fileOptions);
+            file.type = records.length > 0 ? records[0].source.format : (file.type || 'text');
+            file.recordCount = records.length;
+            return records;
+        } catch (error) {
+            file.error = error.cause ? `${error.message}: ${error.cause.message}` : error.message;
+            return [];
+        }
+    });
+
+    const records = [];
+    const duplicateRecords = [];
+    const firstRecordByHash = new Map();
+    recordsPerFile.flat().forEach((record) => {
+        const hash = crypto.createHash(hashAlgorithm).update(record.text.trim()).digest('hex');
+        // Records without text are distinct records that merely lack content; they are never duplicates.
+        if (record.text.trim() !== '' && firstRecordByHash.has(hash)) {
+            const original = firstRecordByHash.get(hash);
+            duplicateRecords.push({ id: record.id, file: record.source.file, duplicateOf: { id: original.id, file: original.source.file } });
+        } else {
+            const unique = { ...record, hash };
+            if (!firstRecordByHash.has(hash)) {
+                firstRecordByHash.set(hash, unique);
+            }
+            records.push(unique);
+        }
+    });
+
+    return {
+        files,
+        records,
+        duplicateRecords,
+        stats: {
+            files: files.length,
+            duplicateFiles: files.filter(file => file.duplicateOf).length,
+            failedFiles: files.filter(file => file.error).length,
+            records: records.length,
+            duplicateRecords: duplicateRecords.length,
+        },
+    };
 }
 
 module.exports = {
     integrateFileForAI,
-};
\ No newline at end of file
+    integrateDirectoryForAI,
+    streamTextChunks,
+    detectFileFormat,
+    parseCsv,
+    walkDirectory,
+};
@@ -0,0 +1,368 @@
+const EventEmitter = require('events');
+const logger = require('./aiLogger');
+const { reconcileAssets } = require('./aiAssetReconciler');
+
+/**
+ * @module aiAssetMonitor
+ * @description Continuous monitoring of the AI assets checked by reconcileAssets(). The monitor runs a
+ *              reconciliation on a schedule, keeps a rolling history per service and emits events only
+ *              when a service's state changes:
+ *
+ *              - `serviceDown`         ({ service, checkedAt, reasons, previous })
+ *              - `serviceRecovered`    ({ service, checkedAt, downSince })
+ *              - `apiKeyInvalid`       ({ service, checkedAt })
+ *              - `modelVersionChanged` ({ service, checkedAt, previous, current })
+ *
+ *              Every run also emits `checked` (the reconciliation result), or `checkFailed` (the error)
+ *              if the reconciliation itself threw. getMetrics() renders the Prometheus text exposition format.
+ */
+
+/**
+ * Default upper bounds (in seconds) of the probe latency histogram buckets.
+ * @type {number[]}
+ */
+const DEFAULT_LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Prefix of every exported metric name.
+ * @type {string}
+ */
+const METRIC_PREFIX = 'sentimentsight_ai';
+
+/**
+ * Escapes a Prometheus label value.
+ * @param {*} value - The label value.
+ * @returns {string} The escaped value.
+ */
+function _escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Formats a Prometheus label set.
+ * @param {Object<string, *>} labels - The labels.
+ * @returns {string} The `{name="value",...}` string (empty for no labels).
+ */
+function _formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${_escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Reduces the reconcileAssets() details of one service to the state the monitor tracks. A service is up when
+ * its endpoints respond, its quota is available and its API key is not invalid.
+ * @param {Object} details - The service's reconciliation details.
+ * @returns {{up: boolean, reasons: string[], apiKeyValid: (boolean|null), modelVersion: (string|null), failedChecks: string[], latencies: Object<string, number>}}
+ *          The service state; `failedChecks` lists the failed check names and `latencies` the probe latencies in ms.
+ */
+function summarizeServiceDetails(details) {
+    const reasons = [];
+    const failedChecks = [];
+    const latencies = {};
+
+    for (const [check, healthyKey, probeKey] of [
+        ['primary_endpoint', 'primaryEndpointHealthy', 'primaryEndpointProbe'],
+        ['status_endpoint', 'statusEndpointHealthy', 'statusEndpointProbe'],
+    ]) {
+        const probe = details[probeKey];
+        if (probe && probe.latencyMs !== null && probe.latencyMs !== undefined) {
+            latencies[check === 'primary_endpoint' ? 'primary' : 'status'] = probe.latencyMs;
+        }
+        if (details[healthyKey] === false) {
+            failedChecks.push(check);
+            reasons.push(`${check}: ${(probe && probe.reason) || 'unhealthy'}`);
+        }
+    }
+    if (details.quota && details.quota.available === false) {
+        failedChecks.push('quota');
+        reasons.push(`quota: ${details.quota.reason || 'exhausted'}`);
+    }
+    // A rejected key makes the service unusable, as the health router treats it.
+    const apiKeyValid = typeof details.apiKeyValid === 'boolean' ? details.apiKeyValid : null;
+    if (apiKeyValid === false) {
+        failedChecks.push('api_key');
+        reasons.push('api_key: invalid');
+    }
+    const up = failedChecks.length === 0;
+
+    const modelVersion = details.modelVersion && details.modelVersion !== 'Missing' ? details.modelVersion : null;
+    if (details.modelVersion === 'Missing') {
+        failedChecks.push('model_version');
+    }
+
+    return { up, reasons, apiKeyValid, modelVersion, failedChecks, latencies };
+}
+
+class AIAssetMonitor extends EventEmitter {
+    /**
+     * @param {Object} [config={}] - Monitor configuration.
+     * @param {number} [config.intervalMs=60000] - Time between the end of one run and the start of the next.
+     * @param {number} [config.historySize=100] - Results kept per service.
+     * @param {number[]} [config.latencyBuckets] - Histogram bucket bounds in seconds.
+     * @param {Object} [config.reconcileOptions={}] - Options passed to reconcileAssets() (configs, quotaManager, concurrency).
+     * @param {function(Object): Promise<Object>} [config.reconcile=reconcileAssets] - The reconciliation to run.
+     */
+    constructor(config = {}) {
+        super();
+        this.intervalMs = config.intervalMs || 60000;
+        this.historySize = config.historySize || 100;
+        this.latencyBuckets = [...(config.latencyBuckets || DEFAULT_LATENCY_BUCKETS)].sort((a, b) => a - b);
+        this.reconcileOptions = config.reconcileOptions || {};
+        this.reconcile = config.reconcile || reconcileAssets;
+
+        this.timer = null;
+        this.stopped = true;
+        this.running = null;
+        this.lastResult = null;
+        this.lastCheckedAt = null;
+        this.services = new Map();
+        this.counters = { runs: 0, runErrors: 0 };
+    }
+
+    /**
+     * Starts monitoring: runs a reconciliation now and then every `intervalMs`.
+     * @returns {AIAssetMonitor} The monitor (for chaining).
+     */
+    start() {
+        if (!this.stopped) {
+            return this;
+        }
+        this.stopped = false;
+        logger.info(`[Asset Monitor] Monitoring AI assets every ${this.intervalMs}ms.`);
+        const tick = async () => {
+            try {
+                await this.runOnce();
+            } catch (error) {
+                // A throwing event listener must not end the schedule.
+                logger.error(`[Asset Monitor] Monitoring run failed: ${error.message}`);
+            }
+            if (!this.stopped) {
+                this.timer = setTimeout(tick, this.intervalMs);
+            }
+        };
+        tick();
+        return this;
+    }
+
+    /**
+     * Stops the schedule. A run already in progress finishes, but no further runs start.
+     */
+    stop() {
+        this.stopped = true;
+        if (this.timer !== null) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        logger.info('[Asset Monitor] Monitoring stopped.');
+    }
+
+    /**
+     * Runs one reconciliation and updates history, metrics and events. Concurrent calls share the run in progress.
+     * @returns {Promise<Object|null>} The reconciliation result, or null if it failed.
+     */
+    runOnce() {
+        if (!this.running) {
+            this.running = this._run().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    /**
+     * Performs a run (see runOnce).
+     * @returns {Promise<Object|null>} The reconciliation result, or null if it failed.
+     */
+    async _run() {
+        this.counters.runs++;
+        let result;
+        try {
+            result = await this.reconcile(this.reconcileOptions);
+        } catch (error) {
+            this.counters.runErrors++;
+            logger.error(`[Asset Monitor] Reconciliation failed: ${error.message}`);
+            this.emit('checkFailed', error);
+            return null;
+        }
+
+        const checkedAt = new Date().toISOString();
+        this.lastResult = result;
+        this.lastCheckedAt = checkedAt;
+        const details = result && result.details && !result.details.message ? result.details : {};
+        for (const [service, serviceDetails] of Object.entries(details)) {
+            this._recordService(service, serviceDetails, checkedAt);
+        }
+        this.emit('checked', result);
+        return result;
+    }
+
+    /**
+     * Updates the state, history and metrics of one service and emits the state-change events.
+     * @param {string} service - The service name.
+     * @param {Object} details - The service's reconciliation details.
+     * @param {string} checkedAt - ISO timestamp of the run.
+     */
+    _recordService(service, details, checkedAt) {
+        const summary = summarizeServiceDetails(details);
+        let entry = this.services.get(service);
+        const isFirstCheck = !entry;
+        if (isFirstCheck) {
+            entry = {
+                current: null,
+                downSince: null,
+                history: [],
+                failures: {},
+                latency: {},
+            };
+            this.services.set(service, entry);
+        }
+        const previous = entry.current;
+
+        if (!summary.up && (isFirstCheck || previous.up)) {
+            entry.downSince = checkedAt;
+            logger.warn(`[Asset Monitor] '${service}' is down: ${summary.reasons.join('; ')}`);
+            this.emit('serviceDown', { service, checkedAt, reasons: summary.reasons, previous: isFirstCheck ? 'unknown' : 'up' });
+        } else if (summary.up && !isFirstCheck && !previous.up) {
+            logger.info(`[Asset Monitor] '${service}' recovered (down since ${entry.downSince}).`);
+            this.emit('serviceRecovered', { service, checkedAt, downSince: entry.downSince });
+            entry.downSince = null;
+        }
+
+        if (summary.apiKeyValid === false && (isFirstCheck || previous.apiKeyValid !== false)) {
+            logger.warn(`[Asset Monitor] The API key of '${service}' is missing or invalid.`);
+            this.emit('apiKeyInvalid', { service, checkedAt });
+        }
+
+        if (!isFirstCheck && previous.modelVersion && summary.modelVersion && previous.modelVersion !== summary.modelVersion) {
+            logger.info(`[Asset Monitor] '${service}' model version changed from ${previous.modelVersion} to ${summary.modelVersion}.`);
+            this.emit('modelVersionChanged', { service, checkedAt, previous: previous.modelVersion, current: summary.modelVersion });
+        }
+
+        for (const check of summary.failedChecks) {
+            entry.failures[check] = (entry.failures[check] || 0) + 1;
+        }
+        for (const [endpoint, latencyMs] of Object.entries(summary.latencies)) {
+            this._observeLatency(entry, endpoint, latencyMs / 1000);
+        }
+
+        entry.current = summary;
+        entry.history.push({ checkedAt, ...summary });
+        if (entry.history.length > this.historySize) {
+            entry.history.shift();
+        }
+    }
+
+    /**
+     * Adds a latency observation to a service's histogram.
+     * @param {Object} entry - The service entry.
+     * @param {string} endpoint - 'primary' or 'status'.
+     * @param {number} seconds - The observed latency in seconds.
+     */
+    _observeLatency(entry, endpoint, seconds) {
+        let histogram = entry.latency[endpoint];
+        if (!histogram) {
+            histogram = { buckets: new Array(this.latencyBuckets.length).fill(0), sum: 0, count: 0 };
+            entry.latency[endpoint] = histogram;
+        }
+        this.latencyBuckets.forEach((bound, index) => {
+            if (seconds <= bound) {
+                histogram.buckets[index]++;
+            }
+        });
+        histogram.sum += seconds;
+        histogram.count++;
+    }
+
+    /**
+     * Returns the rolling history of a service, oldest first.
+     * @param {string} service - The service name.
+     * @returns {Array<Object>} `{ checkedAt, up, reasons, apiKeyValid, modelVersion, failedChecks, latencies }` entries.
+     */
+    getHistory(service) {
+        const entry = this.services.get(service);
+        return entry ? [...entry.history] : [];
+    }
+
+    /**
+     * Returns the current state of every monitored service.
+     * @returns {Object<string, Object>} Per service: the latest summary plus `downSince`.
+     */
+    getStatus() {
+        const status = {};
+        for (const [service, entry] of this.services) {
+            status[service] = { ...entry.current, downSince: entry.downSince };
+        }
+        return status;
+    }
+
+    /**
+     * Returns the latest reconciliation result and when it was produced.
+     * @returns {{result: (Object|null), checkedAt: (string|null)}} The last result (null before the first run).
+     */
+    getLastResult() {
+        return { result: this.lastResult, checkedAt: this.lastCheckedAt };
+    }
+
+    /**
+     * Renders the monitor's metrics in the Prometheus text exposition format.
+     * @returns {string} The metrics text.
+     */
+    getMetrics() {
+        const lines = [];
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP ${METRIC_PREFIX}_${name} ${help}`);
+            lines.push(`# TYPE ${METRIC_PREFIX}_${name} ${type}`);
+            for (const [suffix, labels, value] of samples) {
+                lines.push(`${METRIC_PREFIX}_${name}${suffix}${_formatLabels(labels)} ${value}`);
+            }
+        };
+        const services = [...this.services.entries()];
+
+        metric('service_up', 'gauge', 'Whether the AI service passed its endpoint and quota checks in the last run (1) or not (0).',
+            services.map(([service, entry]) => ['', { service }, entry.current.up ? 1 : 0]));
+        metric('services_down', 'gauge', 'Number of AI services that failed their last check.',
+            [['', {}, services.filter(([, entry]) => !entry.current.up).length]]);
+        metric('api_key_valid', 'gauge', 'Whether the API key of the AI service is present and well-formed (1) or not (0).',
+            services.filter(([, entry]) => entry.current.apiKeyValid !== null)
+                .map(([service, entry]) => ['', { service }, entry.current.apiKeyValid ? 1 : 0]));
+
+        const latencySamples = [];
+        for (const [service, entry] of services) {
+            for (const [endpoint, histogram] of Object.entries(entry.latency)) {
+                this.latencyBuckets.forEach((bound, index) => {
+                    latencySamples.push(['_bucket', { service, endpoint, le: bound }, histogram.buckets[index]]);
+                });
+                latencySamples.push(['_bucket', { service, endpoint, le: '+Inf' }, histogram.count]);
+                latencySamples.push(['_sum', { service, endpoint }, histogram.sum]);
+                latencySamples.push(['_count', { service, endpoint }, histogram.count]);
+            }
+        }
+        metric('probe_latency_seconds', 'histogram', 'Latency of the AI service health probes.', latencySamples);
+
+        const failureSamples = [];
+        for (const [service, entry] of services) {
+            for (const [check, count] of Object.entries(entry.failures)) {
+                failureSamples.push(['', { service, check }, count]);
+            }
+        }
+        metric('check_failures_total', 'counter', 'Failed AI service checks by check (api_key, primary_endpoint, status_endpoint, model_version, quota).',
+            failureSamples);
+
+        metric('reconcile_runs_total', 'counter', 'Reconciliation runs started by the monitor.', [['', {}, this.counters.runs]]);
+        metric('reconcile_errors_total', 'counter', 'Reconciliation runs that threw instead of producing a result.', [['', {}, this.counters.runErrors]]);
+        if (this.lastCheckedAt) {
+            metric('last_check_timestamp_seconds', 'gauge', 'Unix time of the last completed reconciliation.',
+                [['', {}, Date.parse(this.lastCheckedAt) / 1000]]);
+        }
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+module.exports = {
+    AIAssetMonitor,
+    summarizeServiceDetails,
+    DEFAULT_LATENCY_BUCKETS,
+};
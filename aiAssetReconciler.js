@@ -1,68 +1,16 @@
-const winston = require('winston'); // Install winston: npm install winston
+const fs = require('fs').promises;
+const path = require('path');
 const fetch = require('node-fetch'); // Install node-fetch: npm install node-fetch
+const logger = require('./aiLogger');
+const { getDefaultQuotaManager } = require('./aiProviderQuotaManager');
+const { loadServiceConfigs } = require('./aiServiceConfigLoader');
+const { getValueAtPath } = require('./aiJsonPath');
+const { mapWithConcurrency } = require('./aiConcurrency');
 
-// Configure the Winston logger
-const logger = winston.createLogger({
-    level: process.env.LOG_LEVEL || 'info', // Default log level to 'info'
-    format: winston.format.combine(
-        winston.format.timestamp({
-            format: 'YYYY-MM-DD HH:mm:ss'
-        }),
-        winston.format.errors({ stack: true }), // Log stack traces for errors
-        winston.format.splat(), // Enable string interpolation for messages
-        winston.format.json() // Output logs in JSON format for structured logging
-    ),
-    transports: [
-        new winston.transports.Console({
-            format: winston.format.combine(
-                winston.format.colorize(), // Add colors to console output
-                winston.format.printf(
-                    info => `${info.timestamp} ${info.level}: ${info.message} ${info.stack ? '\n' + info.stack : ''}`
-                )
-            )
-        }),
-        // In a production environment, you might add file transports or other transports:
-        // new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-        // new winston.transports.File({ filename: 'logs/combined.log' })
-    ],
-});
-
-// Load AI service configurations from an external JSON file.
-// This assumes aiServiceConfigs.json is located in the 'config' directory,
-// relative to where this component file might reside (e.g., if this is in 'services/').
-// Example path: ../config/aiServiceConfigs.json.
-// The content of config/aiServiceConfigs.json should be a JSON object like:
-/*
-{
-    "openAi": {
-        "apiKeyEnv": "OPENAI_API_KEY",
-        "endpoint": "https://api.openai.com/v1/models", // Often a general model list endpoint can serve as health check
-        "statusEndpoint": "https://api.openai.com/v1/models", // Can be same as endpoint if it's a valid GET target
-        "apiKeyFormatRegex": "^sk-" // Example regex for OpenAI API keys
-    },
-    "googleCloudNLP": {
-        "apiKeyEnv": "GOOGLE_CLOUD_NLP_API_KEY",
-        "endpoint": "https://language.googleapis.com/v1/documents:analyzeSentiment",
-        "apiKeyFormatRegex": "^AIza" // Example regex for Google Cloud API keys (starts with AIza)
-    },
-    "customInternalSentimentModel": {
-        "endpoint": "http://localhost:8000/api/sentiment/health",
-        "modelVersionEnv": "SENTIMENT_MODEL_VERSION" // Example for an internal model version check
-    }
-}
-*/
-let AI_SERVICE_CONFIGS = {};
-try {
-    // Adjust path as necessary based on component's actual location relative to the 'config' folder.
-    // If aiAssetReconciler.js is directly in the project root, use './config/aiServiceConfigs.json'.
-    // If aiAssetReconciler.js is in 'services/' folder, then '../config/aiServiceConfigs.json' is correct.
-    AI_SERVICE_CONFIGS = require('../config/aiServiceConfigs.json');
-    logger.info('[AI Reconciler] Loaded AI service configurations from config/aiServiceConfigs.json.');
-} catch (error) {
-    logger.error(`[AI Reconciler] Failed to load AI service configurations from config/aiServiceConfigs.json: ${error.message}. Please ensure the file exists and is correctly formatted. Using default empty config.`);
-    // In a critical application, you might want to terminate the process here
-    // process.exit(1);
-}
+// AI service configurations (config/aiServiceConfigs.json), loaded on first use through
+// initServiceConfigs() rather than at require time, so callers and tests can inject their own.
+// See aiServiceConfigLoader.js for the file format, profiles and validation rules.
+let AI_SERVICE_CONFIGS = null;
 
 /**
  * Validates the presence and format of an AI service API key from environment variables.
@@ -87,68 +35,412 @@ function _validateApiKey(envVarName, formatRegex = null) {
 }
 
 /**
- * Checks the reachability and basic health of an AI service endpoint by making an actual HTTP GET request.
+ * Default number of services whose health probes run at the same time.
+ * @type {number}
+ */
+const DEFAULT_PROBE_CONCURRENCY = 4;
+
+/**
+ * Default timeout of a health probe in milliseconds.
+ * @type {number}
+ */
+const DEFAULT_PROBE_TIMEOUT_MS = 5000;
+
+/**
+ * Describes a value for a probe failure reason, truncated so response data cannot flood the logs.
+ * @param {*} value - The value.
+ * @returns {string} A short JSON representation.
+ */
+function _describeValue(value) {
+    const text = value === undefined ? 'undefined' : JSON.stringify(value);
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+/**
+ * Tests whether `actual` contains `expected`: a substring of a string, or an array element that
+ * equals it (objects match when every expected property is equal, e.g. `{ "id": "gpt-4o-mini" }`).
+ * @param {*} actual - The value read from the response.
+ * @param {*} expected - The expected value.
+ * @returns {boolean} True if the value is contained.
+ */
+function _containsValue(actual, expected) {
+    if (typeof actual === 'string') {
+        return actual.includes(String(expected));
+    }
+    if (!Array.isArray(actual)) {
+        return false;
+    }
+    return actual.some((item) => {
+        if (expected && typeof expected === 'object' && item && typeof item === 'object') {
+            return Object.entries(expected).every(([key, value]) => JSON.stringify(item[key]) === JSON.stringify(value));
+        }
+        return JSON.stringify(item) === JSON.stringify(expected);
+    });
+}
+
+/**
+ * Evaluates the JSON-path assertions of a probe against a parsed response body.
+ * @param {*} body - The parsed response body.
+ * @param {Array<Object>} assertions - `{ path, exists, equals, contains, matches }` assertions.
+ * @returns {string|null} The reason of the first failed assertion, or null if all pass.
+ */
+function _checkProbeAssertions(body, assertions) {
+    for (const assertion of assertions) {
+        const value = getValueAtPath(body, assertion.path);
+        const exists = value !== undefined && value !== null;
+        if (assertion.exists !== undefined && exists !== assertion.exists) {
+            return `Assertion failed: '${assertion.path}' ${exists ? 'is present' : 'is missing'} in the response.`;
+        }
+        // A bare `{ path }` assertion (or one with only `contains`/`matches`) requires the value to be present.
+        if (assertion.exists === undefined && assertion.equals === undefined && !exists) {
+            return `Assertion failed: '${assertion.path}' is missing in the response.`;
+        }
+        if (assertion.equals !== undefined && JSON.stringify(value) !== JSON.stringify(assertion.equals)) {
+            return `Assertion failed: '${assertion.path}' is ${_describeValue(value)}, expected ${_describeValue(assertion.equals)}.`;
+        }
+        if (assertion.contains !== undefined && !_containsValue(value, assertion.contains)) {
+            return `Assertion failed: '${assertion.path}' does not contain ${_describeValue(assertion.contains)}.`;
+        }
+        if (assertion.matches !== undefined && !(exists && new RegExp(assertion.matches).test(String(value)))) {
+            return `Assertion failed: '${assertion.path}' is ${_describeValue(value)}, expected to match /${assertion.matches}/.`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Builds the request headers of a probe, replacing `{{apiKey}}` with the service's API key.
+ * @param {Object} [headers={}] - The configured headers.
+ * @param {string} [apiKeyEnv] - The environment variable holding the API key.
+ * @returns {{headers: Object, missingApiKey: boolean}} The headers, and whether a required key was not set.
+ */
+function _buildProbeHeaders(headers = {}, apiKeyEnv) {
+    const apiKey = apiKeyEnv ? process.env[apiKeyEnv] : undefined;
+    const result = {};
+    let missingApiKey = false;
+    for (const [name, value] of Object.entries(headers)) {
+        result[name] = String(value).replace(/\{\{\s*apiKey\s*\}\}/g, () => {
+            if (!apiKey) {
+                missingApiKey = true;
+            }
+            return apiKey || '';
+        });
+    }
+    return { headers: result, missingApiKey };
+}
+
+/**
+ * Probes an AI service endpoint with an HTTP request and checks the response.
+ * Without a probe definition this is an unauthenticated GET that expects a 2xx status.
  * @param {string} serviceName The logical name of the AI service (e.g., 'OpenAI', 'Google Cloud NLP').
  * @param {string} endpoint The URL of the service endpoint to check.
- * @param {number} timeoutMs The timeout for the HTTP request in milliseconds.
- * @returns {Promise<boolean>} A promise that resolves to true if the endpoint is considered reachable and healthy (HTTP 2xx status), false otherwise.
+ * @param {Object} [probe={}] The probe definition (the `probe` object of the service configuration).
+ * @param {string} [probe.method='GET'] The HTTP method.
+ * @param {Object} [probe.headers] Request headers; `{{apiKey}}` is replaced with the key from `apiKeyEnv`.
+ * @param {*} [probe.body] The request body; non-string values are sent as JSON.
+ * @param {number} [probe.timeoutMs=5000] The timeout for the HTTP request in milliseconds.
+ * @param {number[]} [probe.expectedStatus] The accepted status codes (any 2xx if omitted).
+ * @param {Array<Object>} [probe.assertions] JSON-path assertions on the response body (see _checkProbeAssertions).
+ * @param {string} [apiKeyEnv] The environment variable holding the service's API key.
+ * @returns {Promise<{healthy: boolean, endpoint: string, method: string, statusCode: (number|null), latencyMs: (number|null), reason: (string|null)}>}
+ *          A promise that resolves to the probe result; `reason` explains why an unhealthy probe failed.
  */
-async function _checkServiceEndpointHealth(serviceName, endpoint, timeoutMs = 5000) {
+async function _checkServiceEndpointHealth(serviceName, endpoint, probe = {}, apiKeyEnv) {
+    const method = probe.method || 'GET';
+    const timeoutMs = probe.timeoutMs || DEFAULT_PROBE_TIMEOUT_MS;
+    const result = { healthy: false, endpoint, method, statusCode: null, latencyMs: null, reason: null };
+
     if (!endpoint || typeof endpoint !== 'string' || !endpoint.startsWith('http')) {
+        result.reason = `Invalid endpoint URL: ${endpoint}`;
         logger.error(`[AI Reconciler] Invalid endpoint URL provided for '${serviceName}': ${endpoint}`);
-        return false;
+        return result;
     }
 
-    try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    const { headers, missingApiKey } = _buildProbeHeaders(probe.headers, apiKeyEnv);
+    if (missingApiKey) {
+        result.reason = `The probe needs an API key but '${apiKeyEnv || 'apiKeyEnv'}' is not set.`;
+        logger.error(`[AI Reconciler] Cannot probe '${serviceName}' endpoint '${endpoint}': ${result.reason}`);
+        return result;
+    }
+
+    let body;
+    if (probe.body !== undefined && method !== 'GET' && method !== 'HEAD') {
+        body = typeof probe.body === 'string' ? probe.body : JSON.stringify(probe.body);
+        if (typeof probe.body !== 'string' && !Object.keys(headers).some((name) => name.toLowerCase() === 'content-type')) {
+            headers['Content-Type'] = 'application/json';
+        }
+    }
 
+    const startedAt = Date.now();
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    try {
         const response = await fetch(endpoint, {
-            method: 'GET',
+            method,
+            headers,
+            body,
             signal: controller.signal, // Link abort controller to the fetch request
-            // Add any necessary headers for the health check if required (e.g., API key for protected health endpoints)
-            // headers: { 'Authorization': `Bearer ${process.env.SOME_API_KEY}` }
         });
+        const responseText = method === 'HEAD' ? '' : await response.text();
+        result.latencyMs = Date.now() - startedAt;
+        result.statusCode = response.status;
 
-        clearTimeout(timeoutId); // Clear timeout if fetch completes within time
-
-        if (!response.ok) {
+        const statusAccepted = probe.expectedStatus && probe.expectedStatus.length > 0
+            ? probe.expectedStatus.includes(response.status)
+            : response.ok;
+        if (!statusAccepted) {
+            result.reason = `Unexpected status ${response.status} (${response.statusText})${probe.expectedStatus ? `, expected ${probe.expectedStatus.join(' or ')}` : ''}.`;
             logger.error(`[AI Reconciler] '${serviceName}' endpoint '${endpoint}' returned status ${response.status} (${response.statusText}).`);
+            logger.debug(`[AI Reconciler] Error response body for '${serviceName}': ${responseText.substring(0, 200)}...`);
+            return result;
+        }
+
+        if (probe.assertions && probe.assertions.length > 0) {
+            let parsed;
             try {
-                const errorBody = await response.text();
-                logger.debug(`[AI Reconciler] Error response body for '${serviceName}': ${errorBody.substring(0, 200)}...`);
-            } catch (bodyError) {
-                logger.warn(`[AI Reconciler] Could not read error response body for '${serviceName}'.`);
+                parsed = JSON.parse(responseText);
+            } catch (error) {
+                result.reason = `Response is not valid JSON: ${error.message}`;
+                logger.error(`[AI Reconciler] '${serviceName}' endpoint '${endpoint}': ${result.reason}`);
+                return result;
+            }
+            result.reason = _checkProbeAssertions(parsed, probe.assertions);
+            if (result.reason) {
+                logger.error(`[AI Reconciler] '${serviceName}' endpoint '${endpoint}': ${result.reason}`);
+                return result;
             }
-            return false;
         }
 
-        logger.info(`[AI Reconciler] '${serviceName}' endpoint '${endpoint}' is reachable and returned OK status.`);
-        return true;
+        result.healthy = true;
+        logger.info(`[AI Reconciler] '${serviceName}' endpoint '${endpoint}' is healthy (status ${response.status}, ${result.latencyMs}ms).`);
+        return result;
     } catch (error) {
+        result.latencyMs = Date.now() - startedAt;
         if (error.name === 'AbortError') {
+            result.reason = `Timed out after ${timeoutMs}ms.`;
             logger.error(`[AI Reconciler] Timeout checking '${serviceName}' endpoint '${endpoint}' after ${timeoutMs}ms.`);
         } else {
+            result.reason = `Request failed: ${error.message}`;
             logger.error(`[AI Reconciler] Error checking '${serviceName}' endpoint '${endpoint}': ${error.message}`);
         }
-        return false;
+        return result;
+    } finally {
+        clearTimeout(timeoutId); // Clear timeout whether fetch completed, failed or was aborted
+    }
+}
+
+/**
+ * Reconciles one AI service: API key, endpoint probes, model version and quota state.
+ * @param {string} serviceKey - The service name.
+ * @param {Object} config - The service configuration.
+ * @param {ProviderQuotaManager} quotaManager - The quota manager to report from.
+ * @returns {Promise<{details: Object, healthy: boolean}>} The service's results and whether every check passed.
+ */
+async function _reconcileService(serviceKey, config, quotaManager) {
+    const details = {}; // Results for the current service
+    let healthy = true;
+
+    logger.info(`[AI Reconciler] Checking configuration for service: '${serviceKey}'...`);
+
+    // 1. Validate API Key if configured
+    const apiKeyEnv = config.apiKeyEnv;
+    if (apiKeyEnv) {
+        // Convert apiKeyFormatRegex string from config to a RegExp object if it exists
+        const formatRegex = config.apiKeyFormatRegex ? new RegExp(config.apiKeyFormatRegex) : null;
+        const isApiKeyValid = _validateApiKey(apiKeyEnv, formatRegex);
+        details.apiKeyValid = isApiKeyValid;
+        if (!isApiKeyValid) {
+            healthy = false;
+        }
+    } else {
+        logger.debug(`[AI Reconciler] No API key environment variable configured for '${serviceKey}'. Skipping API key validation.`);
+        details.apiKeyValid = 'N/A (not configured)';
+    }
+
+    // 2. Probe the primary service endpoint if configured. The service's `probe` definition (method,
+    //    authenticated headers, expected statuses, response assertions) applies to this check.
+    const probe = config.probe || {};
+    const primaryEndpoint = probe.endpoint || config.endpoint;
+    // 3. Check the dedicated status/health endpoint (a plain GET) if configured and different from the primary.
+    const checkStatusEndpoint = Boolean(config.statusEndpoint && config.statusEndpoint !== primaryEndpoint);
+    const [primaryProbe, statusProbe] = await Promise.all([
+        primaryEndpoint ? _checkServiceEndpointHealth(serviceKey, primaryEndpoint, probe, apiKeyEnv) : null,
+        checkStatusEndpoint
+            ? _checkServiceEndpointHealth(`${serviceKey} Status`, config.statusEndpoint, { timeoutMs: probe.timeoutMs })
+            : null,
+    ]);
+
+    if (primaryProbe) {
+        details.primaryEndpointHealthy = primaryProbe.healthy;
+        details.primaryEndpointProbe = primaryProbe;
+        if (!primaryProbe.healthy) {
+            healthy = false;
+        }
+    } else {
+        logger.debug(`[AI Reconciler] No primary endpoint configured for '${serviceKey}'. Skipping primary endpoint health check.`);
+        details.primaryEndpointHealthy = 'N/A (not configured)';
+    }
+
+    if (statusProbe) {
+        details.statusEndpointHealthy = statusProbe.healthy;
+        details.statusEndpointProbe = statusProbe;
+        if (!statusProbe.healthy) {
+            healthy = false;
+        }
+    } else if (config.statusEndpoint) {
+        logger.debug(`[AI Reconciler] Status endpoint for '${serviceKey}' is same as primary endpoint. Skipping redundant check.`);
+        details.statusEndpointHealthy = 'Same as Primary';
+    } else {
+        logger.debug(`[AI Reconciler] No dedicated status endpoint configured for '${serviceKey}'.`);
+        details.statusEndpointHealthy = 'N/A (not configured)';
+    }
+
+    // Add more specific reconciliation checks here relevant to SentimentSight,
+    // such as checking specific model versions from environment variables, or other service-specific configurations.
+    if (config.modelVersionEnv) {
+        const modelVersion = process.env[config.modelVersionEnv];
+        details.modelVersion = modelVersion || 'Missing';
+        if (!modelVersion) {
+            logger.warn(`[AI Reconciler] Missing model version for '${serviceKey}' from environment variable '${config.modelVersionEnv}'.`);
+            healthy = false;
+        } else {
+            logger.info(`[AI Reconciler] '${serviceKey}' Model Version: ${modelVersion}`);
+        }
+    }
+
+    // 4. Report quota/rate-limit state; a provider with an exhausted quota is unavailable until its reset.
+    quotaManager.configureProvider(serviceKey, config);
+    const quotaState = quotaManager.getState(serviceKey);
+    details.quota = quotaState;
+    if (!quotaState.available) {
+        logger.warn(`[AI Reconciler] '${serviceKey}' is unavailable until ${quotaState.exhaustedUntil}: ${quotaState.reason}`);
+        healthy = false;
+    }
+
+    return { details, healthy };
+}
+
+// Serializes writes of the model version history.
+let modelVersionWrites = Promise.resolve();
+
+/**
+ * Returns the file recording the model versions reported by each service.
+ * @param {Object} [options={}] - Options with an optional `modelVersionHistoryPath`.
+ * @returns {string} The path (AI_MODEL_VERSION_HISTORY_PATH, or data/modelVersionHistory.json).
+ */
+function _getModelVersionHistoryPath(options = {}) {
+    return options.modelVersionHistoryPath || process.env.AI_MODEL_VERSION_HISTORY_PATH
+        || path.join(process.cwd(), 'data', 'modelVersionHistory.json');
+}
+
+/**
+ * Loads the model version history written by reconcileAssets.
+ * @param {Object} [options={}] - Options.
+ * @param {string} [options.modelVersionHistoryPath] - The history file.
+ * @returns {Promise<Object<string, Array<{modelVersion: string, firstSeenAt: string}>>>} The versions of each
+ *          service, oldest first, with the time each was first reported; empty if nothing was recorded yet.
+ */
+async function loadModelVersionHistory(options = {}) {
+    const historyPath = _getModelVersionHistoryPath(options);
+    try {
+        return JSON.parse(await fs.readFile(historyPath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn(`[AI Reconciler] Could not read model version history from ${historyPath}: ${error.message}`);
+        }
+        return {};
+    }
+}
+
+/**
+ * Finds the model version a service reported at a given time.
+ * @param {Object} history - The loadModelVersionHistory() result.
+ * @param {string} service - The service name.
+ * @param {(string|Date)} at - The time, e.g. when a set of sentiment results was produced.
+ * @returns {?string} The version first reported last before `at`, or null if none was recorded by then.
+ */
+function findModelVersionAt(history, service, at) {
+    const time = new Date(at).getTime();
+    let modelVersion = null;
+    for (const entry of history[service] || []) {
+        if (Date.parse(entry.firstSeenAt) <= time) {
+            modelVersion = entry.modelVersion;
+        }
+    }
+    return modelVersion;
+}
+
+/**
+ * Appends the model versions found by a reconciliation to the history when they changed, and
+ * sets `modelVersionSince` on the service details. Failures are logged, never thrown.
+ * @param {Object<string, Object>} results - The reconciliation details by service.
+ * @param {string} checkedAt - The time of the reconciliation.
+ * @param {Object} options - The reconcileAssets() options.
+ * @returns {Promise<void>}
+ */
+async function _recordModelVersions(results, checkedAt, options) {
+    const historyPath = _getModelVersionHistoryPath(options);
+    const update = modelVersionWrites.then(async () => {
+        const history = await loadModelVersionHistory(options);
+        let changed = false;
+        for (const [serviceKey, details] of Object.entries(results)) {
+            if (!details.modelVersion || details.modelVersion === 'Missing') {
+                continue;
+            }
+            const versions = history[serviceKey] || (history[serviceKey] = []);
+            const latest = versions[versions.length - 1];
+            if (!latest || latest.modelVersion !== details.modelVersion) {
+                if (latest) {
+                    logger.info(`[AI Reconciler] '${serviceKey}' model version changed from ${latest.modelVersion} to ${details.modelVersion}.`);
+                }
+                versions.push({ modelVersion: details.modelVersion, firstSeenAt: checkedAt });
+                changed = true;
+            }
+            details.modelVersionSince = versions[versions.length - 1].firstSeenAt;
+        }
+        if (changed) {
+            await fs.mkdir(path.dirname(historyPath), { recursive: true });
+            const temporaryPath = `${historyPath}.tmp`;
+            await fs.writeFile(temporaryPath, JSON.stringify(history, null, 2), 'utf8');
+            await fs.rename(temporaryPath, historyPath);
+        }
+    });
+    modelVersionWrites = update.catch(() => {});
+    try {
+        await update;
+    } catch (error) {
+        logger.error(`[AI Reconciler] Failed to record model versions in ${historyPath}: ${error.message}`);
     }
 }
 
 /**
  * Performs a comprehensive reconciliation of various AI-related assets and configurations for SentimentSight.
- * This includes validating API keys, checking service endpoint health, and logging any discrepancies.
+ * This includes validating API keys, probing service endpoints (concurrently, recording latency, status code
+ * and failure reason in `primaryEndpointProbe`/`statusEndpointProbe`), reporting provider quota state,
+ * and logging any discrepancies. When a history file is configured, model versions are recorded in it (see
+ * loadModelVersionHistory) so that sentiment results can later be attributed to the version that produced them.
+ * @param {Object} [options={}] - Reconciliation options.
+ * @param {ProviderQuotaManager} [options.quotaManager] - The quota manager to report from (defaults to the shared one).
+ * @param {Object} [options.configs] - Service configurations to reconcile instead of the loaded ones.
+ * @param {number} [options.concurrency=4] - How many services are probed at the same time.
+ * @param {string} [options.modelVersionHistoryPath] - The model version history file
+ *        (AI_MODEL_VERSION_HISTORY_PATH, or data/modelVersionHistory.json).
+ * @param {boolean} [options.recordModelVersions] - Whether model versions are recorded in the history; defaults to
+ *        true when a history file is configured (option or environment variable), false otherwise.
  * @returns {Promise<Object>} A promise that resolves to an object containing the overall health status
  *                            and detailed results for each AI service checked.
  * @property {boolean} allHealthy - True if all checked assets passed their reconciliation, false otherwise.
  * @property {Object} details - An object with detailed results for each AI service.
  */
-async function reconcileAssets() {
+async function reconcileAssets(options = {}) {
     logger.info('[AI Reconciler] Starting AI asset reconciliation...');
+    const quotaManager = options.quotaManager || getDefaultQuotaManager();
+    await quotaManager.load();
+    const serviceConfigs = options.configs || getServiceConfigs();
     const reconciliationResults = {};
     let allAssetsHealthy = true; // Flag to track overall health
 
-    if (Object.keys(AI_SERVICE_CONFIGS).length === 0) {
+    if (Object.keys(serviceConfigs).length === 0) {
         logger.warn('[AI Reconciler] No AI service configurations found. Please ensure config/aiServiceConfigs.json is present and correctly populated. Skipping reconciliation.');
         return {
             allHealthy: false,
@@ -156,66 +448,23 @@ async function reconcileAssets() {
         };
     }
 
-    for (const serviceKey in AI_SERVICE_CONFIGS) {
-        const config = AI_SERVICE_CONFIGS[serviceKey];
-        reconciliationResults[serviceKey] = {}; // Initialize results for the current service
-
-        logger.info(`[AI Reconciler] Checking configuration for service: '${serviceKey}'...`);
-
-        // 1. Validate API Key if configured
-        const apiKeyEnv = config.apiKeyEnv;
-        if (apiKeyEnv) {
-            // Convert apiKeyFormatRegex string from config to a RegExp object if it exists
-            const formatRegex = config.apiKeyFormatRegex ? new RegExp(config.apiKeyFormatRegex) : null;
-            const isApiKeyValid = _validateApiKey(apiKeyEnv, formatRegex);
-            reconciliationResults[serviceKey].apiKeyValid = isApiKeyValid;
-            if (!isApiKeyValid) {
-                allAssetsHealthy = false;
-            }
-        } else {
-            logger.debug(`[AI Reconciler] No API key environment variable configured for '${serviceKey}'. Skipping API key validation.`);
-            reconciliationResults[serviceKey].apiKeyValid = 'N/A (not configured)';
-        }
-
-        // 2. Check Primary Service Endpoint Health if configured
-        if (config.endpoint) {
-            const isEndpointHealthy = await _checkServiceEndpointHealth(serviceKey, config.endpoint);
-            reconciliationResults[serviceKey].primaryEndpointHealthy = isEndpointHealthy;
-            if (!isEndpointHealthy) {
-                allAssetsHealthy = false;
-            }
-        } else {
-            logger.debug(`[AI Reconciler] No primary endpoint configured for '${serviceKey}'. Skipping primary endpoint health check.`);
-            reconciliationResults[serviceKey].primaryEndpointHealthy = 'N/A (not configured)';
-        }
-
-        // 3. Check Dedicated Status/Health Endpoint if configured and different from primary
-        if (config.statusEndpoint && config.statusEndpoint !== config.endpoint) {
-            const isStatusEndpointHealthy = await _checkServiceEndpointHealth(`${serviceKey} Status`, config.statusEndpoint);
-            reconciliationResults[serviceKey].statusEndpointHealthy = isStatusEndpointHealthy;
-            if (!isStatusEndpointHealthy) {
-                allAssetsHealthy = false;
-            }
-        } else if (config.statusEndpoint) {
-            logger.debug(`[AI Reconciler] Status endpoint for '${serviceKey}' is same as primary endpoint. Skipping redundant check.`);
-            reconciliationResults[serviceKey].statusEndpointHealthy = 'Same as Primary';
-        } else {
-            logger.debug(`[AI Reconciler] No dedicated status endpoint configured for '${serviceKey}'.`);
-            reconciliationResults[serviceKey].statusEndpointHealthy = 'N/A (not configured)';
-        }
-
-        // Add more specific reconciliation checks here relevant to SentimentSight,
-        // such as checking specific model versions from environment variables, or other service-specific configurations.
-        if (config.modelVersionEnv) {
-            const modelVersion = process.env[config.modelVersionEnv];
-            reconciliationResults[serviceKey].modelVersion = modelVersion || 'Missing';
-            if (!modelVersion) {
-                logger.warn(`[AI Reconciler] Missing model version for '${serviceKey}' from environment variable '${config.modelVersionEnv}'.`);
-                allAssetsHealthy = false;
-            } else {
-                logger.info(`[AI Reconciler] '${serviceKey}' Model Version: ${modelVersion}`);
-            }
+    const checkedAt = new Date().toISOString();
+    const serviceKeys = Object.keys(serviceConfigs);
+    const concurrency = options.concurrency || DEFAULT_PROBE_CONCURRENCY;
+    const serviceResults = await mapWithConcurrency(serviceKeys, concurrency,
+        (serviceKey) => _reconcileService(serviceKey, serviceConfigs[serviceKey], quotaManager));
+    serviceKeys.forEach((serviceKey, index) => {
+        reconciliationResults[serviceKey] = serviceResults[index].details;
+        if (!serviceResults[index].healthy) {
+            allAssetsHealthy = false;
         }
+    });
+    // Recording writes a file, so health checks and monitor ticks only record into a configured history.
+    const recordModelVersions = options.recordModelVersions !== undefined
+        ? options.recordModelVersions
+        : Boolean(options.modelVersionHistoryPath || process.env.AI_MODEL_VERSION_HISTORY_PATH);
+    if (recordModelVersions) {
+        await _recordModelVersions(reconciliationResults, checkedAt, options);
     }
 
     if (allAssetsHealthy) {
@@ -231,6 +480,34 @@ async function reconcileAssets() {
     };
 }
 
+/**
+ * Loads (or reloads) the AI service configurations used by reconcileAssets and the provider registry.
+ * @param {Object} [options={}] - Loading options (see aiServiceConfigLoader.loadServiceConfigs), e.g.
+ *                                `{ configs }` to inject a configuration or `{ strict: true }` to refuse invalid ones.
+ * @returns {Object} The load result: `{ configs, errors, warnings, profile, files }`.
+ * @throws {Error} In strict mode, if the configuration is missing or invalid.
+ */
+function initServiceConfigs(options = {}) {
+    const result = loadServiceConfigs(options);
+    AI_SERVICE_CONFIGS = result.configs;
+    return result;
+}
+
+/**
+ * Returns the AI service configurations, loading config/aiServiceConfigs.json on first use.
+ * @returns {Object} The valid service configurations keyed by service name (empty if loading failed).
+ */
+function getServiceConfigs() {
+    if (AI_SERVICE_CONFIGS === null) {
+        initServiceConfigs();
+    }
+    return AI_SERVICE_CONFIGS;
+}
+
 module.exports = {
     reconcileAssets,
+    initServiceConfigs,
+    getServiceConfigs,
+    loadModelVersionHistory,
+    findModelVersionAt,
 };
\ No newline at end of file
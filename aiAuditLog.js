@@ -0,0 +1,249 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./aiLogger');
+
+/**
+ * @module aiAuditLog
+ * @description Structured audit trail of batch jobs and reconciliations. Every event is one JSON line:
+ *
+ *              {"timestamp":"2026-10-19T08:00:00.000Z","level":"info","event":"job.started","jobId":"reviews-1a2b3c","total":20000}
+ *
+ *              The log rotates by size (`audit.jsonl` -> `audit.jsonl.1` -> ... up to `maxFiles`), and API keys are
+ *              redacted before anything is written: values of secret-looking fields (`apiKey`, `authorization`,
+ *              `*_token`, ...), values of secret environment variables (`*_API_KEY`, `*_TOKEN`, `*_SECRET`,
+ *              `*_PASSWORD`) wherever they appear, and well-known key formats, secret URL query parameters and
+ *              credentials embedded in URLs in free text.
+ */
+
+/**
+ * Replacement of redacted values.
+ * @type {string}
+ */
+const REDACTED = '[REDACTED]';
+
+// Field names whose string values are secrets (`apiKeyEnv` names a variable and is kept).
+const SECRET_FIELD_PATTERN = /(api[-_]?key|secret|password|authorization|token|credential)$/i;
+
+// Environment variables whose values are redacted wherever they appear.
+const SECRET_ENV_PATTERN = /API_?KEY|TOKEN|SECRET|PASSWORD/i;
+
+// Shorter environment values are too likely to occur in ordinary text to be redacted.
+const MIN_SECRET_LENGTH = 8;
+
+/**
+ * Well-known secret formats in free text, with the replacement keeping their non-secret prefix.
+ * @type {Array<{pattern: RegExp, replacement: string}>}
+ */
+const SECRET_VALUE_PATTERNS = [
+    { pattern: /\bsk-[A-Za-z0-9_-]{16,}/g, replacement: REDACTED }, // OpenAI-style keys
+    { pattern: /\bAIza[0-9A-Za-z_-]{30,}/g, replacement: REDACTED }, // Google API keys
+    { pattern: /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]{8,}/gi, replacement: `$1 ${REDACTED}` },
+    { pattern: /([?&](?:key|api[_-]?key|access[_-]?token|token|secret|signature|sig)=)[^&#\s"']+/gi, replacement: `$1${REDACTED}` },
+    { pattern: /(https?:\/\/)[^/@\s]+@/gi, replacement: `$1${REDACTED}@` }, // user:password@host
+];
+
+/**
+ * Default size at which the log rotates.
+ * @type {number}
+ */
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Default number of rotated files kept.
+ * @type {number}
+ */
+const DEFAULT_MAX_FILES = 5;
+
+/**
+ * Collects the values of secret environment variables.
+ * @param {Object<string, string>} [env=process.env] - The environment.
+ * @returns {string[]} The values, longest first (so a key containing another is replaced whole).
+ */
+function collectEnvironmentSecrets(env = process.env) {
+    return Object.entries(env)
+        .filter(([name, value]) => SECRET_ENV_PATTERN.test(name) && typeof value === 'string' && value.trim().length >= MIN_SECRET_LENGTH)
+        .map(([, value]) => value.trim())
+        .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Redacts secrets from text.
+ * @param {string} text - The text.
+ * @param {string[]} secrets - Known secret values.
+ * @returns {string} The text with secrets replaced by `[REDACTED]`.
+ */
+function _redactText(text, secrets) {
+    let redacted = text;
+    for (const secret of secrets) {
+        if (redacted.includes(secret)) {
+            redacted = redacted.split(secret).join(REDACTED);
+        }
+    }
+    for (const { pattern, replacement } of SECRET_VALUE_PATTERNS) {
+        redacted = redacted.replace(pattern, replacement);
+    }
+    return redacted;
+}
+
+/**
+ * Returns a copy of a value with secrets redacted. Errors become `{ name, message, code }`.
+ * @param {*} value - The value (string, array, object, ...).
+ * @param {string[]} [secrets=collectEnvironmentSecrets()] - Known secret values.
+ * @returns {*} The redacted copy.
+ */
+function redactSecrets(value, secrets = collectEnvironmentSecrets()) {
+    const ancestors = new WeakSet();
+    const redact = (item) => {
+        if (typeof item === 'string') {
+            return _redactText(item, secrets);
+        }
+        if (item === null || typeof item !== 'object') {
+            return item;
+        }
+        if (item instanceof Date) {
+            return item.toISOString();
+        }
+        if (item instanceof Error) {
+            return redact({ name: item.name, message: item.message, code: item.code });
+        }
+        if (ancestors.has(item)) {
+            return '[Circular]';
+        }
+        ancestors.add(item);
+        let copy;
+        if (Array.isArray(item)) {
+            copy = item.map(redact);
+        } else {
+            copy = {};
+            for (const [key, fieldValue] of Object.entries(item)) {
+                copy[key] = typeof fieldValue === 'string' && fieldValue !== '' && SECRET_FIELD_PATTERN.test(key) ? REDACTED : redact(fieldValue);
+            }
+        }
+        ancestors.delete(item);
+        return copy;
+    };
+    return redact(value);
+}
+
+class AuditLog {
+    /**
+     * @param {Object} [config={}] - Audit log configuration.
+     * @param {string} [config.logPath] - The JSON-lines file (defaults to AI_AUDIT_LOG_PATH, then logs/audit.jsonl).
+     * @param {number} [config.maxBytes=10485760] - Size at which the file is rotated.
+     * @param {number} [config.maxFiles=5] - Rotated files kept (`audit.jsonl.1` is the newest).
+     * @param {string[]} [config.secrets=[]] - Further values to redact, besides the secret environment variables.
+     */
+    constructor(config = {}) {
+        this.logPath = config.logPath || process.env.AI_AUDIT_LOG_PATH || path.join(process.cwd(), 'logs', 'audit.jsonl');
+        this.maxBytes = config.maxBytes || DEFAULT_MAX_BYTES;
+        this.maxFiles = config.maxFiles !== undefined ? config.maxFiles : DEFAULT_MAX_FILES;
+        this.secrets = [...(config.secrets || []), ...collectEnvironmentSecrets()]
+            .filter((secret) => typeof secret === 'string' && secret !== '')
+            .sort((a, b) => b.length - a.length);
+        this.size = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Appends an event. Writes are serialized; a failed write is reported through the logger and never rejects.
+     * @param {string} event - The event name, e.g. `job.started` or `reconciliation`.
+     * @param {Object} [data={}] - Event fields, redacted and merged into the entry (after `timestamp`, `level` and `event`).
+     * @param {'debug'|'info'|'warn'|'error'} [level='info'] - The severity.
+     * @returns {Promise<void>} Resolves once the event is written.
+     */
+    write(event, data = {}, level = 'info') {
+        const entry = { timestamp: new Date().toISOString(), level, event, ...redactSecrets(data, this.secrets) };
+        const line = `${JSON.stringify(entry)}\n`;
+        this.writeQueue = this.writeQueue
+            .then(() => this._append(line))
+            .catch((error) => {
+                logger.error(`[Audit Log] Failed to write to ${this.logPath}: ${error.message}`);
+            });
+        return this.writeQueue;
+    }
+
+    /**
+     * Redacts secrets from a value with this log's known secrets (see redactSecrets).
+     * @param {*} value - The value.
+     * @returns {*} The redacted copy.
+     */
+    redact(value) {
+        return redactSecrets(value, this.secrets);
+    }
+
+    /**
+     * Resolves once every event written so far is on disk.
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.writeQueue;
+    }
+
+    /**
+     * Appends a line, rotating the file first if the line would take it past `maxBytes`.
+     * @param {string} line - The JSON line.
+     * @returns {Promise<void>}
+     */
+    async _append(line) {
+        const bytes = Buffer.byteLength(line);
+        if (this.size === null) {
+            await fs.mkdir(path.dirname(this.logPath), { recursive: true });
+            try {
+                this.size = (await fs.stat(this.logPath)).size;
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+                this.size = 0;
+            }
+        }
+        if (this.size > 0 && this.size + bytes > this.maxBytes) {
+            await this._rotate();
+        }
+        await fs.appendFile(this.logPath, line, 'utf8');
+        this.size += bytes;
+    }
+
+    /**
+     * Shifts the rotated files (`.1` -> `.2`, ...), dropping the oldest, and moves the current file to `.1`.
+     * @returns {Promise<void>}
+     */
+    async _rotate() {
+        const ignoreMissing = (error) => {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        };
+        if (this.maxFiles < 1) {
+            await fs.unlink(this.logPath).catch(ignoreMissing);
+        } else {
+            await fs.unlink(`${this.logPath}.${this.maxFiles}`).catch(ignoreMissing);
+            for (let index = this.maxFiles - 1; index >= 1; index--) {
+                await fs.rename(`${this.logPath}.${index}`, `${this.logPath}.${index + 1}`).catch(ignoreMissing);
+            }
+            await fs.rename(this.logPath, `${this.logPath}.1`);
+        }
+        this.size = 0;
+    }
+}
+
+let defaultAuditLog = null;
+
+/**
+ * Returns the process-wide audit log shared by the job runner and the reconciliation service.
+ * @returns {AuditLog} The shared audit log.
+ */
+function getDefaultAuditLog() {
+    if (!defaultAuditLog) {
+        defaultAuditLog = new AuditLog();
+    }
+    return defaultAuditLog;
+}
+
+module.exports = {
+    AuditLog,
+    getDefaultAuditLog,
+    redactSecrets,
+    collectEnvironmentSecrets,
+    REDACTED,
+};
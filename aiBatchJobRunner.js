@@ -0,0 +1,504 @@
+const EventEmitter = require('events');
+const fsSync = require('fs');
+const fs = fsSync.promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./aiLogger');
+const { integrateFileForAI } = require('./aIFileIntegrator');
+const { SentimentProviderRegistry } = require('./aiSentimentProviderRegistry');
+const { ERROR_CATEGORIES, classifyProviderError, retryWithBackoff } = require('./aiProviderQuotaManager');
+const { mapWithConcurrency } = require('./aiConcurrency');
+const { getDefaultAuditLog } = require('./aiAuditLog');
+
+/**
+ * @module aiBatchJobRunner
+ * @description Resumable batch sentiment analysis. A job takes the records of one input file (integrateFileForAI),
+ *              analyzes them with the provider registry at bounded concurrency and keeps its state in a job
+ *              directory (`data/jobs/<jobId>/` by default):
+ *
+ *              - `job.json`          the checkpoint: status, input checksum, counters and the completed records
+ *                                    (every index below `completedThrough`, plus `completedAbove`)
+ *              - `results.jsonl`     one line per analyzed record: `{ index, id, source, label, score, ... }`
+ *              - `dead-letter.jsonl` records that failed on every retry: `{ index, id, source, text, error, ... }`
+ *
+ *              Running a job again resumes it: records already in either output file are skipped, so a crash
+ *              between writing a result and the next checkpoint neither loses nor repeats a record. Transient
+ *              provider errors are retried per record with backoff; when every provider is out of quota the job
+ *              pauses instead of dead-lettering the rest of the input. Job events are written to the audit log
+ *              (aiAuditLog) and emitted:
+ *
+ *              - `progress`   ({ jobId, total, completed, succeeded, deadLettered })  at every checkpoint
+ *              - `deadLetter` ({ jobId, index, id, error })
+ *              - `paused`, `cancelled`, `completed` (the run summary), `failed` (the error)
+ */
+
+/**
+ * Version of the `job.json` format.
+ * @type {number}
+ */
+const JOB_FILE_VERSION = 1;
+
+/**
+ * Job statuses.
+ * @type {{PENDING: string, RUNNING: string, PAUSED: string, CANCELLED: string, COMPLETED: string, FAILED: string}}
+ */
+const JOB_STATUSES = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    CANCELLED: 'cancelled',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+};
+
+/**
+ * Default per-record retry policy (see retryWithBackoff).
+ * @type {{retries: number, baseDelayMs: number, maxDelayMs: number}}
+ */
+const DEFAULT_RECORD_RETRY = { retries: 2, baseDelayMs: 1000, maxDelayMs: 30000 };
+
+/**
+ * Computes the SHA-256 of a file without loading it into memory.
+ * @param {string} filePath - The file.
+ * @returns {Promise<string>} The hex digest.
+ */
+function _hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fsSync.createReadStream(filePath)
+            .on('data', (chunk) => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Classifies the error of a record whose analysis failed on every provider.
+ * @param {Error} error - The error thrown by SentimentProviderRegistry.analyze (with `attempts`).
+ * @returns {'quota'|'transient'|'fatal'} `quota` if every provider is out of quota, `transient` if waiting may help
+ *          (a provider failed transiently, or every provider was skipped by its circuit breaker), `fatal` otherwise.
+ */
+function classifyRecordError(error) {
+    const attempts = error.attempts || [{ skipped: false, error }];
+    const isQuota = (attempt) => (attempt.skipped
+        ? /quota/i.test(attempt.reason || '')
+        : classifyProviderError(attempt.error) === ERROR_CATEGORIES.QUOTA);
+    if (attempts.length > 0 && attempts.every(isQuota)) {
+        return ERROR_CATEGORIES.QUOTA;
+    }
+    const failed = attempts.filter((attempt) => !attempt.skipped);
+    if (failed.length === 0 || failed.some((attempt) => classifyProviderError(attempt.error) === ERROR_CATEGORIES.TRANSIENT)) {
+        return ERROR_CATEGORIES.TRANSIENT;
+    }
+    return ERROR_CATEGORIES.FATAL;
+}
+
+/**
+ * Reads the record indexes of a job output file, dropping a trailing partial line left by a crash.
+ * @param {string} filePath - The JSON-lines file.
+ * @returns {Promise<number[]>} The indexes.
+ */
+async function _readOutputIndexes(filePath) {
+    let content;
+    try {
+        content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+    const end = content.lastIndexOf('\n') + 1;
+    if (end < content.length) {
+        logger.warn(`[Batch Job] Dropping an incomplete last line from ${filePath}.`);
+        await fs.truncate(filePath, Buffer.byteLength(content.slice(0, end)));
+    }
+    return content.slice(0, end).split('\n')
+        .filter((line) => line.trim() !== '')
+        .map((line) => JSON.parse(line).index);
+}
+
+class BatchAnalysisJob extends EventEmitter {
+    /**
+     * @param {Object} config - Job configuration.
+     * @param {string} config.inputPath - The file to analyze (any format integrateFileForAI reads).
+     * @param {string} [config.jobId] - The job id (defaults to the input file name and a hash of its path, so running
+     *        the same input again resumes the same job).
+     * @param {string} [config.jobDir] - The parent of job directories (defaults to AI_JOB_DIR, then data/jobs).
+     * @param {SentimentProviderRegistry} [config.registry] - The providers (defaults to SentimentProviderRegistry.fromConfig()).
+     * @param {number} [config.concurrency=4] - Records analyzed at once.
+     * @param {Object} [config.retry] - Per-record retry policy: `{ retries=2, baseDelayMs=1000, maxDelayMs=30000 }`.
+     * @param {number} [config.checkpointEvery=100] - Records completed between checkpoints.
+     * @param {Object} [config.integrateOptions={}] - Options of integrateFileForAI (format, textField, preprocess...).
+     *        Saved with the job; a resumed job reuses the saved options.
+     * @param {Object} [config.analyzeOptions={}] - Options of SentimentProviderRegistry.analyze (providers).
+     * @param {AuditLog|null} [config.auditLog] - The audit log (defaults to the shared one; null disables it).
+     */
+    constructor(config = {}) {
+        super();
+        if (!config.inputPath) {
+            throw new Error('A batch job needs an input file (config.inputPath).');
+        }
+        this.inputPath = path.resolve(config.inputPath);
+        this.jobId = config.jobId || `${path.basename(this.inputPath).replace(/[^\w.-]+/g, '_')}-${crypto.createHash('sha256').update(this.inputPath).digest('hex').slice(0, 12)}`;
+        this.jobDir = path.join(config.jobDir || process.env.AI_JOB_DIR || path.join(process.cwd(), 'data', 'jobs'), this.jobId);
+        this.jobFilePath = path.join(this.jobDir, 'job.json');
+        this.resultsPath = path.join(this.jobDir, 'results.jsonl');
+        this.deadLetterPath = path.join(this.jobDir, 'dead-letter.jsonl');
+        this.registry = config.registry || null;
+        this.concurrency = config.concurrency || 4;
+        this.retry = { ...DEFAULT_RECORD_RETRY, ...(config.retry || {}) };
+        this.checkpointEvery = config.checkpointEvery || 100;
+        this.integrateOptions = config.integrateOptions || {};
+        this.analyzeOptions = config.analyzeOptions || {};
+        this.auditLog = config.auditLog !== undefined ? config.auditLog : getDefaultAuditLog();
+
+        this.state = null;
+        this.running = null;
+        this.stopRequest = null;
+        this.completed = new Set();
+        this.checkpointQueue = Promise.resolve();
+        this.outputQueue = Promise.resolve();
+    }
+
+    /**
+     * Runs the job until every record is analyzed or dead-lettered, or until it is paused or cancelled.
+     * A paused or interrupted job resumes where it stopped; a completed job returns its summary at once.
+     * @returns {Promise<Object>} The summary: `{ jobId, status, total, completed, succeeded, deadLettered, remaining,
+     *          resultsPath, deadLetterPath, durationMs, reason }`.
+     * @throws {Error} If the job is already running, was cancelled, or its input changed since it started.
+     */
+    run() {
+        if (this.running) {
+            return Promise.reject(new Error(`Job '${this.jobId}' is already running.`));
+        }
+        this.running = this._run().finally(() => {
+            this.running = null;
+        });
+        return this.running;
+    }
+
+    /**
+     * Pauses the job: records in flight finish and are recorded, no further records start. Run the job again to resume.
+     * @param {string} [reason='paused by request'] - Why the job is paused (saved with the job).
+     * @returns {Promise<?Object>} The run summary once the job has stopped, or null if it was not running.
+     */
+    async pause(reason = 'paused by request') {
+        if (!this.running) {
+            return null;
+        }
+        this._requestStop(JOB_STATUSES.PAUSED, reason);
+        return this.running;
+    }
+
+    /**
+     * Cancels the job: records in flight finish and are recorded, and the job can no longer be resumed.
+     * @param {string} [reason='cancelled by request'] - Why the job is cancelled (saved with the job).
+     * @returns {Promise<Object>} The summary once the job has stopped.
+     */
+    async cancel(reason = 'cancelled by request') {
+        if (this.running) {
+            this._requestStop(JOB_STATUSES.CANCELLED, reason);
+            return this.running;
+        }
+        const state = await this._loadState();
+        if (!state) {
+            throw new Error(`Job '${this.jobId}' does not exist.`);
+        }
+        if (state.status !== JOB_STATUSES.COMPLETED && state.status !== JOB_STATUSES.CANCELLED) {
+            this.state = state;
+            this.completed = new Set([...await _readOutputIndexes(this.resultsPath), ...await _readOutputIndexes(this.deadLetterPath)]);
+            this._finish(JOB_STATUSES.CANCELLED, reason);
+            await this._saveCheckpoint();
+            this._audit('job.cancelled', { reason }, 'warn');
+            await this._flushAudit();
+        }
+        return this._summarize(state, 0);
+    }
+
+    /**
+     * Reads the saved state of the job.
+     * @returns {Promise<?Object>} The `job.json` content, or null if the job never ran.
+     */
+    async getStatus() {
+        return this._loadState();
+    }
+
+    /**
+     * Performs a run (see run).
+     * @returns {Promise<Object>} The run summary.
+     */
+    async _run() {
+        const startedAt = Date.now();
+        this.stopRequest = null;
+        const saved = await this._loadState();
+        if (saved && saved.status === JOB_STATUSES.CANCELLED) {
+            throw new Error(`Job '${this.jobId}' was cancelled${saved.reason ? ` (${saved.reason})` : ''}; start a new job to analyze '${this.inputPath}' again.`);
+        }
+        if (saved && saved.status === JOB_STATUSES.COMPLETED) {
+            return this._summarize(saved, 0);
+        }
+
+        try {
+            const inputChecksum = await _hashFile(this.inputPath);
+            if (saved && saved.inputChecksum !== inputChecksum) {
+                throw new Error(`The input '${this.inputPath}' changed since job '${this.jobId}' started; start a new job to analyze it.`);
+            }
+            const integrateOptions = saved ? saved.integrateOptions : this.integrateOptions;
+            const records = await integrateFileForAI(this.inputPath, integrateOptions);
+            this.state = saved || {
+                version: JOB_FILE_VERSION,
+                jobId: this.jobId,
+                inputPath: this.inputPath,
+                inputChecksum,
+                integrateOptions,
+                createdAt: new Date().toISOString(),
+                total: records.length,
+            };
+            this.state.status = JOB_STATUSES.RUNNING;
+            this.state.reason = undefined;
+
+            // The output files are the source of truth: they may hold records completed after the last checkpoint.
+            await fs.mkdir(this.jobDir, { recursive: true });
+            const succeeded = await _readOutputIndexes(this.resultsPath);
+            const deadLettered = await _readOutputIndexes(this.deadLetterPath);
+            this.completed = new Set([...succeeded, ...deadLettered]);
+            this.state.succeeded = succeeded.length;
+            this.state.deadLettered = deadLettered.length;
+            const pending = records.map((record, index) => index).filter((index) => !this.completed.has(index));
+
+            this._audit(saved ? 'job.resumed' : 'job.started', { inputPath: this.inputPath, total: records.length, pending: pending.length, concurrency: this.concurrency });
+            logger.info(`[Batch Job] ${saved ? 'Resuming' : 'Starting'} job '${this.jobId}': ${pending.length} of ${records.length} records to analyze.`);
+            await this._saveCheckpoint();
+
+            if (!this.registry) {
+                this.registry = SentimentProviderRegistry.fromConfig();
+            }
+            let sinceCheckpoint = 0;
+            await mapWithConcurrency(pending, this.concurrency, async (index) => {
+                if (this.stopRequest) {
+                    return;
+                }
+                if (await this._processRecord(records[index], index) && ++sinceCheckpoint >= this.checkpointEvery) {
+                    sinceCheckpoint = 0;
+                    await this._saveCheckpoint();
+                    this.emit('progress', this._progress());
+                }
+            });
+            await this.outputQueue;
+
+            const { status, reason } = this.stopRequest || { status: JOB_STATUSES.COMPLETED };
+            this._finish(status, reason);
+            await this._saveCheckpoint();
+            const summary = this._summarize(this.state, Date.now() - startedAt);
+            this._audit(`job.${status}`, summary, status === JOB_STATUSES.COMPLETED ? 'info' : 'warn');
+            logger[status === JOB_STATUSES.COMPLETED ? 'info' : 'warn'](`[Batch Job] Job '${this.jobId}' ${status}${reason ? ` (${reason})` : ''}: `
+                + `${summary.succeeded} analyzed, ${summary.deadLettered} dead-lettered, ${summary.remaining} remaining.`);
+            await this._flushAudit();
+            this.emit(status, summary);
+            return summary;
+        } catch (error) {
+            if (this.state) {
+                await this.outputQueue.catch(() => {});
+                this._finish(JOB_STATUSES.FAILED, error.message);
+                await this._saveCheckpoint().catch(() => {});
+            }
+            this._audit('job.failed', { inputPath: this.inputPath, error }, 'error');
+            logger.error(`[Batch Job] Job '${this.jobId}' failed: ${error.message}`);
+            await this._flushAudit();
+            if (this.listenerCount('failed') > 0) {
+                this.emit('failed', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Analyzes one record with retries, then appends it to the results or the dead-letter file.
+     * @param {Object} record - The record (`{ id, text, source }`).
+     * @param {number} index - Its index in the input.
+     * @returns {Promise<boolean>} True if the record was completed, false if it was left for a later run.
+     */
+    async _processRecord(record, index) {
+        let retries = 0;
+        try {
+            const result = await retryWithBackoff(() => this.registry.analyze(record.text, this.analyzeOptions), {
+                ...this.retry,
+                shouldRetry: (error) => !this.stopRequest && classifyRecordError(error) === ERROR_CATEGORIES.TRANSIENT,
+                onRetry: (error, attempt, delayMs) => {
+                    retries = attempt + 1;
+                    this._audit('record.retry', { index, id: record.id, attempt: retries, delayMs: Math.round(delayMs), error: error.message }, 'warn');
+                },
+            });
+            await this._appendOutput(this.resultsPath, { index, id: record.id, source: record.source, ...result });
+            this.state.succeeded++;
+        } catch (error) {
+            if (classifyRecordError(error) === ERROR_CATEGORIES.QUOTA) {
+                this._requestStop(JOB_STATUSES.PAUSED, 'every sentiment provider is out of quota');
+                return false;
+            }
+            if (this.stopRequest && classifyRecordError(error) === ERROR_CATEGORIES.TRANSIENT) {
+                // Retries were cut short by the pause or cancel; the record is retried when the job resumes.
+                return false;
+            }
+            await this._appendOutput(this.deadLetterPath, {
+                index,
+                id: record.id,
+                source: record.source,
+                text: record.text,
+                error: error.message,
+                attempts: (error.attempts || []).map((attempt) => ({ provider: attempt.provider, skipped: attempt.skipped, reason: attempt.reason, category: attempt.category })),
+                retries,
+                failedAt: new Date().toISOString(),
+            });
+            this.state.deadLettered++;
+            this._audit('record.deadLettered', { index, id: record.id, retries, error: error.message }, 'error');
+            this.emit('deadLetter', { jobId: this.jobId, index, id: record.id, error: error.message });
+        }
+        this.completed.add(index);
+        return true;
+    }
+
+    /**
+     * Appends a line to an output file. Appends are serialized.
+     * @param {string} filePath - The output file.
+     * @param {Object} entry - The entry.
+     * @returns {Promise<void>}
+     */
+    _appendOutput(filePath, entry) {
+        const line = `${JSON.stringify(entry)}\n`;
+        this.outputQueue = this.outputQueue.then(() => fs.appendFile(filePath, line, 'utf8'));
+        return this.outputQueue;
+    }
+
+    /**
+     * Asks the run in progress to stop taking records. The first request wins.
+     * @param {string} status - `paused` or `cancelled`.
+     * @param {string} reason - Why.
+     */
+    _requestStop(status, reason) {
+        if (!this.stopRequest) {
+            this.stopRequest = { status, reason };
+            logger.info(`[Batch Job] Stopping job '${this.jobId}' (${reason}); waiting for the records in flight.`);
+        }
+    }
+
+    /**
+     * Sets the final status of a run.
+     * @param {string} status - The status.
+     * @param {string} [reason] - Why the job stopped (for statuses other than completed).
+     */
+    _finish(status, reason) {
+        this.state.status = status;
+        this.state.reason = reason;
+        if (status === JOB_STATUSES.COMPLETED || status === JOB_STATUSES.CANCELLED) {
+            this.state.finishedAt = new Date().toISOString();
+        }
+    }
+
+    /**
+     * Loads `job.json`.
+     * @returns {Promise<?Object>} The saved state, or null if there is none.
+     * @throws {Error} If the file exists but cannot be read or parsed.
+     */
+    async _loadState() {
+        try {
+            return JSON.parse(await fs.readFile(this.jobFilePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw new Error(`Failed to read job file ${this.jobFilePath}: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Writes the checkpoint. Writes are serialized and go through a temporary file, so `job.json` is never half written.
+     * @returns {Promise<void>}
+     */
+    _saveCheckpoint() {
+        const sorted = [...this.completed].sort((a, b) => a - b);
+        let completedThrough = 0;
+        while (completedThrough < sorted.length && sorted[completedThrough] === completedThrough) {
+            completedThrough++;
+        }
+        const snapshot = JSON.stringify({
+            ...this.state,
+            completed: this.completed.size,
+            completedThrough,
+            completedAbove: sorted.slice(completedThrough),
+            updatedAt: new Date().toISOString(),
+        }, null, 2);
+        this.checkpointQueue = this.checkpointQueue.then(async () => {
+            await fs.mkdir(this.jobDir, { recursive: true });
+            const temporaryPath = `${this.jobFilePath}.tmp`;
+            await fs.writeFile(temporaryPath, snapshot, 'utf8');
+            await fs.rename(temporaryPath, this.jobFilePath);
+        });
+        return this.checkpointQueue;
+    }
+
+    /**
+     * @returns {{jobId: string, total: number, completed: number, succeeded: number, deadLettered: number}} The progress.
+     */
+    _progress() {
+        return {
+            jobId: this.jobId,
+            total: this.state.total,
+            completed: this.completed.size,
+            succeeded: this.state.succeeded,
+            deadLettered: this.state.deadLettered,
+        };
+    }
+
+    /**
+     * Builds a run summary.
+     * @param {Object} state - The job state.
+     * @param {number} durationMs - How long the run took.
+     * @returns {Object} The summary (see run).
+     */
+    _summarize(state, durationMs) {
+        const completed = (state.succeeded || 0) + (state.deadLettered || 0);
+        return {
+            jobId: this.jobId,
+            status: state.status,
+            total: state.total,
+            completed,
+            succeeded: state.succeeded || 0,
+            deadLettered: state.deadLettered || 0,
+            remaining: state.total - completed,
+            resultsPath: this.resultsPath,
+            deadLetterPath: this.deadLetterPath,
+            durationMs,
+            reason: state.reason,
+        };
+    }
+
+    /**
+     * Writes a job event to the audit log, if there is one.
+     * @param {string} event - The event name.
+     * @param {Object} data - The event fields.
+     * @param {string} [level='info'] - The severity.
+     */
+    _audit(event, data, level = 'info') {
+        if (this.auditLog) {
+            this.auditLog.write(event, { jobId: this.jobId, ...data }, level);
+        }
+    }
+
+    /**
+     * Waits for pending audit events.
+     * @returns {Promise<void>}
+     */
+    async _flushAudit() {
+        if (this.auditLog) {
+            await this.auditLog.flush();
+        }
+    }
+}
+
+module.exports = {
+    BatchAnalysisJob,
+    JOB_STATUSES,
+    classifyRecordError,
+};
@@ -0,0 +1,42 @@
+/**
+ * @module aiConcurrency
+ * @description Helpers for running asynchronous work with a bounded number of tasks in flight.
+ */
+
+/**
+ * Maps items through an async function while keeping at most `limit` calls pending.
+ * Results keep the order of the input items. The first rejection rejects the whole call,
+ * after the tasks already started have settled.
+ * @param {Array<*>} items - The items to process.
+ * @param {number} limit - The maximum number of concurrent calls (at least 1).
+ * @param {function(*, number): Promise<*>} iteratee - Called with each item and its index.
+ * @returns {Promise<Array<*>>} A promise that resolves with the mapped results.
+ */
+async function mapWithConcurrency(items, limit, iteratee) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let failure = null;
+
+    const worker = async () => {
+        while (failure === null && nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                results[index] = await iteratee(items[index], index);
+            } catch (error) {
+                failure = failure || { error };
+            }
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(Math.floor(limit) || 1, items.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    if (failure) {
+        throw failure.error;
+    }
+    return results;
+}
+
+module.exports = {
+    mapWithConcurrency,
+};
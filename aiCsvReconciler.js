@@ -0,0 +1,259 @@
+const { parseCsv } = require('./aIFileIntegrator');
+
+/**
+ * @module aiCsvReconciler
+ * @description Row-level reconciliation of two CSV documents. Rows are matched on key columns (an `id`
+ *              column present in both files when none are given, or by position with `matchByPosition`),
+ *              columns are matched by header name, and each column is compared with its own rule (by default
+ *              `auto`: numerically when both cells are numbers, so `0.8` equals `0.8000`, exactly otherwise):
+ *
+ *              {
+ *                  "keyColumns": ["analysis_id"],
+ *                  "columnMapping": { "analysis_id": "request_id", "score": "sentiment_score" },
+ *                  "columns": { "score": { "rule": "numeric", "epsilon": 0.0001 }, "label": "caseInsensitive", "exported_at": "ignore" }
+ *              }
+ *
+ *              Column names refer to file A; `columnMapping` gives the header of the same column in file B.
+ */
+
+/**
+ * Supported per-column comparison rules.
+ * @type {string[]}
+ */
+const CSV_COLUMN_RULES = ['auto', 'exact', 'caseInsensitive', 'numeric', 'ignore'];
+
+/**
+ * Column used as the row key when no key columns are given and both files have it.
+ * @type {string}
+ */
+const DEFAULT_KEY_COLUMN = 'id';
+
+// A plain decimal number, as exported by spreadsheets and analysis tools (no hex, no `Infinity`).
+const NUMBER_PATTERN = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?$/i;
+
+/**
+ * Normalizes a column rule given as a string or `{ rule, epsilon }`.
+ * @param {string|Object} [rule='auto'] - The configured rule.
+ * @param {string} column - The column name (for error messages).
+ * @returns {{rule: string, epsilon: number}} The normalized rule.
+ * @throws {Error} If the rule is unknown.
+ */
+function _normalizeRule(rule = 'auto', column) {
+    const normalized = typeof rule === 'string' ? { rule } : { rule: rule.rule || 'auto', epsilon: rule.epsilon };
+    if (!CSV_COLUMN_RULES.includes(normalized.rule)) {
+        throw new Error(`Unknown comparison rule '${normalized.rule}' for CSV column '${column}'; expected one of ${CSV_COLUMN_RULES.join(', ')}.`);
+    }
+    normalized.epsilon = Number(normalized.epsilon) || 0;
+    return normalized;
+}
+
+/**
+ * Compares two cell values with a column rule.
+ * @param {string} valueA - The cell of file A.
+ * @param {string} valueB - The cell of file B.
+ * @param {{rule: string, epsilon: number}} rule - The comparison rule.
+ * @returns {boolean} True if the cells are considered equal.
+ */
+function compareCells(valueA, valueB, rule) {
+    switch (rule.rule) {
+        case 'ignore':
+            return true;
+        case 'auto':
+            if (NUMBER_PATTERN.test(valueA.trim()) && NUMBER_PATTERN.test(valueB.trim())) {
+                return Math.abs(Number(valueA) - Number(valueB)) <= rule.epsilon;
+            }
+            return valueA === valueB;
+        case 'caseInsensitive':
+            return valueA.trim().toLowerCase() === valueB.trim().toLowerCase();
+        case 'numeric': {
+            if (valueA.trim() === '' || valueB.trim() === '') {
+                return valueA.trim() === valueB.trim();
+            }
+            const numberA = Number(valueA);
+            const numberB = Number(valueB);
+            if (Number.isNaN(numberA) || Number.isNaN(numberB)) {
+                return valueA === valueB;
+            }
+            return Math.abs(numberA - numberB) <= rule.epsilon;
+        }
+        default:
+            return valueA === valueB;
+    }
+}
+
+/**
+ * Parses a CSV document into a header and rows.
+ * @param {string} content - The CSV text.
+ * @param {string} delimiter - The field delimiter.
+ * @returns {{header: string[], rows: Array<{values: string[], line: number}>}} The header and data rows.
+ */
+function _parseTable(content, delimiter) {
+    const [headerRow, ...rows] = parseCsv(content.replace(/^\uFEFF/, ''), { delimiter });
+    return { header: headerRow ? headerRow.values.map((name) => name.trim()) : [], rows };
+}
+
+/**
+ * Reconciles two CSV documents.
+ * @param {string} contentA - The CSV text of file A.
+ * @param {string} contentB - The CSV text of file B.
+ * @param {Object} [options={}] - Reconciliation options.
+ * @param {string} [options.delimiter=','] - The field delimiter of both files.
+ * @param {string[]} [options.keyColumns] - Columns (of file A) identifying a row; defaults to `id` when both files
+ *        have that column.
+ * @param {boolean} [options.matchByPosition=false] - Match rows by position when there are no key columns.
+ * @param {Object<string, string>} [options.columnMapping={}] - File A header -> file B header, for renamed columns.
+ * @param {Object<string, (string|Object)>} [options.columns={}] - Per-column rules: `auto`, `exact`,
+ *        `caseInsensitive`, `ignore` or `{ rule: 'numeric', epsilon }`.
+ * @param {string|Object} [options.defaultRule='auto'] - The rule of columns without their own.
+ * @returns {{isMatch: boolean, onlyInA: Array<Object>, onlyInB: Array<Object>, differingRows: Array<Object>,
+ *           columnsOnlyInA: string[], columnsOnlyInB: string[], duplicateKeys: {a: string[], b: string[]}, stats: Object}}
+ *          The report. Rows are reported as `{ key, line, row }`; differing rows as `{ key, lineA, lineB, cells }`
+ *          with `{ column, columnB, valueA, valueB, rule }` cells.
+ * @throws {Error} If a key column is missing, no key column identifies the rows (and `matchByPosition` is not set),
+ *         a rule is unknown or a CSV document is malformed.
+ */
+function reconcileCsvContent(contentA, contentB, options = {}) {
+    const delimiter = options.delimiter || ',';
+    let keyColumns = options.keyColumns || [];
+    const columnMapping = options.columnMapping || {};
+    const columnRules = options.columns || {};
+    const defaultRule = _normalizeRule(options.defaultRule, '(default)');
+
+    const tableA = _parseTable(contentA, delimiter);
+    const tableB = _parseTable(contentB, delimiter);
+    const indexA = new Map(tableA.header.map((name, index) => [name, index]));
+    const indexB = new Map(tableB.header.map((name, index) => [name, index]));
+    const toColumnB = (column) => columnMapping[column] || column;
+
+    if (keyColumns.length === 0 && !options.matchByPosition) {
+        if (!indexA.has(DEFAULT_KEY_COLUMN) || !indexB.has(toColumnB(DEFAULT_KEY_COLUMN))) {
+            throw new Error(`No key columns: set 'keyColumns' (there is no '${DEFAULT_KEY_COLUMN}' column in both files), `
+                + 'or \'matchByPosition\' to match the rows in order.');
+        }
+        keyColumns = [DEFAULT_KEY_COLUMN];
+    }
+    for (const column of keyColumns) {
+        if (!indexA.has(column)) {
+            throw new Error(`Key column '${column}' is not in the header of file A.`);
+        }
+        if (!indexB.has(toColumnB(column))) {
+            throw new Error(`Key column '${toColumnB(column)}' is not in the header of file B.`);
+        }
+    }
+
+    const rules = new Map(tableA.header.map((column) => [column, columnRules[column] !== undefined ? _normalizeRule(columnRules[column], column) : defaultRule]));
+    const comparedColumns = tableA.header.filter((column) => indexB.has(toColumnB(column)) && !keyColumns.includes(column));
+    const mappedB = new Set(tableA.header.map(toColumnB));
+    const columnsOnlyInA = tableA.header.filter((column) => !indexB.has(toColumnB(column)) && rules.get(column).rule !== 'ignore');
+    const columnsOnlyInB = tableB.header.filter((column) => !mappedB.has(column)
+        && !(columnRules[column] && _normalizeRule(columnRules[column], column).rule === 'ignore'));
+
+    const cell = (row, index) => (index !== undefined && row.values[index] !== undefined ? row.values[index] : '');
+    const toObject = (row, header) => Object.fromEntries(header.map((name, index) => [name, cell(row, index)]));
+    const keyOf = (row, isB, position) => (keyColumns.length === 0
+        ? `#${position + 1}`
+        : keyColumns.map((column) => `${column}=${cell(row, isB ? indexB.get(toColumnB(column)) : indexA.get(column))}`).join(', '));
+
+    // Index file B by key; duplicate keys are matched in order of appearance.
+    const rowsByKeyB = new Map();
+    const duplicateKeys = { a: new Set(), b: new Set() };
+    tableB.rows.forEach((row, position) => {
+        const key = keyOf(row, true, position);
+        if (rowsByKeyB.has(key)) {
+            duplicateKeys.b.add(key);
+            rowsByKeyB.get(key).push(row);
+        } else {
+            rowsByKeyB.set(key, [row]);
+        }
+    });
+
+    const onlyInA = [];
+    const differingRows = [];
+    const seenKeysA = new Set();
+    let matchedRows = 0;
+    tableA.rows.forEach((rowA, position) => {
+        const key = keyOf(rowA, false, position);
+        if (seenKeysA.has(key)) {
+            duplicateKeys.a.add(key);
+        }
+        seenKeysA.add(key);
+        const candidates = rowsByKeyB.get(key);
+        if (!candidates || candidates.length === 0) {
+            onlyInA.push({ key, line: rowA.line, row: toObject(rowA, tableA.header) });
+            return;
+        }
+        const rowB = candidates.shift();
+        matchedRows++;
+        const cells = [];
+        for (const column of comparedColumns) {
+            const rule = rules.get(column);
+            const valueA = cell(rowA, indexA.get(column));
+            const valueB = cell(rowB, indexB.get(toColumnB(column)));
+            if (!compareCells(valueA, valueB, rule)) {
+                cells.push({ column, columnB: toColumnB(column), valueA, valueB, rule: rule.rule });
+            }
+        }
+        if (cells.length > 0) {
+            differingRows.push({ key, lineA: rowA.line, lineB: rowB.line, cells });
+        }
+    });
+
+    const onlyInB = [];
+    for (const [key, rows] of rowsByKeyB) {
+        for (const row of rows) {
+            onlyInB.push({ key, line: row.line, row: toObject(row, tableB.header) });
+        }
+    }
+    onlyInB.sort((a, b) => a.line - b.line);
+
+    return {
+        isMatch: onlyInA.length === 0 && onlyInB.length === 0 && differingRows.length === 0
+            && columnsOnlyInA.length === 0 && columnsOnlyInB.length === 0,
+        onlyInA,
+        onlyInB,
+        differingRows,
+        columnsOnlyInA,
+        columnsOnlyInB,
+        duplicateKeys: { a: [...duplicateKeys.a], b: [...duplicateKeys.b] },
+        stats: { rowsA: tableA.rows.length, rowsB: tableB.rows.length, matchedRows, comparedColumns: comparedColumns.length },
+    };
+}
+
+/**
+ * Describes a CSV reconciliation report as one line per finding.
+ * @param {Object} report - The reconcileCsvContent() report.
+ * @returns {string[]} The descriptions.
+ */
+function describeCsvReport(report) {
+    const lines = [];
+    if (report.columnsOnlyInA.length > 0) {
+        lines.push(`Columns only in file A: ${report.columnsOnlyInA.join(', ')}`);
+    }
+    if (report.columnsOnlyInB.length > 0) {
+        lines.push(`Columns only in file B: ${report.columnsOnlyInB.join(', ')}`);
+    }
+    if (report.duplicateKeys.a.length > 0) {
+        lines.push(`Duplicate keys in file A: ${report.duplicateKeys.a.join('; ')}`);
+    }
+    if (report.duplicateKeys.b.length > 0) {
+        lines.push(`Duplicate keys in file B: ${report.duplicateKeys.b.join('; ')}`);
+    }
+    for (const entry of report.onlyInA) {
+        lines.push(`Row ${entry.key} only in file A (line ${entry.line}).`);
+    }
+    for (const entry of report.onlyInB) {
+        lines.push(`Row ${entry.key} only in file B (line ${entry.line}).`);
+    }
+    for (const entry of report.differingRows) {
+        const cells = entry.cells.map((difference) => `${difference.column}: "${difference.valueA}" vs "${difference.valueB}"`).join('; ');
+        lines.push(`Row ${entry.key} differs (lines ${entry.lineA}/${entry.lineB}): ${cells}`);
+    }
+    return lines;
+}
+
+module.exports = {
+    reconcileCsvContent,
+    describeCsvReport,
+    compareCells,
+    CSV_COLUMN_RULES,
+};
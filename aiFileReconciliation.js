@@ -1,27 +1,69 @@
-const fs = require('fs').promises;
+const fsSync = require('fs'); // For createReadStream (not part of the promises API)
+const fs = fsSync.promises;
 const path = require('path');
 const crypto = require('crypto');
-const util = require('util'); // For util.isDeepStrictEqual
 const readline = require('readline'); // Added for stream-based text file comparison
+const { diffJson, toJsonPatch, describeDifference } = require('./aiJsonDiff');
+const { reconcileCsvContent, describeCsvReport } = require('./aiCsvReconciler');
+const { diffText } = require('./aiTextDiff');
+const { compareJsonStreams, compareJsonLinesFiles, describeStreamProgress } = require('./aiJsonStreamComparator');
+const { walkDirectory } = require('./aIFileIntegrator');
+const { createPathMatcher, toPosixPath } = require('./aiGlobMatcher');
+const { mapWithConcurrency } = require('./aiConcurrency');
+const { compareSentimentResults, loadSentimentResultSet, describeAgreementReport, renderAgreementHtml } = require('./aiSentimentAgreement');
+const { loadModelVersionHistory } = require('./aiAssetReconciler');
+const { AuditLog, getDefaultAuditLog, redactSecrets } = require('./aiAuditLog');
+
+// Text files larger than this (combined) are compared line by line with streams instead of being diffed.
+const DEFAULT_TEXT_DIFF_MAX_BYTES = 20 * 1024 * 1024;
+
+// JSON files larger than this (combined) are compared as streams instead of being parsed into memory.
+const DEFAULT_JSON_DIFF_MAX_BYTES = 20 * 1024 * 1024;
+
+// Version of the checksum manifest format written by writeManifest().
+const MANIFEST_VERSION = 1;
 
 class AIFileReconciliationService {
     constructor(config = {}) {
         this.logPath = config.logPath || path.join(process.cwd(), 'logs', 'reconciliation.log');
         this.checksumAlgorithm = config.checksumAlgorithm || 'sha256';
-        // Removed 'strictJsonComparison' as per critical review feedback,
-        // as util.isDeepStrictEqual provides the robust comparison needed.
+        // Removed 'strictJsonComparison' as per critical review feedback; JSON files are compared
+        // structurally with aiJsonDiff, tuned by `jsonDiff` ({ ignorePaths, numericTolerance, unorderedArrays }).
+        // Files past `jsonDiff.maxBytes`, and JSON Lines files, are compared as streams (see aiJsonStreamComparator),
+        // reporting at most `jsonDiff.maxDifferences` differences.
+        this.jsonDiff = config.jsonDiff || {};
+        // CSV files are reconciled row by row (see aiCsvReconciler), tuned by
+        // `csv` ({ delimiter, keyColumns, matchByPosition, columnMapping, columns, defaultRule }).
+        this.csv = config.csv || {};
+        // Text files are diffed (see aiTextDiff), tuned by `textDiff`
+        // ({ ignoreWhitespace, ignoreCase, ignoreLineEndings, context, maxEditDistance, maxBytes }).
+        this.textDiff = config.textDiff || {};
         this.verbose = config.verbose !== undefined ? config.verbose : false;
+        // Every log entry is also written, as a `reconciliation` event, to the structured audit log (see aiAuditLog):
+        // `auditLog` is an AuditLog (null disables it), `auditLogPath` a JSON-lines file; defaults to the shared log.
+        if (config.auditLog !== undefined) {
+            this.auditLog = config.auditLog;
+        } else {
+            this.auditLog = config.auditLogPath ? new AuditLog({ logPath: config.auditLogPath }) : getDefaultAuditLog();
+        }
     }
 
     /**
      * Reconciles two files, comparing their content based on file type.
-     * Supports text, CSV, and JSON file comparisons.
+     * Supports text, CSV, JSON and JSON Lines (`.jsonl`, `.ndjson`) file comparisons.
      *
      * @param {string} file1Path - The path to the first file.
      * @param {string} file2Path - The path to the second file (reference or comparison file).
+     * @param {object} [options={}] - Per-call comparison options, overriding the constructor's.
+     * @param {object} [options.csv] - CSV reconciliation options (keyColumns, columnMapping, columns, ...).
+     * @param {object} [options.jsonDiff] - JSON diff options (ignorePaths, numericTolerance, unorderedArrays,
+     *        maxBytes, maxDifferences, progressIntervalMs).
+     * @param {function(object)} [options.onProgress] - Receives progress snapshots of streamed JSON comparisons
+     *        (bytes and records compared, throughput); progress is also written to the log.
+     * @param {object} [options.textDiff] - Text diff options (ignoreWhitespace, ignoreCase, ignoreLineEndings, context).
      * @returns {Promise<object>} An object containing reconciliation status and details.
      */
-    async reconcileFiles(file1Path, file2Path) {
+    async reconcileFiles(file1Path, file2Path, options = {}) {
         try {
             this._log(`Starting reconciliation for '${file1Path}' vs '${file2Path}'`);
 
@@ -51,11 +93,17 @@ class AIFileReconciliationService {
             let comparisonResult;
             switch (file1Ext) {
                 case '.txt':
-                case '.csv': // CSV files are typically text-based and can be compared line by line
-                    comparisonResult = await this._compareTextFiles(file1Path, file2Path);
+                    comparisonResult = await this._compareTextFiles(file1Path, file2Path, { ...this.textDiff, ...options.textDiff });
+                    break;
+                case '.csv':
+                    comparisonResult = await this._compareCsvFiles(file1Path, file2Path, { ...this.csv, ...options.csv });
                     break;
                 case '.json':
-                    comparisonResult = await this._compareJsonFiles(file1Path, file2Path);
+                    comparisonResult = await this._compareJsonFiles(file1Path, file2Path, { ...this.jsonDiff, ...options.jsonDiff }, options.onProgress);
+                    break;
+                case '.jsonl':
+                case '.ndjson':
+                    comparisonResult = await this._compareJsonLinesFiles(file1Path, file2Path, { ...this.jsonDiff, ...options.jsonDiff }, options.onProgress);
                     break;
                 default:
                     const message = `Unsupported file type for content comparison: '${file1Ext}'. Only checksums were compared.`;
@@ -63,14 +111,16 @@ class AIFileReconciliationService {
                     return { status: 'UNSUPPORTED_TYPE', message, checksum1, checksum2 };
             }
 
-            if (comparisonResult.isMatch) {
+            // Structured comparisons also return `differences` and a JSON `patch`.
+            const { isMatch, ...comparisonDetails } = comparisonResult;
+            if (isMatch) {
                 const message = `Content matches for '${file1Path}' and '${file2Path}'.`;
                 this._log(message, 'info');
-                return { status: 'MATCH', message, checksum1, checksum2, details: comparisonResult.details };
+                return { status: 'MATCH', message, checksum1, checksum2, ...comparisonDetails };
             } else {
                 const message = `Content mismatch detected between '${file1Path}' and '${file2Path}'.`;
                 this._log(message, 'error');
-                return { status: 'MISMATCH_CONTENT', message, checksum1, checksum2, details: comparisonResult.details };
+                return { status: 'MISMATCH_CONTENT', message, checksum1, checksum2, ...comparisonDetails };
             }
 
         } catch (error) {
@@ -84,21 +134,346 @@ class AIFileReconciliationService {
         }
     }
 
+    /**
+     * Lists the files of a directory tree as sorted POSIX-style relative paths.
+     * @param {string} directory - The directory to walk.
+     * @param {object} [filters={}] - Glob filters (see aiGlobMatcher.createPathMatcher).
+     * @param {string[]} [filters.include] - Globs a file must match.
+     * @param {string[]} [filters.ignore] - Globs of files or directories to skip.
+     * @returns {Promise<string[]>} The relative file paths.
+     */
+    async _listDirectoryFiles(directory, filters = {}) {
+        const isNotIgnored = createPathMatcher({ ignore: filters.ignore });
+        const isIncluded = createPathMatcher({ include: filters.include });
+        const files = await walkDirectory(directory, relativePath => !isNotIgnored(relativePath));
+        return files.map(toPosixPath).filter(relativePath => isIncluded(relativePath)).sort();
+    }
+
+    /**
+     * Tests whether a path relative to a directory leaves it (`../x`, or an absolute path).
+     * @param {string} relativePath - The relative path.
+     * @returns {boolean} True if the path resolves outside the directory.
+     */
+    _isOutsideDirectory(relativePath) {
+        return relativePath === '..' || relativePath.startsWith(`..${path.sep}`) || path.isAbsolute(relativePath);
+    }
+
+    /**
+     * Lists the manifest file and its temporary file when they are stored inside the directory they describe,
+     * so that a manifest does not list (or fail on) itself.
+     * @param {string} directoryPath - The directory.
+     * @param {string} [manifestPath] - The manifest file.
+     * @returns {string[]} Their POSIX-style paths relative to the directory (empty if outside).
+     */
+    _getManifestOwnPaths(directoryPath, manifestPath) {
+        if (!manifestPath) {
+            return [];
+        }
+        const relativePath = path.relative(path.resolve(directoryPath), path.resolve(manifestPath));
+        if (relativePath === '' || this._isOutsideDirectory(relativePath)) {
+            return [];
+        }
+        const posixPath = toPosixPath(relativePath);
+        return [posixPath, `${posixPath}.tmp`];
+    }
+
+    /**
+     * Reconciles two directory trees. Files present in both are compared with reconcileFiles (and so
+     * with the per-type comparators); the rest are reported as added (only in B) or removed (only in A).
+     *
+     * @param {string} dirAPath - The first directory (the reference).
+     * @param {string} dirBPath - The second directory.
+     * @param {object} [options={}] - Options; the per-call options of reconcileFiles apply to every file.
+     * @param {string[]} [options.ignore=[]] - Globs of files or directories to skip (e.g. `*.log`, `tmp`).
+     * @param {string[]} [options.include=[]] - Globs a file must match to be compared.
+     * @param {number} [options.concurrency=4] - The maximum number of files compared at once.
+     * @returns {Promise<object>} `{ status, message, added, removed, modified, unchanged, errors, stats }`, where
+     *          `added`/`removed`/`unchanged` are relative paths, `modified` and `errors` are `{ path, result }`.
+     */
+    async reconcileDirectories(dirAPath, dirBPath, options = {}) {
+        try {
+            this._log(`Starting directory reconciliation for '${dirAPath}' vs '${dirBPath}'`);
+            const [filesA, filesB] = await Promise.all([
+                this._listDirectoryFiles(dirAPath, options),
+                this._listDirectoryFiles(dirBPath, options)
+            ]);
+            const inA = new Set(filesA);
+            const inB = new Set(filesB);
+            const removed = filesA.filter(relativePath => !inB.has(relativePath));
+            const added = filesB.filter(relativePath => !inA.has(relativePath));
+            const common = filesA.filter(relativePath => inB.has(relativePath));
+
+            const results = await mapWithConcurrency(common, options.concurrency || 4,
+                relativePath => this.reconcileFiles(path.join(dirAPath, relativePath), path.join(dirBPath, relativePath), options));
+
+            const unchanged = [];
+            const modified = [];
+            const errors = [];
+            common.forEach((relativePath, index) => {
+                const result = results[index];
+                if (result.status === 'MATCH') {
+                    unchanged.push(relativePath);
+                } else if (result.status === 'ERROR' || result.status === 'FILE_NOT_FOUND') {
+                    errors.push({ path: relativePath, result });
+                } else {
+                    modified.push({ path: relativePath, result });
+                }
+            });
+
+            const stats = { filesA: filesA.length, filesB: filesB.length, added: added.length, removed: removed.length, modified: modified.length, unchanged: unchanged.length, errors: errors.length };
+            let status = 'MATCH';
+            let message = `Directories '${dirAPath}' and '${dirBPath}' match (${unchanged.length} files).`;
+            if (errors.length > 0) {
+                status = 'ERROR';
+                message = `${errors.length} files could not be compared between '${dirAPath}' and '${dirBPath}'.`;
+            } else if (added.length + removed.length + modified.length > 0) {
+                status = 'MISMATCH_TREE';
+                message = `Directories differ: ${added.length} added, ${removed.length} removed, ${modified.length} modified, ${unchanged.length} unchanged.`;
+            }
+            this._log(message, status === 'MATCH' ? 'info' : 'error');
+            return { status, message, added, removed, modified, unchanged, errors, stats };
+        } catch (error) {
+            if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+                const message = `Directory not found: ${error.path}.`;
+                this._log(message, 'error');
+                return { status: 'DIRECTORY_NOT_FOUND', message, error: error.message };
+            }
+            this._log(`Error during directory reconciliation: ${error.message}`, 'error');
+            return { status: 'ERROR', message: `An unexpected error occurred: ${error.message}`, error: error.message };
+        }
+    }
+
+    /**
+     * Builds a checksum manifest of a directory tree.
+     * @param {string} directoryPath - The directory.
+     * @param {object} [options={}] - Manifest options.
+     * @param {string[]} [options.ignore=[]] - Globs of files or directories to leave out (stored in the manifest).
+     * @param {string[]} [options.include=[]] - Globs a file must match (stored in the manifest).
+     * @param {string} [options.algorithm=this.checksumAlgorithm] - The hash algorithm.
+     * @param {number} [options.concurrency=4] - The maximum number of files hashed at once.
+     * @param {string} [options.manifestPath] - Where the manifest will be stored; left out if inside the directory.
+     * @returns {Promise<object>} `{ version, algorithm, createdAt, include, ignore, fileCount, totalBytes, files }`,
+     *          with `{ path, size, hash, algorithm }` file entries sorted by path.
+     */
+    async createManifest(directoryPath, options = {}) {
+        const algorithm = options.algorithm || this.checksumAlgorithm;
+        const filters = { include: options.include || [], ignore: options.ignore || [] };
+        const ownPaths = this._getManifestOwnPaths(directoryPath, options.manifestPath);
+        const relativePaths = (await this._listDirectoryFiles(directoryPath, filters))
+            .filter(relativePath => !ownPaths.includes(relativePath));
+        const files = await mapWithConcurrency(relativePaths, options.concurrency || 4, async (relativePath) => {
+            const filePath = path.join(directoryPath, relativePath);
+            const stats = await fs.stat(filePath);
+            return { path: relativePath, size: stats.size, hash: await this._generateChecksum(filePath, algorithm), algorithm };
+        });
+        return {
+            version: MANIFEST_VERSION,
+            algorithm,
+            createdAt: new Date().toISOString(),
+            ...filters,
+            fileCount: files.length,
+            totalBytes: files.reduce((sum, file) => sum + file.size, 0),
+            files,
+        };
+    }
+
+    /**
+     * Writes a checksum manifest of a directory tree to a JSON file (see createManifest).
+     * @param {string} directoryPath - The directory.
+     * @param {string} manifestPath - The manifest file to write.
+     * @param {object} [options={}] - createManifest options.
+     * @returns {Promise<object>} The manifest written.
+     */
+    async writeManifest(directoryPath, manifestPath, options = {}) {
+        const manifest = await this.createManifest(directoryPath, { ...options, manifestPath });
+        await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+        // Write to a temporary file first so an interrupted write never leaves a truncated manifest.
+        await fs.writeFile(`${manifestPath}.tmp`, JSON.stringify(manifest, null, 2), 'utf8');
+        await fs.rename(`${manifestPath}.tmp`, manifestPath);
+        this._log(`Wrote manifest of ${manifest.fileCount} files in '${directoryPath}' to '${manifestPath}'.`);
+        return manifest;
+    }
+
+    /**
+     * Verifies a directory tree against a saved manifest. Files are re-hashed with the algorithm recorded
+     * in the manifest, and the manifest's include/ignore globs apply unless overridden. A manifest stored
+     * inside the directory is not itself checked, and entries pointing outside the directory are rejected.
+     * @param {string} directoryPath - The directory.
+     * @param {string} manifestPath - The manifest written by writeManifest.
+     * @param {object} [options={}] - Verification options (`include`, `ignore`, `concurrency`).
+     * @returns {Promise<object>} `{ status, message, added, removed, modified, unchanged, stats }`, where `modified`
+     *          entries are `{ path, expected: { size, hash }, actual: { size, hash } }`.
+     */
+    async verifyManifest(directoryPath, manifestPath, options = {}) {
+        try {
+            const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+            if (!manifest || !Array.isArray(manifest.files)) {
+                throw new Error(`'${manifestPath}' is not a checksum manifest.`);
+            }
+            const invalidEntry = manifest.files.find(entry => !entry || typeof entry.path !== 'string'
+                || this._isOutsideDirectory(path.relative(path.resolve(directoryPath), path.resolve(directoryPath, entry.path))));
+            if (invalidEntry) {
+                throw new Error(`Manifest entry '${invalidEntry && invalidEntry.path}' does not point inside '${directoryPath}'.`);
+            }
+            await fs.access(directoryPath);
+            const filters = { include: options.include || manifest.include, ignore: options.ignore || manifest.ignore };
+            const ownPaths = this._getManifestOwnPaths(directoryPath, manifestPath);
+            const actualPaths = (await this._listDirectoryFiles(directoryPath, filters))
+                .filter(relativePath => !ownPaths.includes(relativePath));
+            const expectedByPath = new Map(manifest.files.map(entry => [entry.path, entry]));
+            const actualSet = new Set(actualPaths);
+
+            const added = actualPaths.filter(relativePath => !expectedByPath.has(relativePath));
+            const removed = manifest.files.map(entry => entry.path).filter(relativePath => !actualSet.has(relativePath));
+            const present = manifest.files.filter(entry => actualSet.has(entry.path));
+            const modified = [];
+            const unchanged = [];
+            const checks = await mapWithConcurrency(present, options.concurrency || 4, async (entry) => {
+                const filePath = path.join(directoryPath, entry.path);
+                const stats = await fs.stat(filePath);
+                // A size change is conclusive; only hash files whose size still matches.
+                const hash = stats.size === entry.size
+                    ? await this._generateChecksum(filePath, entry.algorithm || manifest.algorithm)
+                    : null;
+                return { size: stats.size, hash };
+            });
+            present.forEach((entry, index) => {
+                const actual = checks[index];
+                if (actual.size === entry.size && actual.hash === entry.hash) {
+                    unchanged.push(entry.path);
+                } else {
+                    modified.push({ path: entry.path, expected: { size: entry.size, hash: entry.hash }, actual });
+                }
+            });
+
+            const stats = { expected: manifest.files.length, actual: actualPaths.length, added: added.length, removed: removed.length, modified: modified.length, unchanged: unchanged.length };
+            const isMatch = added.length + removed.length + modified.length === 0;
+            const message = isMatch
+                ? `'${directoryPath}' matches manifest '${manifestPath}' (${unchanged.length} files).`
+                : `'${directoryPath}' differs from manifest '${manifestPath}': ${added.length} added, ${removed.length} removed, ${modified.length} modified.`;
+            this._log(message, isMatch ? 'info' : 'error');
+            return { status: isMatch ? 'MATCH' : 'MISMATCH_TREE', message, added, removed, modified, unchanged, stats };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                const message = `Manifest or directory not found: ${error.path}.`;
+                this._log(message, 'error');
+                return { status: 'FILE_NOT_FOUND', message, error: error.message };
+            }
+            this._log(`Error during manifest verification: ${error.message}`, 'error');
+            return { status: 'ERROR', message: `An unexpected error occurred: ${error.message}`, error: error.message };
+        }
+    }
+
+    /**
+     * Reconciles two sets of sentiment results for the same inputs (e.g. from two providers or model
+     * versions), joined on record id: confusion matrix, accuracy against the reference, Cohen's kappa,
+     * score deltas and drift per label, and the top disagreeing records (see aiSentimentAgreement).
+     * @param {string} file1Path - The first result set (JSON, or JSON Lines with one result per line).
+     * @param {string} file2Path - The second result set.
+     * @param {object} [options={}] - compareSentimentResults() options (`reference`, `topDisagreements`, field names) plus:
+     * @param {number} [options.minAccuracy=1] - The lowest accuracy still reported as a match.
+     * @param {string} [options.htmlReportPath] - Where to write the self-contained HTML report.
+     * @param {string} [options.modelVersionHistoryPath] - The reconcileAssets model version history, used to identify
+     *        the model version of sets that do not name one.
+     * @returns {Promise<object>} `{ status, message, details, report }`, where `status` is `MATCH` (accuracy of at least
+     *          `minAccuracy` and no record missing from either set), `MISMATCH_SENTIMENT`, `FILE_NOT_FOUND` or `ERROR`.
+     */
+    async reconcileSentimentResults(file1Path, file2Path, options = {}) {
+        try {
+            this._log(`Starting sentiment agreement reconciliation for '${file1Path}' vs '${file2Path}'`);
+            const [setA, setB, modelVersionHistory] = await Promise.all([
+                loadSentimentResultSet(file1Path),
+                loadSentimentResultSet(file2Path),
+                loadModelVersionHistory({ modelVersionHistoryPath: options.modelVersionHistoryPath }),
+            ]);
+            const report = compareSentimentResults(setA, setB, { ...options, modelVersionHistory });
+            if (options.htmlReportPath) {
+                await fs.mkdir(path.dirname(options.htmlReportPath), { recursive: true });
+                await fs.writeFile(options.htmlReportPath, renderAgreementHtml(report), 'utf8');
+            }
+
+            const minAccuracy = options.minAccuracy !== undefined ? options.minAccuracy : 1;
+            const { agreement, coverage } = report;
+            const isMatch = coverage.joined > 0 && agreement.accuracy >= minAccuracy && coverage.onlyInA + coverage.onlyInB === 0;
+            const details = describeAgreementReport(report);
+            // Limit the number of detailed findings if not in verbose mode
+            if (!this.verbose && details.length > 5) {
+                details.splice(5, details.length - 5, `${details.length - 5} further findings truncated (verbose logging not enabled).`);
+            }
+            const message = `Sentiment labels agree on ${agreement.agreed} of ${coverage.joined} records`
+                + `${agreement.kappa === null ? '' : ` (Cohen's kappa ${agreement.kappa})`} between '${file1Path}' and '${file2Path}'.`;
+            this._log(message, isMatch ? 'info' : 'error');
+            return { status: isMatch ? 'MATCH' : 'MISMATCH_SENTIMENT', message, details, report };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                const message = `One or both result sets not found: ${error.path}.`;
+                this._log(message, 'error');
+                return { status: 'FILE_NOT_FOUND', message, error: error.message };
+            }
+            this._log(`Error during sentiment agreement reconciliation: ${error.message}`, 'error');
+            return { status: 'ERROR', message: `An unexpected error occurred: ${error.message}`, error: error.message };
+        }
+    }
+
     /**
      * Generates a checksum for a given file.
      * @param {string} filePath - The path to the file.
+     * @param {string} [algorithm=this.checksumAlgorithm] - The hash algorithm.
      * @returns {Promise<string>} The generated checksum.
      */
-    async _generateChecksum(filePath) {
+    async _generateChecksum(filePath, algorithm = this.checksumAlgorithm) {
         return new Promise((resolve, reject) => {
-            const hash = crypto.createHash(this.checksumAlgorithm);
-            const stream = fs.createReadStream(filePath);
+            const hash = crypto.createHash(algorithm);
+            const stream = fsSync.createReadStream(filePath);
             stream.on('data', chunk => hash.update(chunk));
             stream.on('end', () => resolve(hash.digest('hex')));
             stream.on('error', err => reject(err));
         });
     }
 
+    /**
+     * Diffs two text files and reports the inserted, deleted and changed hunks with context.
+     * Files whose combined size exceeds `maxBytes` are compared line by line instead (see _compareTextFilesByLine).
+     * @param {string} file1Path - Path to the first text file.
+     * @param {string} file2Path - Path to the second text file.
+     * @param {object} [diffOptions=this.textDiff] - aiTextDiff options plus `maxBytes`.
+     * @returns {Promise<object>} { isMatch: boolean, details: array, hunks: array, unifiedDiff: string, stats: object }
+     */
+    async _compareTextFiles(file1Path, file2Path, diffOptions = this.textDiff) {
+        const maxBytes = diffOptions.maxBytes || DEFAULT_TEXT_DIFF_MAX_BYTES;
+        const [stats1, stats2] = await Promise.all([fs.stat(file1Path), fs.stat(file2Path)]);
+        if (stats1.size + stats2.size > maxBytes) {
+            this._log(`Text files exceed ${maxBytes} bytes; comparing line by line instead of diffing.`, 'warn');
+            return this._compareTextFilesByLine(file1Path, file2Path);
+        }
+
+        try {
+            const [content1, content2] = await Promise.all([
+                fs.readFile(file1Path, 'utf8'),
+                fs.readFile(file2Path, 'utf8')
+            ]);
+            const result = diffText(content1, content2, { ...diffOptions, labelA: file1Path, labelB: file2Path });
+            const details = [];
+            for (const hunk of result.hunks) {
+                // Limit the number of reported hunks if not in verbose mode
+                if (!this.verbose && details.length >= 5) {
+                    details.push(`${result.hunks.length - 5} further hunks truncated (verbose logging not enabled).`);
+                    break;
+                }
+                const deleted = hunk.lines.filter((line) => line.type === '-').length;
+                const inserted = hunk.lines.filter((line) => line.type === '+').length;
+                details.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@ ${hunk.kind}: ${deleted} deleted, ${inserted} inserted`);
+            }
+            if (!result.exact) {
+                details.push('The files differ too much for a minimal diff; the differing region is reported as one block.');
+            }
+            return { isMatch: result.isMatch, details, hunks: result.hunks, unifiedDiff: result.unifiedDiff, stats: result.stats };
+        } catch (error) {
+            this._log(`Error during text file comparison: ${error.message}`, 'error');
+            return { isMatch: false, details: [`Error reading files for comparison: ${error.message}`] };
+        }
+    }
+
     /**
      * Compares the content of two text-based files line by line using streams.
      * This approach avoids loading entire files into memory, improving performance
@@ -107,18 +482,18 @@ class AIFileReconciliationService {
      * @param {string} file2Path - Path to the second text file.
      * @returns {Promise<object>} { isMatch: boolean, details: array }
      */
-    async _compareTextFiles(file1Path, file2Path) {
+    async _compareTextFilesByLine(file1Path, file2Path) {
         let isMatch = true;
         const details = [];
         let lineNum = 0;
 
         // Create readline interfaces for line-by-line reading
         const rl1 = readline.createInterface({
-            input: fs.createReadStream(file1Path, 'utf8'),
+            input: fsSync.createReadStream(file1Path, 'utf8'),
             crlfDelay: Infinity // Treat \r\n as a single newline
         });
         const rl2 = readline.createInterface({
-            input: fs.createReadStream(file2Path, 'utf8'),
+            input: fsSync.createReadStream(file2Path, 'utf8'),
             crlfDelay: Infinity
         });
 
@@ -185,19 +560,56 @@ class AIFileReconciliationService {
     }
 
     /**
-     * Compares the content of two JSON files using Node.js's util.isDeepStrictEqual.
-     * This method performs a robust deep equality check, ignoring the order of keys
-     * in objects but strictly comparing values and array order.
-     * Note: This method reads the entire JSON file into memory for parsing. For
-     * extremely large JSON files (e.g., hundreds of MBs or GBs), this could lead to
-     * high memory consumption. A truly stream-based deep comparison without loading
-     * the full object requires a custom JSON token-by-token comparison logic,
-     * which is more complex and beyond the scope of using `util.isDeepStrictEqual`.
+     * Reconciles two CSV files row by row: rows are matched on key columns (`id` by default, or by position),
+     * columns by header name, and cells are compared with per-column rules (auto, exact, case-insensitive,
+     * numeric, ignore).
+     * Like the JSON comparison, this reads both files into memory.
+     * @param {string} file1Path - Path to the first CSV file (file A).
+     * @param {string} file2Path - Path to the second CSV file (file B).
+     * @param {object} [csvOptions=this.csv] - aiCsvReconciler options.
+     * @returns {Promise<object>} { isMatch: boolean, details: array, csv: object }, where `csv` holds the rows
+     *          only in file A, only in file B and the differing rows.
+     */
+    async _compareCsvFiles(file1Path, file2Path, csvOptions = this.csv) {
+        try {
+            const [content1, content2] = await Promise.all([
+                fs.readFile(file1Path, 'utf8'),
+                fs.readFile(file2Path, 'utf8')
+            ]);
+            const report = reconcileCsvContent(content1, content2, csvOptions);
+            const details = describeCsvReport(report);
+            // Limit the number of detailed differences if not in verbose mode
+            if (!this.verbose && details.length > 5) {
+                details.splice(5, details.length - 5, `${details.length - 5} further differences truncated (verbose logging not enabled).`);
+            }
+            return { isMatch: report.isMatch, details, csv: report };
+        } catch (error) {
+            this._log(`Error during CSV file comparison: ${error.message}`, 'error');
+            return { isMatch: false, details: [`Error comparing CSV files: ${error.message}`] };
+        }
+    }
+
+    /**
+     * Compares the content of two JSON files structurally (see aiJsonDiff). The order of keys in
+     * objects does not matter; array order does, unless the array is listed in `jsonDiff.unorderedArrays`.
+     * This reads both files into memory; files whose combined size exceeds `maxBytes` are compared
+     * as streams instead (see _compareJsonFilesAsStreams), without a JSON patch.
      * @param {string} file1Path - Path to the first JSON file.
      * @param {string} file2Path - Path to the second JSON file.
-     * @returns {Promise<object>} { isMatch: boolean, details: array }
+     * @param {object} [diffOptions=this.jsonDiff] - aiJsonDiff options plus `maxBytes`, `maxDifferences` and `progressIntervalMs`.
+     * @param {function(object)} [onProgress] - Receives progress snapshots of a streamed comparison.
+     * @returns {Promise<object>} { isMatch: boolean, details: array, differences: array, patch: array }
+     *          `differences` lists `{ op, path, oldValue, newValue }` with JSON Pointer paths and `patch`
+     *          is the RFC 6902 JSON Patch that turns file 1 into file 2.
      */
-    async _compareJsonFiles(file1Path, file2Path) {
+    async _compareJsonFiles(file1Path, file2Path, diffOptions = this.jsonDiff, onProgress) {
+        const maxBytes = diffOptions.maxBytes || DEFAULT_JSON_DIFF_MAX_BYTES;
+        const [stats1, stats2] = await Promise.all([fs.stat(file1Path), fs.stat(file2Path)]);
+        if (stats1.size + stats2.size > maxBytes) {
+            this._log(`JSON files exceed ${maxBytes} bytes; comparing them as streams.`, 'warn');
+            return this._compareJsonFilesAsStreams(file1Path, file2Path, diffOptions, onProgress);
+        }
+
         try {
             // Read both JSON files into memory
             const [content1, content2] = await Promise.all([
@@ -209,22 +621,13 @@ class AIFileReconciliationService {
             const obj1 = JSON.parse(content1);
             const obj2 = JSON.parse(content2);
 
-            let isMatch;
-            let details = [];
-
-            // Perform a deep strict comparison. This is the recommended approach for JSON.
-            isMatch = util.isDeepStrictEqual(obj1, obj2);
-            if (!isMatch) {
-                details.push("JSON content differs (deep strict comparison, order of keys in objects does not matter).");
-                // More detailed JSON diffing would require an external library or custom logic.
-                // For verbose mode, one might log truncated stringified versions for initial inspection.
-                if (this.verbose) {
-                    // Example: Log stringified JSON (careful with very large objects)
-                    // details.push(`File 1 (truncated): ${JSON.stringify(obj1, null, 2).substring(0, 500)}...`);
-                    // details.push(`File 2 (truncated): ${JSON.stringify(obj2, null, 2).substring(0, 500)}...`);
-                }
+            const differences = diffJson(obj1, obj2, diffOptions);
+            const details = differences.map((difference) => describeDifference(difference));
+            // Limit the number of detailed differences if not in verbose mode
+            if (!this.verbose && details.length > 5) {
+                details.splice(5, details.length - 5, `${differences.length - 5} further differences truncated (verbose logging not enabled).`);
             }
-            return { isMatch, details };
+            return { isMatch: differences.length === 0, details, differences, patch: toJsonPatch(differences) };
 
         } catch (parseError) {
             // Handle errors during JSON parsing (e.g., malformed JSON)
@@ -234,13 +637,88 @@ class AIFileReconciliationService {
     }
 
     /**
-     * Internal logging method to append messages to a log file.
+     * Compares two JSON files as token streams, keeping memory use flat regardless of file size
+     * (see aiJsonStreamComparator). Reports the first `maxDifferences` differences by JSON Pointer path.
+     * @param {string} file1Path - Path to the first JSON file.
+     * @param {string} file2Path - Path to the second JSON file.
+     * @param {object} [diffOptions=this.jsonDiff] - aiJsonDiff options plus `maxDifferences` and `progressIntervalMs`.
+     * @param {function(object)} [onProgress] - Receives progress snapshots.
+     * @returns {Promise<object>} { isMatch: boolean, details: array, differences: array, complete: boolean, stats: object }
+     *          where `stats` gives the bytes and records compared and the throughput.
+     */
+    async _compareJsonFilesAsStreams(file1Path, file2Path, diffOptions = this.jsonDiff, onProgress) {
+        return this._compareStreamed('JSON', compareJsonStreams, file1Path, file2Path, diffOptions, onProgress);
+    }
+
+    /**
+     * Compares two JSON Lines (`.jsonl`, `.ndjson`) files record by record as streams
+     * (see aiJsonStreamComparator). Record N of file 1 is compared with record N of file 2.
+     * @param {string} file1Path - Path to the first JSON Lines file.
+     * @param {string} file2Path - Path to the second JSON Lines file.
+     * @param {object} [diffOptions=this.jsonDiff] - aiJsonDiff options plus `maxDifferences` and `progressIntervalMs`.
+     * @param {function(object)} [onProgress] - Receives progress snapshots.
+     * @returns {Promise<object>} { isMatch: boolean, details: array, differences: array, invalidRecords: array,
+     *          complete: boolean, stats: object }
+     */
+    async _compareJsonLinesFiles(file1Path, file2Path, diffOptions = this.jsonDiff, onProgress) {
+        return this._compareStreamed('JSON Lines', compareJsonLinesFiles, file1Path, file2Path, diffOptions, onProgress);
+    }
+
+    /**
+     * Runs a streamed comparison, logging its progress and summarizing the report.
+     * @param {string} kind - The file kind, for messages.
+     * @param {function(string, string, object): Promise<object>} compare - The aiJsonStreamComparator function.
+     * @param {string} file1Path - Path to the first file.
+     * @param {string} file2Path - Path to the second file.
+     * @param {object} diffOptions - The comparison options.
+     * @param {function(object)} [onProgress] - Receives progress snapshots.
+     * @returns {Promise<object>} The comparison result.
+     */
+    async _compareStreamed(kind, compare, file1Path, file2Path, diffOptions, onProgress) {
+        try {
+            const report = await compare(file1Path, file2Path, {
+                ...diffOptions,
+                onProgress: (progress) => {
+                    this._log(`Comparing ${kind} files: ${describeStreamProgress(progress)}`);
+                    if (onProgress) {
+                        onProgress(progress);
+                    }
+                },
+            });
+            this._log(`Compared ${kind} files: ${describeStreamProgress(report.stats)}`);
+
+            const details = (report.invalidRecords || [])
+                .map((record) => `Invalid JSON on line ${record.line} of '${record.file}': ${record.message}`)
+                .concat(report.differences.map((difference) => (difference.lineA || difference.lineB
+                    ? `${describeDifference(difference)} (line ${difference.lineA || '-'} vs ${difference.lineB || '-'})`
+                    : describeDifference(difference))));
+            // Limit the number of detailed differences if not in verbose mode
+            if (!this.verbose && details.length > 5) {
+                details.splice(5, details.length - 5, `${details.length - 5} further differences truncated (verbose logging not enabled).`);
+            }
+            if (!report.complete) {
+                details.push(`Comparison stopped after ${report.differences.length} differences (maxDifferences).`);
+            }
+            return { ...report, details };
+        } catch (error) {
+            this._log(`Error during streamed ${kind} comparison: ${error.message}`, 'error');
+            return { isMatch: false, details: [`Error comparing ${kind} files: ${error.message}`] };
+        }
+    }
+
+    /**
+     * Internal logging method to append messages to a log file and to the audit log.
+     * API keys are redacted from both.
      * @param {string} message - The message to log.
      * @param {'info'|'warn'|'error'} [level='info'] - The log level.
      */
     async _log(message, level = 'info') {
         const timestamp = new Date().toISOString();
-        const logEntry = `[${timestamp}] [${level.toUpperCase()}] ${message}\n`;
+        const safeMessage = this.auditLog ? this.auditLog.redact(message) : redactSecrets(message);
+        const logEntry = `[${timestamp}] [${level.toUpperCase()}] ${safeMessage}\n`;
+        if (this.auditLog) {
+            this.auditLog.write('reconciliation', { message: safeMessage }, level);
+        }
 
         try {
             // Ensure the log directory exists
@@ -0,0 +1,102 @@
+/**
+ * @module aiGlobMatcher
+ * @description Small glob matcher used for include/ignore patterns when walking directories.
+ *              Supports `*`, `**`, `?`, character classes (`[abc]`) and brace alternatives (`{a,b}`).
+ *              Paths are matched in POSIX form, relative to the walked root.
+ */
+
+/**
+ * Converts a glob pattern into an anchored regular expression.
+ * @param {string} pattern - The glob pattern (e.g. `exports/**\/*.csv`).
+ * @returns {RegExp} The equivalent regular expression.
+ */
+function globToRegExp(pattern) {
+    let source = '';
+    let inBraces = 0;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '*') {
+            if (pattern[i + 1] === '*') {
+                // `**/` matches zero or more directories; a trailing `**` matches everything below.
+                if (pattern[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i += 1;
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = pattern.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                const body = pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+                source += `[${body}]`;
+                i = end;
+            }
+        } else if (char === '{') {
+            inBraces++;
+            source += '(?:';
+        } else if (char === '}' && inBraces > 0) {
+            inBraces--;
+            source += ')';
+        } else if (char === ',' && inBraces > 0) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|\\{}]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Converts a path to the forward-slash form used for matching.
+ * @param {string} filePath - The path (relative to the walked root).
+ * @returns {string} The POSIX-style path without a leading './'.
+ */
+function toPosixPath(filePath) {
+    return filePath.split('\\').join('/').replace(/^\.\//, '');
+}
+
+/**
+ * Creates a predicate testing relative paths against include and ignore patterns.
+ * A pattern without a slash (e.g. `*.log`) matches the file name at any depth.
+ * @param {Object} [options={}] - Matcher options.
+ * @param {string[]} [options.include=[]] - Patterns a path must match (all paths when empty).
+ * @param {string[]} [options.ignore=[]] - Patterns excluding a path; a matching directory excludes everything below it.
+ * @returns {function(string): boolean} Returns true if the relative path is included and not ignored.
+ */
+function createPathMatcher(options = {}) {
+    const compile = patterns => (patterns || []).map((pattern) => {
+        const normalized = toPosixPath(pattern).replace(/\/$/, '');
+        return normalized.includes('/') ? globToRegExp(normalized) : globToRegExp(`**/${normalized}`);
+    });
+    const includes = compile(options.include);
+    const ignores = compile(options.ignore);
+
+    return (relativePath) => {
+        const posixPath = toPosixPath(relativePath);
+        const segments = posixPath.split('/');
+        for (let depth = 1; depth <= segments.length; depth++) {
+            const prefix = segments.slice(0, depth).join('/');
+            if (ignores.some(regex => regex.test(prefix))) {
+                return false;
+            }
+        }
+        return includes.length === 0 || includes.some(regex => regex.test(posixPath));
+    };
+}
+
+module.exports = {
+    globToRegExp,
+    toPosixPath,
+    createPathMatcher,
+};
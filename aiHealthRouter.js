@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const express = require('express');
+const logger = require('./aiLogger');
+const { reconcileAssets, getServiceConfigs } = require('./aiAssetReconciler');
+const { summarizeServiceDetails } = require('./aiAssetMonitor');
+const { redactSecrets } = require('./aiAuditLog');
+
+/**
+ * @module aiHealthRouter
+ * @description Express router exposing the AI asset reconciliation over HTTP:
+ *
+ *              - `GET /health/live`  - the process is up (no external checks).
+ *              - `GET /health/ready` - 200 while at least one sentiment provider is healthy, 503 otherwise.
+ *              - `GET /health/ai`    - per-service reconciliation details with secrets redacted.
+ *                                      `?refresh=1` forces a new check and is restricted to admins.
+ *
+ *              Results are cached for `freshnessMs`; concurrent requests share one reconciliation.
+ *              Mount it with `app.use(createHealthRouter({ monitor }))`.
+ */
+
+/**
+ * Default time (ms) a reconciliation result is served before a new check runs.
+ * @type {number}
+ */
+const DEFAULT_FRESHNESS_MS = 30000;
+
+/**
+ * Collects the secret values configured for the services (API keys read from `apiKeyEnv`).
+ * @param {Object} serviceConfigs - The service configurations.
+ * @returns {string[]} The secret values currently set in the environment, longest first.
+ */
+function _collectSecrets(serviceConfigs) {
+    const secrets = [];
+    for (const config of Object.values(serviceConfigs || {})) {
+        const value = config && config.apiKeyEnv ? process.env[config.apiKeyEnv] : undefined;
+        if (value && value.length >= 4) {
+            secrets.push(value);
+        }
+    }
+    return secrets.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Default admin check for `?refresh=1`: an authenticated admin user (`req.user.isAdmin` or
+ * `req.user.role === 'admin'`), or an `X-Admin-Token` header equal to AI_HEALTH_ADMIN_TOKEN.
+ * @param {Object} req - The Express request.
+ * @returns {boolean} True if the request may force a refresh.
+ */
+function _isAdminRequest(req) {
+    if (req.user && (req.user.isAdmin === true || req.user.role === 'admin')) {
+        return true;
+    }
+    const expected = process.env.AI_HEALTH_ADMIN_TOKEN;
+    const provided = req.get('x-admin-token');
+    if (!expected || !provided) {
+        return false;
+    }
+    const expectedBuffer = Buffer.from(expected);
+    const providedBuffer = Buffer.from(provided);
+    return expectedBuffer.length === providedBuffer.length && crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+}
+
+/**
+ * Lists the services of a reconciliation result that can currently serve sentiment requests.
+ * @param {Object} result - The reconcileAssets() result.
+ * @returns {{healthy: string[], unhealthy: string[]}} Service names by health.
+ */
+function _classifyServices(result) {
+    const healthy = [];
+    const unhealthy = [];
+    const details = result && result.details && !result.details.message ? result.details : {};
+    for (const [service, serviceDetails] of Object.entries(details)) {
+        const summary = summarizeServiceDetails(serviceDetails);
+        (summary.up && summary.apiKeyValid !== false ? healthy : unhealthy).push(service);
+    }
+    return { healthy, unhealthy };
+}
+
+/**
+ * Creates the health router.
+ * @param {Object} [options={}] - Router options.
+ * @param {AIAssetMonitor} [options.monitor] - A running monitor whose results are reused (and refreshed through).
+ * @param {number} [options.freshnessMs=30000] - How long a result is served before a new check runs.
+ * @param {Object} [options.reconcileOptions={}] - Options passed to reconcileAssets() when no monitor is given.
+ * @param {function(Object): boolean} [options.isAdmin] - Decides whether a request may use `?refresh=1`.
+ * @param {string} [options.basePath='/health'] - The path prefix of the endpoints.
+ * @returns {express.Router} The router.
+ */
+function createHealthRouter(options = {}) {
+    const router = express.Router();
+    const freshnessMs = options.freshnessMs !== undefined ? options.freshnessMs : DEFAULT_FRESHNESS_MS;
+    const isAdmin = options.isAdmin || _isAdminRequest;
+    const basePath = options.basePath || '/health';
+    const monitor = options.monitor || null;
+    const reconcileOptions = options.reconcileOptions || {};
+
+    let cached = { result: null, checkedAt: null };
+    let pending = null;
+
+    const getResult = async (forceRefresh) => {
+        const current = monitor ? monitor.getLastResult() : cached;
+        const ageMs = current.checkedAt ? Date.now() - Date.parse(current.checkedAt) : Infinity;
+        if (!forceRefresh && current.result && ageMs < freshnessMs) {
+            return { ...current, ageMs, cached: true };
+        }
+        if (!pending) {
+            pending = (async () => {
+                if (monitor) {
+                    // runOnce() resolves to null when the reconciliation failed; never pass the old result off as new.
+                    const result = await monitor.runOnce();
+                    return result ? monitor.getLastResult() : { result: null, checkedAt: null };
+                }
+                const result = await reconcileAssets(reconcileOptions);
+                cached = { result, checkedAt: new Date().toISOString() };
+                return cached;
+            })().finally(() => {
+                pending = null;
+            });
+        }
+        const fresh = await pending;
+        if (!fresh.result) {
+            throw new Error('AI asset reconciliation did not produce a result.');
+        }
+        return { ...fresh, ageMs: 0, cached: false };
+    };
+
+    const sendJson = (res, statusCode, body) => {
+        res.set('Cache-Control', 'no-store');
+        res.status(statusCode).json(body);
+    };
+
+    router.get(`${basePath}/live`, (req, res) => {
+        sendJson(res, 200, { status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+    });
+
+    router.get(`${basePath}/ready`, async (req, res) => {
+        try {
+            const { result, checkedAt } = await getResult(false);
+            const { healthy, unhealthy } = _classifyServices(result);
+            const ready = healthy.length > 0;
+            sendJson(res, ready ? 200 : 503, {
+                status: ready ? 'ready' : 'unavailable',
+                checkedAt,
+                healthyProviders: healthy,
+                unhealthyProviders: unhealthy,
+            });
+        } catch (error) {
+            logger.error(`[Health Router] Readiness check failed: ${error.message}`);
+            sendJson(res, 503, { status: 'unavailable', error: 'AI asset reconciliation failed.' });
+        }
+    });
+
+    router.get(`${basePath}/ai`, async (req, res) => {
+        const forceRefresh = req.query.refresh === '1' || req.query.refresh === 'true';
+        if (forceRefresh && !isAdmin(req)) {
+            sendJson(res, 403, { error: 'Forcing a refresh requires admin privileges.' });
+            return;
+        }
+        try {
+            const { result, checkedAt, ageMs, cached: fromCache } = await getResult(forceRefresh);
+            const { healthy, unhealthy } = _classifyServices(result);
+            let status = 'ok';
+            if (healthy.length === 0) {
+                status = 'down';
+            } else if (unhealthy.length > 0) {
+                status = 'degraded';
+            }
+            const secrets = _collectSecrets((monitor ? monitor.reconcileOptions.configs : reconcileOptions.configs) || getServiceConfigs());
+            sendJson(res, status === 'down' ? 503 : 200, {
+                status,
+                allHealthy: result.allHealthy,
+                checkedAt,
+                ageMs,
+                cached: fromCache,
+                freshnessMs,
+                services: redactSecrets(result.details, secrets),
+            });
+        } catch (error) {
+            logger.error(`[Health Router] AI health check failed: ${error.message}`);
+            sendJson(res, 503, { status: 'down', error: 'AI asset reconciliation failed.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createHealthRouter,
+};
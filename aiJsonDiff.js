@@ -0,0 +1,214 @@
+/**
+ * @module aiJsonDiff
+ * @description Structural diff of two JSON values. Differences are reported with RFC 6901 JSON Pointer
+ *              paths and old/new values, in an order that can be applied directly as an RFC 6902 JSON Patch
+ *              turning the first value into the second (see toJsonPatch).
+ *
+ *              Options:
+ *              - `ignorePaths`: pointers to skip, e.g. `/exportedAt`; a `*` segment matches any key or index.
+ *              - `numericTolerance`: numbers whose absolute difference is at most this value are equal.
+ *              - `unorderedArrays`: `{ pointerPattern: keyField }` arrays compared as sets, matching elements by
+ *                `keyField` (e.g. `{ "/results": "id" }`). Added elements are appended (`/results/-`).
+ */
+
+/**
+ * Escapes one JSON Pointer segment (`~` -> `~0`, `/` -> `~1`).
+ * @param {string|number} segment - The segment.
+ * @returns {string} The escaped segment.
+ */
+function escapePointerSegment(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Splits a JSON Pointer into its unescaped segments.
+ * @param {string} pointer - The pointer (`''` is the whole document).
+ * @returns {string[]} The segments.
+ */
+function parsePointer(pointer) {
+    if (pointer === '' || pointer === '/') {
+        return pointer === '' ? [] : [''];
+    }
+    return pointer.replace(/^\//, '').split('/').map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Compiles pointer patterns (with `*` wildcard segments) into a matcher.
+ * @param {string[]} patterns - The patterns.
+ * @returns {function(Array<string|number>): number} Returns the index of the first pattern matching the given segments, or -1.
+ */
+function createPointerMatcher(patterns) {
+    const compiled = patterns.map(parsePointer);
+    return (segments) => compiled.findIndex((pattern) => pattern.length === segments.length
+        && pattern.every((segment, index) => segment === '*' || segment === String(segments[index])));
+}
+
+/**
+ * Tests whether a value is a plain JSON object.
+ * @param {*} value - The value.
+ * @returns {boolean} True for non-null, non-array objects.
+ */
+function _isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Computes the differences between two JSON values.
+ * @param {*} before - The first value (e.g. the content of file 1).
+ * @param {*} after - The second value.
+ * @param {Object} [options={}] - Diff options.
+ * @param {string[]} [options.ignorePaths=[]] - Pointer patterns excluded from the comparison.
+ * @param {number} [options.numericTolerance=0] - The largest absolute difference at which numbers are equal.
+ * @param {Object<string, string>} [options.unorderedArrays={}] - Pointer patterns of arrays compared by a key field.
+ * @param {string} [options.basePath=''] - Pointer of the compared values within a larger document; reported
+ *        paths and the patterns above are relative to the document, not to the values.
+ * @returns {Array<{op: string, path: string, oldValue: *, newValue: *}>} The differences; `op` is
+ *          `add`, `remove` or `replace` and `path` the JSON Pointer of the value.
+ */
+function diffJson(before, after, options = {}) {
+    const numericTolerance = options.numericTolerance || 0;
+    const isIgnored = createPointerMatcher(options.ignorePaths || []);
+    const unorderedPatterns = Object.keys(options.unorderedArrays || {});
+    const findUnordered = createPointerMatcher(unorderedPatterns);
+    const differences = [];
+
+    const toPointer = (segments) => segments.map((segment) => `/${escapePointerSegment(segment)}`).join('');
+
+    const walk = (left, right, segments) => {
+        if (segments.length > 0 && isIgnored(segments) !== -1) {
+            return;
+        }
+        if (typeof left === 'number' && typeof right === 'number') {
+            if (left !== right && !(Math.abs(left - right) <= numericTolerance)) {
+                differences.push({ op: 'replace', path: toPointer(segments), oldValue: left, newValue: right });
+            }
+            return;
+        }
+        if (Array.isArray(left) && Array.isArray(right)) {
+            const patternIndex = findUnordered(segments);
+            if (patternIndex !== -1 && diffKeyedArrays(left, right, segments, options.unorderedArrays[unorderedPatterns[patternIndex]])) {
+                return;
+            }
+            diffOrderedArrays(left, right, segments);
+            return;
+        }
+        if (_isObject(left) && _isObject(right)) {
+            for (const key of Object.keys(left)) {
+                const childSegments = [...segments, key];
+                if (!Object.prototype.hasOwnProperty.call(right, key)) {
+                    if (isIgnored(childSegments) === -1) {
+                        differences.push({ op: 'remove', path: toPointer(childSegments), oldValue: left[key], newValue: undefined });
+                    }
+                } else {
+                    walk(left[key], right[key], childSegments);
+                }
+            }
+            for (const key of Object.keys(right)) {
+                const childSegments = [...segments, key];
+                if (!Object.prototype.hasOwnProperty.call(left, key) && isIgnored(childSegments) === -1) {
+                    differences.push({ op: 'add', path: toPointer(childSegments), oldValue: undefined, newValue: right[key] });
+                }
+            }
+            return;
+        }
+        if (left !== right) {
+            differences.push({ op: 'replace', path: toPointer(segments), oldValue: left, newValue: right });
+        }
+    };
+
+    // Changes first, then removals from the highest index down, then additions: applying the
+    // differences in order never shifts an index a later difference refers to.
+    const diffOrderedArrays = (left, right, segments) => {
+        const common = Math.min(left.length, right.length);
+        for (let index = 0; index < common; index++) {
+            walk(left[index], right[index], [...segments, index]);
+        }
+        for (let index = left.length - 1; index >= common; index--) {
+            if (isIgnored([...segments, index]) === -1) {
+                differences.push({ op: 'remove', path: toPointer([...segments, index]), oldValue: left[index], newValue: undefined });
+            }
+        }
+        for (let index = common; index < right.length; index++) {
+            if (isIgnored([...segments, index]) === -1) {
+                differences.push({ op: 'add', path: toPointer([...segments, index]), oldValue: undefined, newValue: right[index] });
+            }
+        }
+    };
+
+    // Matches elements by key field; returns false (ordered comparison) if an element has no key.
+    const diffKeyedArrays = (left, right, segments, keyField) => {
+        const hasKey = (item) => _isObject(item) && item[keyField] !== undefined;
+        if (!left.every(hasKey) || !right.every(hasKey)) {
+            return false;
+        }
+        const keyOf = (item) => JSON.stringify(item[keyField]);
+        const unmatchedRight = new Map();
+        right.forEach((item, index) => {
+            const queue = unmatchedRight.get(keyOf(item)) || [];
+            queue.push(index);
+            unmatchedRight.set(keyOf(item), queue);
+        });
+
+        const removed = [];
+        left.forEach((item, index) => {
+            const queue = unmatchedRight.get(keyOf(item));
+            if (queue && queue.length > 0) {
+                walk(item, right[queue.shift()], [...segments, index]);
+            } else {
+                removed.push(index);
+            }
+        });
+        for (const index of removed.reverse().filter((item) => isIgnored([...segments, item]) === -1)) {
+            differences.push({ op: 'remove', path: toPointer([...segments, index]), oldValue: left[index], newValue: undefined });
+        }
+        const added = [...unmatchedRight.values()].flat().sort((a, b) => a - b);
+        for (const index of added) {
+            differences.push({ op: 'add', path: `${toPointer(segments)}/-`, oldValue: undefined, newValue: right[index] });
+        }
+        return true;
+    };
+
+    walk(before, after, parsePointer(options.basePath || ''));
+    return differences;
+}
+
+/**
+ * Converts differences from diffJson into an RFC 6902 JSON Patch.
+ * @param {Array<Object>} differences - The differences (in diffJson order).
+ * @returns {Array<{op: string, path: string, value: *}>} The patch operations.
+ */
+function toJsonPatch(differences) {
+    return differences.map((difference) => (difference.op === 'remove'
+        ? { op: 'remove', path: difference.path }
+        : { op: difference.op, path: difference.path, value: difference.newValue }));
+}
+
+/**
+ * Describes a difference in one line, e.g. `Changed /score: 0.4 -> 0.6`.
+ * @param {Object} difference - The difference.
+ * @param {number} [maxValueLength=80] - Values longer than this are truncated.
+ * @returns {string} The description.
+ */
+function describeDifference(difference, maxValueLength = 80) {
+    const format = (value) => {
+        const text = JSON.stringify(value);
+        return text.length > maxValueLength ? `${text.slice(0, maxValueLength - 3)}...` : text;
+    };
+    const path = difference.path || '(root)';
+    if (difference.op === 'add') {
+        return `Added ${path}: ${format(difference.newValue)}`;
+    }
+    if (difference.op === 'remove') {
+        return `Removed ${path}: ${format(difference.oldValue)}`;
+    }
+    return `Changed ${path}: ${format(difference.oldValue)} -> ${format(difference.newValue)}`;
+}
+
+module.exports = {
+    diffJson,
+    toJsonPatch,
+    describeDifference,
+    createPointerMatcher,
+    escapePointerSegment,
+    parsePointer,
+};
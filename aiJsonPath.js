@@ -0,0 +1,59 @@
+/**
+ * @module aiJsonPath
+ * @description Minimal JSON path helpers shared by the AI modules. Supports the
+ *              dotted subset used in SentimentSight configs and options, e.g.
+ *              `review.body`, `$.data[0].id` or `items.2.text`.
+ */
+
+/**
+ * Splits a JSON path expression into its individual segments.
+ * A leading `$` (root) is accepted and ignored; bracketed indexes and quoted keys
+ * (`['some key']`) are unwrapped.
+ * @param {string|Array<string|number>} jsonPath - The path expression or an already split path.
+ * @returns {Array<string|number>} The path segments; numeric segments are returned as numbers.
+ */
+function parseJsonPath(jsonPath) {
+    if (Array.isArray(jsonPath)) {
+        return jsonPath;
+    }
+    if (typeof jsonPath !== 'string' || jsonPath.trim() === '' || jsonPath.trim() === '$') {
+        return [];
+    }
+
+    const segments = [];
+    const expression = jsonPath.trim().replace(/^\$\.?/, '');
+    const pattern = /\[\s*(?:'([^']*)'|"([^"]*)"|(\d+))\s*\]|([^.[\]]+)/g;
+    let match;
+    while ((match = pattern.exec(expression)) !== null) {
+        if (match[1] !== undefined || match[2] !== undefined) {
+            segments.push(match[1] !== undefined ? match[1] : match[2]);
+        } else if (match[3] !== undefined) {
+            segments.push(Number(match[3]));
+        } else {
+            segments.push(/^\d+$/.test(match[4]) ? Number(match[4]) : match[4]);
+        }
+    }
+    return segments;
+}
+
+/**
+ * Resolves a JSON path against a value.
+ * @param {*} value - The object or array to read from.
+ * @param {string|Array<string|number>} jsonPath - The path expression (see parseJsonPath).
+ * @returns {*} The value at the path, or undefined if any segment is missing.
+ */
+function getValueAtPath(value, jsonPath) {
+    let current = value;
+    for (const segment of parseJsonPath(jsonPath)) {
+        if (current === null || current === undefined || typeof current !== 'object') {
+            return undefined;
+        }
+        current = current[segment];
+    }
+    return current;
+}
+
+module.exports = {
+    parseJsonPath,
+    getValueAtPath,
+};
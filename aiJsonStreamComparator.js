@@ -0,0 +1,899 @@
+const fs = require('fs');
+const readline = require('readline');
+const { StringDecoder } = require('string_decoder');
+const { diffJson, createPointerMatcher, escapePointerSegment } = require('./aiJsonDiff');
+
+/**
+ * @module aiJsonStreamComparator
+ * @description Memory-bounded comparison of large JSON and JSON Lines exports.
+ *
+ *              - JSON: both files are tokenized as streams and walked side by side. A root array, and the arrays
+ *                directly under a root object (e.g. `{ "exportedAt": ..., "results": [...] }`), are compared
+ *                element by element; every element is parsed on its own and diffed with aiJsonDiff, so memory
+ *                is bounded by the largest element rather than by the file.
+ *              - JSON Lines (`.jsonl`, `.ndjson`): record N of file A is compared with record N of file B.
+ *                Record paths start with the record index (`/1041/score`); blank lines are skipped.
+ *
+ *              Differences use the aiJsonDiff format, and `ignorePaths`, `numericTolerance` and
+ *              `unorderedArrays` apply with document-wide paths. Unlike aiJsonDiff, streamed arrays are
+ *              always compared by position, and members of a root object that appear in a different order in
+ *              the two files are buffered until their counterpart is read. Only the first `maxDifferences`
+ *              differences are reported: the comparison stops there, and the report is marked incomplete.
+ */
+
+/**
+ * Default number of differences after which a comparison stops.
+ * @type {number}
+ */
+const DEFAULT_MAX_DIFFERENCES = 100;
+
+/**
+ * Default minimum time (ms) between two progress callbacks.
+ * @type {number}
+ */
+const DEFAULT_PROGRESS_INTERVAL_MS = 1000;
+
+// Size of the chunks read from the files.
+const READ_CHUNK_BYTES = 64 * 1024;
+
+// Punctuation tokens are shared; tokens are never modified.
+const PUNCTUATION_TOKENS = Object.fromEntries(['{', '}', '[', ']', ':', ','].map((char) => [char.charCodeAt(0), Object.freeze({ type: char })]));
+// Character codes ending a number or literal: whitespace, punctuation and quotes.
+const DELIMITERS = new Set([...' \t\n\r{}[]:,"'].map((char) => char.charCodeAt(0)));
+const NUMBER = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+const CONTROL_CHARACTER = /[\u0000-\u001F]/;
+
+/**
+ * Splits JSON text into tokens incrementally, carrying incomplete tokens over to the next chunk.
+ * Tokens are `{ type }` for punctuation (`{`, `}`, `[`, `]`, `:`, `,`) and `{ type: 'value', value }`
+ * for strings, numbers, `true`, `false` and `null`.
+ */
+class JsonTokenizer {
+    /**
+     * @param {string} [label='input'] - Names the input in error messages.
+     */
+    constructor(label = 'input') {
+        this.label = label;
+        this.buffer = '';
+        this.offset = 0; // Characters consumed before the start of the buffer.
+    }
+
+    /**
+     * Tokenizes the next piece of text.
+     * @param {string} text - The text.
+     * @param {boolean} [final=false] - True if no more text follows.
+     * @returns {Array<{type: string, value: *}>} The complete tokens found so far.
+     * @throws {Error} If the text is not valid JSON.
+     */
+    push(text, final = false) {
+        let buffer = this.buffer + text;
+        if (this.offset === 0 && buffer.charCodeAt(0) === 0xFEFF) {
+            buffer = buffer.slice(1);
+            this.offset = 1;
+        }
+        const tokens = [];
+        const { length } = buffer;
+        let index = 0;
+        let tokenStart = 0; // Start of the first token not yet complete.
+        while (index < length) {
+            const code = buffer.charCodeAt(index);
+            if (code === 0x20 || code === 0x0A || code === 0x0D || code === 0x09) {
+                index++;
+                tokenStart = index;
+            } else if (PUNCTUATION_TOKENS[code]) {
+                tokens.push(PUNCTUATION_TOKENS[code]);
+                index++;
+                tokenStart = index;
+            } else if (code === 0x22) {
+                const end = _findStringEnd(buffer, index + 1);
+                if (end === -1) {
+                    break;
+                }
+                tokens.push({ type: 'value', value: this._decodeString(buffer.slice(index, end + 1), index) });
+                index = end + 1;
+                tokenStart = index;
+            } else {
+                let end = index + 1;
+                while (end < length && !DELIMITERS.has(buffer.charCodeAt(end))) {
+                    end++;
+                }
+                // A number or literal ending with the buffer may continue in the next chunk.
+                if (end === length && !final) {
+                    break;
+                }
+                tokens.push({ type: 'value', value: this._decodeBare(buffer.slice(index, end), index) });
+                index = end;
+                tokenStart = index;
+            }
+        }
+        if (final && tokenStart < length) {
+            throw new Error(`Unterminated string at character ${this.offset + tokenStart} of ${this.label}.`);
+        }
+        this.offset += tokenStart;
+        this.buffer = buffer.slice(tokenStart);
+        return tokens;
+    }
+
+    /**
+     * Decodes a string token; strings without escapes are sliced rather than parsed.
+     * @param {string} raw - The token text, including the quotes.
+     * @param {number} index - The position of the token in the buffer.
+     * @returns {string} The string.
+     * @throws {Error} If the string is invalid.
+     */
+    _decodeString(raw, index) {
+        if (raw.indexOf('\\') === -1 && !CONTROL_CHARACTER.test(raw)) {
+            return raw.slice(1, -1);
+        }
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            throw this._invalidToken(raw, index, error);
+        }
+    }
+
+    /**
+     * Decodes a number, `true`, `false` or `null`.
+     * @param {string} raw - The token text.
+     * @param {number} index - The position of the token in the buffer.
+     * @returns {number|boolean|null} The value.
+     * @throws {Error} If the token is none of these.
+     */
+    _decodeBare(raw, index) {
+        switch (raw) {
+            case 'true':
+                return true;
+            case 'false':
+                return false;
+            case 'null':
+                return null;
+            default:
+                if (!NUMBER.test(raw)) {
+                    throw this._invalidToken(raw, index);
+                }
+                return Number(raw);
+        }
+    }
+
+    /**
+     * Builds the error for an invalid token.
+     * @param {string} raw - The token text.
+     * @param {number} index - The position of the token in the buffer.
+     * @param {Error} [cause] - The parse error.
+     * @returns {Error} The error.
+     */
+    _invalidToken(raw, index, cause) {
+        const excerpt = raw.length > 40 ? `${raw.slice(0, 37)}...` : raw;
+        return new Error(`Invalid JSON token '${excerpt}' at character ${this.offset + index} of ${this.label}.`, { cause });
+    }
+}
+
+/**
+ * Finds the closing quote of a string.
+ * @param {string} buffer - The text.
+ * @param {number} from - The position after the opening quote.
+ * @returns {number} The position of the closing quote, or -1 if the string continues past the buffer.
+ */
+function _findStringEnd(buffer, from) {
+    let end = buffer.indexOf('"', from);
+    while (end !== -1) {
+        // The quote is escaped if an odd number of backslashes precede it.
+        let backslashes = 0;
+        while (buffer.charCodeAt(end - 1 - backslashes) === 0x5C) {
+            backslashes++;
+        }
+        if (backslashes % 2 === 0) {
+            return end;
+        }
+        end = buffer.indexOf('"', end + 1);
+    }
+    return -1;
+}
+
+/**
+ * Reads the tokens of a JSON file as a stream and assembles values on demand.
+ */
+class JsonTokenReader {
+    /**
+     * @param {string} filePath - The JSON file.
+     * @param {string} label - Names the file in error messages.
+     */
+    constructor(filePath, label) {
+        this.label = label;
+        this.stream = fs.createReadStream(filePath, { highWaterMark: READ_CHUNK_BYTES });
+        this.chunks = this.stream[Symbol.asyncIterator]();
+        this.decoder = new StringDecoder('utf8');
+        this.tokenizer = new JsonTokenizer(label);
+        this.tokens = [];
+        this.index = 0;
+        this.ended = false;
+        this.bytesRead = 0;
+    }
+
+    /**
+     * Returns the next token.
+     * @returns {Promise<?Object>} The token, or null at the end of the file.
+     */
+    async next() {
+        while (this.index >= this.tokens.length) {
+            if (!(await this._fill())) {
+                return null;
+            }
+        }
+        return this.tokens[this.index++];
+    }
+
+    /**
+     * Reads the next chunk of the file and appends its tokens, dropping the tokens already read.
+     * @returns {Promise<boolean>} False if the file had already been read completely.
+     */
+    async _fill() {
+        if (this.ended) {
+            return false;
+        }
+        const { value, done } = await this.chunks.next();
+        let tokens;
+        if (done) {
+            this.ended = true;
+            tokens = this.tokenizer.push(this.decoder.end(), true);
+        } else {
+            this.bytesRead += value.length;
+            tokens = this.tokenizer.push(this.decoder.write(value));
+        }
+        this.tokens = this.index < this.tokens.length ? this.tokens.slice(this.index).concat(tokens) : tokens;
+        this.index = 0;
+        return true;
+    }
+
+    /**
+     * Returns the next token, which must exist.
+     * @returns {Promise<Object>} The token.
+     * @throws {Error} At the end of the file.
+     */
+    async expect() {
+        const token = await this.next();
+        if (!token) {
+            throw new Error(`Unexpected end of ${this.label}.`);
+        }
+        return token;
+    }
+
+    /**
+     * Advances to the next member of the array or object being read.
+     * @param {string} closing - The closing bracket (`]` or `}`).
+     * @param {boolean} isFirst - True right after the opening bracket.
+     * @returns {Promise<?Object>} The first token of the member, or null at the end of the container.
+     * @throws {Error} If the members are not separated by commas.
+     */
+    async nextMember(closing, isFirst) {
+        const token = await this.expect();
+        if (token.type === closing) {
+            return null;
+        }
+        if (isFirst) {
+            return token;
+        }
+        if (token.type !== ',') {
+            throw this._unexpected(token);
+        }
+        return this.expect();
+    }
+
+    /**
+     * Reads an object key and its colon.
+     * @param {Object} token - The key token.
+     * @returns {Promise<string>} The key.
+     * @throws {Error} If the token is not a string followed by a colon.
+     */
+    async readKey(token) {
+        if (token.type !== 'value' || typeof token.value !== 'string') {
+            throw this._unexpected(token);
+        }
+        const colon = await this.expect();
+        if (colon.type !== ':') {
+            throw this._unexpected(colon);
+        }
+        return token.value;
+    }
+
+    /**
+     * Reads the next member of an object.
+     * @param {boolean} isFirst - True right after the opening brace.
+     * @returns {Promise<?{key: string, token: Object}>} The key and the first token of the value, or null at the end.
+     */
+    async nextObjectMember(isFirst) {
+        const token = await this.nextMember('}', isFirst);
+        if (!token) {
+            return null;
+        }
+        const key = await this.readKey(token);
+        return { key, token: await this.expect() };
+    }
+
+    /**
+     * Assembles the value starting with a token.
+     * @param {Object} token - The first token of the value.
+     * @returns {Promise<*>} The value.
+     */
+    async readValue(token) {
+        // Buffer all tokens of the value first, then assemble it without awaiting every token.
+        if (token.type === '[' || token.type === '{') {
+            let depth = 1;
+            let position = this.index;
+            while (depth > 0) {
+                if (position >= this.tokens.length) {
+                    const consumed = this.index;
+                    if (!(await this._fill())) {
+                        break; // Reported as an unexpected end by _assemble().
+                    }
+                    position -= consumed;
+                    continue;
+                }
+                const { type } = this.tokens[position++];
+                if (type === '[' || type === '{') {
+                    depth++;
+                } else if (type === ']' || type === '}') {
+                    depth--;
+                }
+            }
+        }
+        return this._assemble(token);
+    }
+
+    /**
+     * Assembles a value from buffered tokens.
+     * @param {Object} token - The first token of the value.
+     * @returns {*} The value.
+     * @throws {Error} If the tokens do not form a valid value.
+     */
+    _assemble(token) {
+        if (token.type === 'value') {
+            return token.value;
+        }
+        if (token.type !== '[' && token.type !== '{') {
+            throw this._unexpected(token);
+        }
+        const isArray = token.type === '[';
+        const closing = isArray ? ']' : '}';
+        const container = isArray ? [] : {};
+        let member = this._take();
+        if (member.type === closing) {
+            return container;
+        }
+        for (;;) {
+            if (isArray) {
+                container.push(this._assemble(member));
+            } else {
+                if (member.type !== 'value' || typeof member.value !== 'string') {
+                    throw this._unexpected(member);
+                }
+                const colon = this._take();
+                if (colon.type !== ':') {
+                    throw this._unexpected(colon);
+                }
+                container[member.value] = this._assemble(this._take());
+            }
+            const separator = this._take();
+            if (separator.type === closing) {
+                return container;
+            }
+            if (separator.type !== ',') {
+                throw this._unexpected(separator);
+            }
+            member = this._take();
+        }
+    }
+
+    /**
+     * Returns the next buffered token.
+     * @returns {Object} The token.
+     * @throws {Error} If no token is buffered (the file ended within a value).
+     */
+    _take() {
+        if (this.index >= this.tokens.length) {
+            throw new Error(`Unexpected end of ${this.label}.`);
+        }
+        return this.tokens[this.index++];
+    }
+
+    /**
+     * Reads past the value starting with a token without assembling it. Only the nesting of
+     * brackets is checked, so the value may be arbitrarily large.
+     * @param {Object} token - The first token of the value.
+     * @returns {Promise<void>}
+     * @throws {Error} If the brackets do not match.
+     */
+    async skipValue(token) {
+        if (token.type === 'value') {
+            return;
+        }
+        const closers = [];
+        let current = token;
+        for (;;) {
+            if (current.type === '[' || current.type === '{') {
+                closers.push(current.type === '[' ? ']' : '}');
+            } else if (current.type === ']' || current.type === '}' || closers.length === 0) {
+                if (closers.pop() !== current.type) {
+                    throw this._unexpected(current);
+                }
+            }
+            if (closers.length === 0) {
+                return;
+            }
+            current = await this.expect();
+        }
+    }
+
+    /**
+     * Verifies that nothing but whitespace follows the root value.
+     * @returns {Promise<void>}
+     * @throws {Error} If another token follows.
+     */
+    async expectEnd() {
+        const token = await this.next();
+        if (token) {
+            throw this._unexpected(token);
+        }
+    }
+
+    /**
+     * Stops reading the file.
+     */
+    close() {
+        this.stream.destroy();
+    }
+
+    /**
+     * Builds the error for an unexpected token.
+     * @param {Object} token - The token.
+     * @returns {Error} The error.
+     */
+    _unexpected(token) {
+        const text = token.type === 'value' ? JSON.stringify(token.value) : token.type;
+        return new Error(`Unexpected token ${text.length > 40 ? `${text.slice(0, 37)}...` : text} near character ${this.tokenizer.offset} of ${this.label}.`);
+    }
+}
+
+/**
+ * Tracks how far a comparison has got and reports it at most once per interval.
+ */
+class ComparisonProgress {
+    /**
+     * @param {number} totalBytes - The combined size of both files.
+     * @param {function(): number} getBytesRead - Returns the combined number of bytes read so far.
+     * @param {function(Object)} [onProgress] - Receives progress snapshots.
+     * @param {number} [intervalMs=1000] - Minimum time between two callbacks.
+     */
+    constructor(totalBytes, getBytesRead, onProgress, intervalMs = DEFAULT_PROGRESS_INTERVAL_MS) {
+        this.totalBytes = totalBytes;
+        this.getBytesRead = getBytesRead;
+        this.onProgress = onProgress;
+        this.intervalMs = intervalMs;
+        this.startedAt = Date.now();
+        this.lastReportAt = this.startedAt;
+        this.recordsCompared = 0;
+        this.differencesFound = 0;
+    }
+
+    /**
+     * Counts a compared record and invokes the callback if the interval has passed.
+     */
+    tick() {
+        this.recordsCompared++;
+        if (this.onProgress && Date.now() - this.lastReportAt >= this.intervalMs) {
+            this.lastReportAt = Date.now();
+            this.onProgress(this.snapshot());
+        }
+    }
+
+    /**
+     * Returns the current progress.
+     * @returns {{bytesRead: number, totalBytes: number, percent: number, recordsCompared: number,
+     *           differencesFound: number, elapsedMs: number, bytesPerSecond: number, recordsPerSecond: number}}
+     */
+    snapshot() {
+        const elapsedMs = Date.now() - this.startedAt;
+        const bytesRead = Math.min(this.getBytesRead(), this.totalBytes);
+        const seconds = Math.max(elapsedMs, 1) / 1000;
+        return {
+            bytesRead,
+            totalBytes: this.totalBytes,
+            percent: this.totalBytes > 0 ? Math.round((bytesRead / this.totalBytes) * 1000) / 10 : 100,
+            recordsCompared: this.recordsCompared,
+            differencesFound: this.differencesFound,
+            elapsedMs,
+            bytesPerSecond: Math.round(bytesRead / seconds),
+            recordsPerSecond: Math.round(this.recordsCompared / seconds),
+        };
+    }
+}
+
+/**
+ * Collects differences up to the configured limit.
+ */
+class DifferenceCollector {
+    /**
+     * @param {number} maxDifferences - The number of differences after which the comparison stops.
+     * @param {ComparisonProgress} progress - Counts the differences found.
+     */
+    constructor(maxDifferences, progress) {
+        this.maxDifferences = maxDifferences;
+        this.progress = progress;
+        this.differences = [];
+        this.truncated = false;
+    }
+
+    /**
+     * Whether the limit has been reached.
+     * @returns {boolean}
+     */
+    isFull() {
+        return this.differences.length >= this.maxDifferences;
+    }
+
+    /**
+     * Adds differences, dropping those past the limit.
+     * @param {Array<Object>} differences - The differences.
+     */
+    add(differences) {
+        for (const difference of differences) {
+            if (this.isFull()) {
+                this.truncated = true;
+                return;
+            }
+            this.differences.push(difference);
+            this.progress.differencesFound++;
+        }
+    }
+}
+
+/**
+ * Builds a JSON Pointer from segments.
+ * @param {Array<string|number>} segments - The segments.
+ * @returns {string} The pointer.
+ */
+function _toPointer(segments) {
+    return segments.map((segment) => `/${escapePointerSegment(segment)}`).join('');
+}
+
+/**
+ * Names the kind of value a token starts.
+ * @param {Object} token - The first token of a value.
+ * @returns {string} `array`, `object` or `value`.
+ */
+function _kindOf(token) {
+    if (token.type === '[') {
+        return 'array';
+    }
+    return token.type === '{' ? 'object' : 'value';
+}
+
+/**
+ * Reads the size of the files being compared.
+ * @param {string} fileA - The first file.
+ * @param {string} fileB - The second file.
+ * @returns {Promise<number>} The combined size in bytes.
+ */
+async function _totalSize(fileA, fileB) {
+    const [statsA, statsB] = await Promise.all([fs.promises.stat(fileA), fs.promises.stat(fileB)]);
+    return statsA.size + statsB.size;
+}
+
+/**
+ * Compares two JSON files without loading them into memory.
+ * @param {string} fileA - The first JSON file (the "before" side of the differences).
+ * @param {string} fileB - The second JSON file.
+ * @param {Object} [options={}] - Comparison options.
+ * @param {string[]} [options.ignorePaths] - aiJsonDiff pointer patterns excluded from the comparison.
+ * @param {number} [options.numericTolerance] - The largest absolute difference at which numbers are equal.
+ * @param {Object<string, string>} [options.unorderedArrays] - Arrays within elements compared by a key field.
+ * @param {number} [options.maxDifferences=100] - The comparison stops after this many differences.
+ * @param {function(Object)} [options.onProgress] - Receives progress snapshots (see ComparisonProgress#snapshot).
+ * @param {number} [options.progressIntervalMs=1000] - Minimum time between two progress callbacks.
+ * @returns {Promise<{isMatch: boolean, complete: boolean, differences: Array<Object>, stats: Object}>} The report.
+ *          `complete` is false if the comparison stopped at `maxDifferences`; `stats` is the final progress.
+ * @throws {Error} If a file cannot be read or is not valid JSON.
+ */
+async function compareJsonStreams(fileA, fileB, options = {}) {
+    // Stat before opening the readers: a missing file must not leave a read stream open without an error listener.
+    const totalBytes = await _totalSize(fileA, fileB);
+    const readerA = new JsonTokenReader(fileA, `'${fileA}'`);
+    const readerB = new JsonTokenReader(fileB, `'${fileB}'`);
+    const progress = new ComparisonProgress(totalBytes,
+        () => readerA.bytesRead + readerB.bytesRead, options.onProgress, options.progressIntervalMs);
+    const collector = new DifferenceCollector(options.maxDifferences || DEFAULT_MAX_DIFFERENCES, progress);
+    const isIgnored = createPointerMatcher(options.ignorePaths || []);
+    const diffOptions = {
+        ignorePaths: options.ignorePaths,
+        numericTolerance: options.numericTolerance,
+        unorderedArrays: options.unorderedArrays,
+    };
+
+    const compareValues = async (tokenA, tokenB, segments) => {
+        if (segments.length > 0 && isIgnored(segments) !== -1) {
+            await Promise.all([readerA.skipValue(tokenA), readerB.skipValue(tokenB)]);
+            return;
+        }
+        const [valueA, valueB] = await Promise.all([readerA.readValue(tokenA), readerB.readValue(tokenB)]);
+        collector.add(diffJson(valueA, valueB, { ...diffOptions, basePath: _toPointer(segments) }));
+        progress.tick();
+    };
+
+    // Values that may be arbitrarily large are compared only if both sides are the same kind of container.
+    const compareStreamable = async (tokenA, tokenB, segments) => {
+        const kindA = _kindOf(tokenA);
+        const kindB = _kindOf(tokenB);
+        if (kindA === kindB || (kindA !== 'array' && kindB !== 'array')) {
+            return false;
+        }
+        if (segments.length === 0 || isIgnored(segments) === -1) {
+            collector.add([{ op: 'replace', path: _toPointer(segments), oldValue: `(${kindA})`, newValue: `(${kindB})`, typeMismatch: true }]);
+        }
+        await Promise.all([readerA.skipValue(tokenA), readerB.skipValue(tokenB)]);
+        return true;
+    };
+
+    const compareArrays = async (segments) => {
+        let endedA = false;
+        let endedB = false;
+        for (let index = 0; !collector.isFull(); index++) {
+            const tokenA = endedA ? null : await readerA.nextMember(']', index === 0);
+            const tokenB = endedB ? null : await readerB.nextMember(']', index === 0);
+            endedA = !tokenA;
+            endedB = !tokenB;
+            if (endedA && endedB) {
+                return true;
+            }
+            const elementSegments = [...segments, index];
+            if (tokenA && tokenB) {
+                await compareValues(tokenA, tokenB, elementSegments);
+                continue;
+            }
+            const reader = tokenA ? readerA : readerB;
+            if (isIgnored(elementSegments) !== -1) {
+                await reader.skipValue(tokenA || tokenB);
+                continue;
+            }
+            const value = await reader.readValue(tokenA || tokenB);
+            collector.add([tokenA
+                ? { op: 'remove', path: _toPointer(elementSegments), oldValue: value, newValue: undefined }
+                : { op: 'add', path: _toPointer(elementSegments), oldValue: undefined, newValue: value }]);
+            progress.tick();
+        }
+        return false;
+    };
+
+    const compareRootObjects = async () => {
+        const pendingA = new Map();
+        const pendingB = new Map();
+        let memberA = null;
+        let memberB = null;
+        let endedA = false;
+        let endedB = false;
+        let firstA = true;
+        let firstB = true;
+        while (!collector.isFull()) {
+            if (!memberA && !endedA) {
+                memberA = await readerA.nextObjectMember(firstA);
+                firstA = false;
+                endedA = !memberA;
+                if (memberA && isIgnored([memberA.key]) !== -1) {
+                    await readerA.skipValue(memberA.token);
+                    memberA = null;
+                    continue;
+                }
+            }
+            if (!memberB && !endedB) {
+                memberB = await readerB.nextObjectMember(firstB);
+                firstB = false;
+                endedB = !memberB;
+                if (memberB && isIgnored([memberB.key]) !== -1) {
+                    await readerB.skipValue(memberB.token);
+                    memberB = null;
+                    continue;
+                }
+            }
+            if (endedA && endedB) {
+                break;
+            }
+
+            if (memberA && memberB && memberA.key === memberB.key) {
+                const segments = [memberA.key];
+                if (!(await compareStreamable(memberA.token, memberB.token, segments))) {
+                    if (memberA.token.type === '[' && memberB.token.type === '[') {
+                        await compareArrays(segments);
+                    } else {
+                        await compareValues(memberA.token, memberB.token, segments);
+                    }
+                }
+                memberA = null;
+                memberB = null;
+            } else if (memberA && pendingB.has(memberA.key)) {
+                const valueA = await readerA.readValue(memberA.token);
+                collector.add(diffJson(valueA, pendingB.get(memberA.key), { ...diffOptions, basePath: _toPointer([memberA.key]) }));
+                pendingB.delete(memberA.key);
+                memberA = null;
+            } else if (memberB && pendingA.has(memberB.key)) {
+                const valueB = await readerB.readValue(memberB.token);
+                collector.add(diffJson(pendingA.get(memberB.key), valueB, { ...diffOptions, basePath: _toPointer([memberB.key]) }));
+                pendingA.delete(memberB.key);
+                memberB = null;
+            } else if (memberA && !(memberA.token.type === '[' && memberB && memberB.token.type !== '[')) {
+                // Keys in a different order: buffer a member until its counterpart is read, preferring not to buffer arrays.
+                pendingA.set(memberA.key, await readerA.readValue(memberA.token));
+                memberA = null;
+            } else {
+                pendingB.set(memberB.key, await readerB.readValue(memberB.token));
+                memberB = null;
+            }
+        }
+        if (collector.isFull()) {
+            return false;
+        }
+        for (const [key, value] of pendingA) {
+            collector.add([{ op: 'remove', path: _toPointer([key]), oldValue: value, newValue: undefined }]);
+        }
+        for (const [key, value] of pendingB) {
+            collector.add([{ op: 'add', path: _toPointer([key]), oldValue: undefined, newValue: value }]);
+        }
+        return true;
+    };
+
+    try {
+        const [rootA, rootB] = await Promise.all([readerA.expect(), readerB.expect()]);
+        let complete = true;
+        if (await compareStreamable(rootA, rootB, [])) {
+            // Nothing else to compare.
+        } else if (rootA.type === '[' && rootB.type === '[') {
+            complete = await compareArrays([]);
+        } else if (rootA.type === '{' && rootB.type === '{') {
+            complete = await compareRootObjects();
+        } else {
+            await compareValues(rootA, rootB, []);
+        }
+        if (complete) {
+            await Promise.all([readerA.expectEnd(), readerB.expectEnd()]);
+        }
+        return {
+            isMatch: collector.differences.length === 0,
+            complete: complete && !collector.truncated,
+            differences: collector.differences,
+            stats: progress.snapshot(),
+        };
+    } finally {
+        readerA.close();
+        readerB.close();
+    }
+}
+
+/**
+ * Opens a JSON Lines file for reading record by record.
+ * @param {string} filePath - The file.
+ * @returns {{next: function(): Promise<?{line: number, text: string}>, bytesRead: function(): number, close: function()}}
+ *          A reader returning the non-blank lines with their 1-based line numbers.
+ */
+function _openJsonLines(filePath) {
+    const stream = fs.createReadStream(filePath, { highWaterMark: READ_CHUNK_BYTES });
+    let bytesRead = 0;
+    stream.on('data', (chunk) => {
+        bytesRead += chunk.length;
+    });
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    const iterator = lines[Symbol.asyncIterator]();
+    let lineNumber = 0;
+    return {
+        async next() {
+            for (;;) {
+                const { value, done } = await iterator.next();
+                if (done) {
+                    return null;
+                }
+                lineNumber++;
+                const text = lineNumber === 1 ? value.replace(/^\uFEFF/, '') : value;
+                if (text.trim() !== '') {
+                    return { line: lineNumber, text };
+                }
+            }
+        },
+        bytesRead: () => bytesRead,
+        close() {
+            lines.close();
+            stream.destroy();
+        },
+    };
+}
+
+/**
+ * Compares two JSON Lines (`.jsonl`/`.ndjson`) files record by record, reading one line of each at a time.
+ * @param {string} fileA - The first file (the "before" side of the differences).
+ * @param {string} fileB - The second file.
+ * @param {Object} [options={}] - Comparison options, as for compareJsonStreams(). Paths start with the
+ *        record index; a `*` first segment in `ignorePaths` ignores a field in every record.
+ * @returns {Promise<{isMatch: boolean, complete: boolean, differences: Array<Object>,
+ *           invalidRecords: Array<{file: string, line: number, message: string}>, stats: Object}>} The report.
+ *          Differences also carry `lineA`/`lineB`, the lines of the records they were found in. Records that
+ *          are not valid JSON are listed in `invalidRecords` (and compared as text).
+ * @throws {Error} If a file cannot be read.
+ */
+async function compareJsonLinesFiles(fileA, fileB, options = {}) {
+    // As in compareJsonStreams, stat before opening so a missing file leaves no stream open.
+    const totalBytes = await _totalSize(fileA, fileB);
+    const linesA = _openJsonLines(fileA);
+    const linesB = _openJsonLines(fileB);
+    const progress = new ComparisonProgress(totalBytes,
+        () => linesA.bytesRead() + linesB.bytesRead(), options.onProgress, options.progressIntervalMs);
+    const collector = new DifferenceCollector(options.maxDifferences || DEFAULT_MAX_DIFFERENCES, progress);
+    const isIgnored = createPointerMatcher(options.ignorePaths || []);
+    const diffOptions = {
+        ignorePaths: options.ignorePaths,
+        numericTolerance: options.numericTolerance,
+        unorderedArrays: options.unorderedArrays,
+    };
+    const invalidRecords = [];
+
+    const parse = (record, file) => {
+        try {
+            return JSON.parse(record.text);
+        } catch (error) {
+            invalidRecords.push({ file, line: record.line, message: error.message });
+            return record.text;
+        }
+    };
+
+    try {
+        let complete = true;
+        for (let index = 0; ; index++) {
+            if (collector.isFull()) {
+                complete = false;
+                break;
+            }
+            const [recordA, recordB] = await Promise.all([linesA.next(), linesB.next()]);
+            if (!recordA && !recordB) {
+                break;
+            }
+            const lines = { lineA: recordA ? recordA.line : undefined, lineB: recordB ? recordB.line : undefined };
+            const path = `/${index}`;
+            if (recordA && recordB) {
+                // Identical lines are the common case in large exports; skip parsing them.
+                if (recordA.text !== recordB.text) {
+                    const differences = diffJson(parse(recordA, fileA), parse(recordB, fileB), { ...diffOptions, basePath: path });
+                    collector.add(differences.map((difference) => ({ ...difference, ...lines })));
+                }
+            } else if (isIgnored([index]) === -1) {
+                collector.add([recordA
+                    ? { op: 'remove', path, oldValue: parse(recordA, fileA), newValue: undefined, ...lines }
+                    : { op: 'add', path, oldValue: undefined, newValue: parse(recordB, fileB), ...lines }]);
+            }
+            progress.tick();
+        }
+        return {
+            isMatch: collector.differences.length === 0 && invalidRecords.length === 0,
+            complete: complete && !collector.truncated,
+            differences: collector.differences,
+            invalidRecords,
+            stats: progress.snapshot(),
+        };
+    } finally {
+        linesA.close();
+        linesB.close();
+    }
+}
+
+/**
+ * Describes comparison progress in one line, e.g. `12.5 MB of 40.0 MB (31.3%), 120000 records, 25.1 MB/s`.
+ * @param {Object} stats - A progress snapshot.
+ * @returns {string} The description.
+ */
+function describeStreamProgress(stats) {
+    const megabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+    return `${megabytes(stats.bytesRead)} MB of ${megabytes(stats.totalBytes)} MB (${stats.percent}%), `
+        + `${stats.recordsCompared} records, ${megabytes(stats.bytesPerSecond)} MB/s, ${stats.recordsPerSecond} records/s`;
+}
+
+module.exports = {
+    compareJsonStreams,
+    compareJsonLinesFiles,
+    describeStreamProgress,
+    JsonTokenizer,
+    DEFAULT_MAX_DIFFERENCES,
+};
@@ -0,0 +1,321 @@
+/**
+ * @module aiLexiconSentimentAnalyzer
+ * @description Offline, lexicon-based sentiment analyzer (AFINN-style word valences from -5 to +5).
+ *              Handles negation, intensifiers, contrastive "but", exclamation emphasis, emoji and
+ *              emoticons. Sentences are scored individually and rolled up into a document label:
+ *              positive, negative, neutral, or mixed when strong positive and strong negative
+ *              sentences coexist. Needs no network access, so it can serve tests and provider outages.
+ */
+
+/**
+ * The labels produced by SentimentSight analyzers.
+ * @type {string[]}
+ */
+const SENTIMENT_LABELS = ['positive', 'negative', 'neutral', 'mixed'];
+
+/**
+ * Version reported with every result; bump it whenever the lexicon or scoring rules change.
+ * @type {string}
+ */
+const LEXICON_MODEL_VERSION = 'lexicon-1.0.0';
+
+/**
+ * AFINN-style word valences (-5 very negative .. +5 very positive).
+ * @type {Object<string, number>}
+ */
+const DEFAULT_LEXICON = {
+    // Positive
+    'amazing': 4, 'awesome': 4, 'beautiful': 3, 'best': 3, 'better': 2, 'brilliant': 4, 'calm': 2,
+    'cheerful': 2, 'clean': 2, 'comfortable': 2, 'cool': 1, 'delight': 3, 'delighted': 3, 'delightful': 3,
+    'easy': 1, 'effective': 2, 'efficient': 2, 'enjoy': 2, 'enjoyed': 2, 'excellent': 3, 'excited': 3,
+    'exciting': 3, 'fantastic': 4, 'fast': 1, 'fine': 1, 'friendly': 2, 'fun': 3, 'glad': 3, 'good': 3,
+    'great': 3, 'happy': 3, 'helpful': 2, 'impressed': 3, 'impressive': 3, 'incredible': 4, 'kind': 2,
+    'like': 2, 'liked': 2, 'love': 3, 'loved': 3, 'lovely': 3, 'nice': 3, 'outstanding': 5, 'perfect': 3,
+    'pleasant': 3, 'pleased': 3, 'positive': 2, 'quick': 1, 'recommend': 2, 'recommended': 2, 'reliable': 2,
+    'satisfied': 2, 'smooth': 2, 'solid': 2, 'splendid': 3, 'success': 2, 'successful': 3, 'superb': 5,
+    'support': 1, 'thank': 2, 'thanks': 2, 'thankful': 2, 'useful': 2, 'valuable': 2, 'win': 4, 'wonderful': 4,
+    'worth': 2, 'wow': 4,
+    // Negative
+    'abysmal': -5, 'angry': -3, 'annoyed': -2, 'annoying': -2, 'awful': -3, 'bad': -3, 'broken': -2,
+    'bug': -2, 'buggy': -2, 'complain': -2, 'complaint': -2, 'confusing': -2, 'crash': -2, 'crashed': -2,
+    'crashes': -2, 'disappointed': -2, 'disappointing': -2, 'disaster': -4, 'dislike': -2, 'disgusting': -3,
+    'dreadful': -3, 'expensive': -1, 'fail': -2, 'failed': -2, 'failure': -2, 'frustrated': -2,
+    'frustrating': -2, 'garbage': -3, 'hate': -3, 'hated': -3, 'horrible': -3, 'issue': -1, 'issues': -1,
+    'lag': -1, 'laggy': -2, 'lost': -3, 'mediocre': -1, 'mess': -2, 'miserable': -3, 'negative': -2,
+    'outrage': -3, 'pathetic': -2, 'poor': -2, 'problem': -2, 'problems': -2, 'refund': -1, 'rude': -2,
+    'sad': -2, 'scam': -4, 'slow': -2, 'sorry': -1, 'stupid': -2, 'terrible': -3, 'ugly': -3, 'unacceptable': -3,
+    'unhappy': -2, 'unreliable': -2, 'unusable': -3, 'upset': -2, 'useless': -2, 'waste': -1, 'worse': -3,
+    'worst': -3, 'wrong': -2,
+};
+
+/**
+ * Valences of emoji (matched without variation selectors).
+ * @type {Object<string, number>}
+ */
+const EMOJI_LEXICON = {
+    '😀': 3, '😃': 3, '😄': 3, '😁': 3, '😊': 3, '🙂': 2, '😍': 4, '🥰': 4, '😘': 3, '😂': 2, '🤩': 4,
+    '❤': 3, '💕': 3, '👍': 2, '👏': 2, '🎉': 3, '🙌': 3, '✅': 1, '💯': 3,
+    '😐': 0, '😕': -1, '🙁': -2, '☹': -2, '😞': -2, '😔': -2, '😒': -2, '😢': -2, '😭': -3, '😩': -2,
+    '😠': -3, '😡': -4, '🤬': -4, '🤮': -4, '💔': -3, '👎': -2, '😱': -2,
+};
+
+/**
+ * Valences of ASCII emoticons.
+ * @type {Object<string, number>}
+ */
+const EMOTICON_LEXICON = {
+    ':)': 2, ':-)': 2, ':D': 3, ':-D': 3, ';)': 1, ';-)': 1, ':P': 1, ':p': 1, '<3': 3,
+    ':(': -2, ':-(': -2, ':\'(': -3, '>:(': -3, ':/': -1, ':-/': -1, ':|': 0, ':-|': 0,
+};
+
+/**
+ * Multipliers applied to the next sentiment-bearing token.
+ * @type {Object<string, number>}
+ */
+const INTENSIFIERS = {
+    'absolutely': 1.5, 'completely': 1.5, 'extremely': 1.8, 'highly': 1.5, 'incredibly': 1.7, 'really': 1.3,
+    'so': 1.3, 'super': 1.5, 'totally': 1.4, 'truly': 1.3, 'very': 1.5,
+    'barely': 0.5, 'kinda': 0.7, 'marginally': 0.6, 'slightly': 0.6, 'somewhat': 0.7,
+};
+
+/**
+ * Words that flip the valence of the sentiment tokens following them (within NEGATION_WINDOW tokens).
+ * Contractions ending in "n't" are treated as negators too.
+ * @type {Set<string>}
+ */
+const NEGATORS = new Set(['not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', 'without', 'cannot', 'hardly']);
+
+/**
+ * Number of tokens after a negator whose valence is flipped.
+ * @type {number}
+ */
+const NEGATION_WINDOW = 3;
+
+/**
+ * Factor applied to negated valences ("not good" is weaker than "bad").
+ * @type {number}
+ */
+const NEGATION_FACTOR = -0.75;
+
+/**
+ * Normalization constant mapping raw sums onto (-1, 1) via `raw / sqrt(raw^2 + alpha)`.
+ * @type {number}
+ */
+const NORMALIZATION_ALPHA = 15;
+
+/**
+ * Tokenizer: emoticons, emoji, words and exclamation marks.
+ * @type {RegExp}
+ */
+const TOKEN_PATTERN = /(?<![\w:/])(>:\(|:'\(|:-?[()DPp|]|:-?\/(?!\/)|;-?\)|<3)|(\p{Extended_Pictographic})|(\p{L}[\p{L}'’-]*)|(!)/gu;
+
+/**
+ * Sentence splitter: runs of text ending in terminal punctuation, a line break or the end of input.
+ * @type {RegExp}
+ */
+const SENTENCE_PATTERN = /[^\n.!?]*(?:[.!?]+["')\]]*|\n|$)/g;
+
+/**
+ * Rounds a number to four decimals for stable, readable output.
+ * @param {number} value - The value to round.
+ * @returns {number} The rounded value.
+ */
+function _round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+class LexiconSentimentAnalyzer {
+    /**
+     * @param {Object} [config={}] - Analyzer configuration.
+     * @param {Object<string, number>} [config.lexicon] - Extra or overriding word valences.
+     * @param {number} [config.neutralThreshold=0.1] - Normalized scores within ±threshold are neutral.
+     * @param {number} [config.strongThreshold=0.5] - Normalized sentence score counting as strongly positive/negative
+     *                                                 when deciding whether a document is mixed.
+     */
+    constructor(config = {}) {
+        this.lexicon = { ...DEFAULT_LEXICON, ...(config.lexicon || {}) };
+        this.neutralThreshold = config.neutralThreshold !== undefined ? config.neutralThreshold : 0.1;
+        this.strongThreshold = config.strongThreshold !== undefined ? config.strongThreshold : 0.5;
+        this.provider = 'lexicon';
+        this.modelVersion = LEXICON_MODEL_VERSION;
+    }
+
+    /**
+     * Analyzes a text and returns the document label along with per-sentence scores.
+     * @param {string} text - The text to analyze.
+     * @returns {Object} `{ label, score, confidence, provider, modelVersion, sentences }`, where `score` is in [-1, 1]
+     *                   and each sentence is `{ text, charStart, charEnd, score, label }`.
+     */
+    analyze(text) {
+        // Totals and extremes are tracked in the sentence loop: spreading one argument per sentence
+        // into Math.max overflows the call stack on long texts.
+        let totalRaw = 0;
+        let strongestPositive = 0;
+        let strongestNegative = 0;
+        const sentences = this._splitSentences(String(text || '')).map((sentence) => {
+            const raw = this._scoreSentence(sentence.text);
+            const sentenceScore = this._normalize(raw);
+            totalRaw += raw;
+            strongestPositive = Math.max(strongestPositive, _round(sentenceScore));
+            strongestNegative = Math.min(strongestNegative, _round(sentenceScore));
+            return { ...sentence, score: _round(sentenceScore), label: this._labelFor(sentenceScore) };
+        });
+
+        const score = this._normalize(totalRaw);
+        const isMixed = strongestPositive >= this.strongThreshold && strongestNegative <= -this.strongThreshold;
+
+        const label = isMixed ? 'mixed' : this._labelFor(score);
+        let confidence;
+        if (label === 'mixed') {
+            confidence = 0.5 + Math.min(strongestPositive, -strongestNegative) / 2;
+        } else if (label === 'neutral') {
+            confidence = 1 - (Math.abs(score) / this.neutralThreshold) / 2;
+        } else {
+            confidence = 0.5 + Math.abs(score) / 2;
+        }
+
+        return {
+            label,
+            score: _round(score),
+            confidence: _round(confidence),
+            provider: this.provider,
+            modelVersion: this.modelVersion,
+            sentences,
+        };
+    }
+
+    /**
+     * Analyzes records produced by `integrateFileForAI` (or plain strings).
+     * @param {Array<Object|string>} records - The records (`{ id, text, source }`) or texts to analyze.
+     * @returns {Object[]} One result per record: the analysis plus the record's `id` and `source`.
+     */
+    analyzeRecords(records) {
+        return records.map((record, index) => {
+            const isString = typeof record === 'string';
+            return {
+                id: isString ? String(index + 1) : record.id,
+                source: isString ? null : record.source,
+                ...this.analyze(isString ? record : record.text),
+            };
+        });
+    }
+
+    /**
+     * Splits text into sentences with their character offsets.
+     * @param {string} text - The text to split.
+     * @returns {Array<{text: string, charStart: number, charEnd: number}>} The non-empty sentences.
+     */
+    _splitSentences(text) {
+        const sentences = [];
+        const pattern = new RegExp(SENTENCE_PATTERN.source, 'g');
+        let match;
+        while (pattern.lastIndex < text.length && (match = pattern.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                pattern.lastIndex++;
+                continue;
+            }
+            const trimmed = match[0].trim();
+            if (trimmed !== '') {
+                const charStart = match.index + match[0].indexOf(trimmed);
+                sentences.push({ text: trimmed, charStart, charEnd: charStart + trimmed.length });
+            }
+        }
+        return sentences;
+    }
+
+    /**
+     * Computes the raw (unbounded) valence of a sentence.
+     * @param {string} sentence - The sentence.
+     * @returns {number} The summed valence of its tokens after negation, intensifier and contrast rules.
+     */
+    _scoreSentence(sentence) {
+        const valences = [];
+        let exclamations = 0;
+        let negationLeft = 0;
+        let multiplier = 1;
+        let contrastIndex = -1;
+
+        for (const match of sentence.matchAll(new RegExp(TOKEN_PATTERN.source, 'gu'))) {
+            const [, emoticon, emoji, word, exclamation] = match;
+            if (exclamation) {
+                exclamations++;
+                continue;
+            }
+
+            let valence;
+            if (emoticon) {
+                valence = EMOTICON_LEXICON[emoticon];
+            } else if (emoji) {
+                valence = EMOJI_LEXICON[emoji];
+            } else {
+                const lower = word.toLowerCase().replace(/’/g, '\'');
+                if (NEGATORS.has(lower) || lower.endsWith('n\'t')) {
+                    negationLeft = NEGATION_WINDOW;
+                    continue;
+                }
+                if (INTENSIFIERS[lower] !== undefined) {
+                    multiplier *= INTENSIFIERS[lower];
+                    continue;
+                }
+                if (lower === 'but' || lower === 'however') {
+                    contrastIndex = valences.length;
+                }
+                valence = this.lexicon[lower];
+            }
+
+            if (valence) {
+                let adjusted = valence * multiplier;
+                if (negationLeft > 0) {
+                    adjusted *= NEGATION_FACTOR;
+                }
+                valences.push(adjusted);
+                multiplier = 1;
+            }
+            negationLeft = Math.max(0, negationLeft - 1);
+        }
+
+        // Contrast: what follows "but" outweighs what precedes it.
+        let raw = valences.reduce((sum, valence, index) => {
+            if (contrastIndex === -1) {
+                return sum + valence;
+            }
+            return sum + valence * (index < contrastIndex ? 0.5 : 1.5);
+        }, 0);
+
+        // Exclamation marks amplify whatever sentiment is present (capped at three).
+        if (raw !== 0 && exclamations > 0) {
+            raw *= 1 + 0.1 * Math.min(exclamations, 3);
+        }
+        return raw;
+    }
+
+    /**
+     * Maps a raw valence onto (-1, 1).
+     * @param {number} raw - The raw valence.
+     * @returns {number} The normalized score.
+     */
+    _normalize(raw) {
+        return raw === 0 ? 0 : raw / Math.sqrt(raw * raw + NORMALIZATION_ALPHA);
+    }
+
+    /**
+     * Labels a normalized score as positive, negative or neutral.
+     * @param {number} score - The normalized score.
+     * @returns {'positive'|'negative'|'neutral'} The label.
+     */
+    _labelFor(score) {
+        if (score > this.neutralThreshold) {
+            return 'positive';
+        }
+        if (score < -this.neutralThreshold) {
+            return 'negative';
+        }
+        return 'neutral';
+    }
+}
+
+module.exports = {
+    LexiconSentimentAnalyzer,
+    SENTIMENT_LABELS,
+    LEXICON_MODEL_VERSION,
+};
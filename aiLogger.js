@@ -0,0 +1,34 @@
+const winston = require('winston'); // Install winston: npm install winston
+
+/**
+ * @module aiLogger
+ * @description Shared Winston logger for the SentimentSight AI modules.
+ */
+
+// Configure the Winston logger
+const logger = winston.createLogger({
+    level: process.env.LOG_LEVEL || 'info', // Default log level to 'info'
+    format: winston.format.combine(
+        winston.format.timestamp({
+            format: 'YYYY-MM-DD HH:mm:ss'
+        }),
+        winston.format.errors({ stack: true }), // Log stack traces for errors
+        winston.format.splat(), // Enable string interpolation for messages
+        winston.format.json() // Output logs in JSON format for structured logging
+    ),
+    transports: [
+        new winston.transports.Console({
+            format: winston.format.combine(
+                winston.format.colorize(), // Add colors to console output
+                winston.format.printf(
+                    info => `${info.timestamp} ${info.level}: ${info.message} ${info.stack ? '\n' + info.stack : ''}`
+                )
+            )
+        }),
+        // In a production environment, you might add file transports or other transports:
+        // new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+        // new winston.transports.File({ filename: 'logs/combined.log' })
+    ],
+});
+
+module.exports = logger;
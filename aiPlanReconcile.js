@@ -1 +1,573 @@
-An error occurred while calling Gemini: Gemini quota exceeded.
\ No newline at end of file
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./aiLogger');
+const { walkDirectory } = require('./aIFileIntegrator');
+const { createPathMatcher, toPosixPath } = require('./aiGlobMatcher');
+const { mapWithConcurrency } = require('./aiConcurrency');
+
+/**
+ * @module aiPlanReconcile
+ * @description Reconciles a declared project layout (the "plan") with the files on disk. The plan is either
+ *              the tree block of a Markdown file such as the README:
+ *
+ *                  .
+ *                  |-- app.js                # Main application entry point
+ *                  `-- config/
+ *                      `-- db.js             # Database connection configuration
+ *
+ *              (box-drawing trees, and trees whose box-drawing characters were turned into `?` by an encoding round
+ *              trip, are read too), or a plan file: JSON (`["app.js", { "path": "config/", "description": "..." }]`
+ *              or `{ "entries": [...] }`) or a minimal YAML list (`- app.js`, or `- path: app.js` followed by
+ *              an indented `description:`). Paths ending in `/` are directories; a directory declared without
+ *              children covers every file below it.
+ *
+ *              The report lists declared entries missing on disk, files on disk the plan does not list, and
+ *              stub files (empty, or holding only a placeholder). Files matched by the root `.gitignore` are
+ *              skipped like `.git` and `node_modules`. `register` adds the unlisted files to the plan and
+ *              `scaffold` creates the missing entries (as empty files) inside the root directory.
+ */
+
+/**
+ * Tree drawing styles: the markers of a branch, of the last branch, and the indentation below them.
+ * @type {Object<string, {branch: string, last: string, pipe: string, blank: string}>}
+ */
+const TREE_STYLES = {
+    unicode: { branch: '\u251C\u2500\u2500 ', last: '\u2514\u2500\u2500 ', pipe: '\u2502   ', blank: '    ' },
+    ascii: { branch: '|-- ', last: '`-- ', pipe: '|   ', blank: '    ' },
+    // Box-drawing characters replaced by `?` in an encoding round trip, as in the README.
+    mojibake: { branch: '??? ', last: '??? ', pipe: '?   ', blank: '    ' },
+};
+
+// A tree line: indentation in units of four characters, a branch marker and the entry.
+const TREE_LINE = /^((?:[\u2502|?] {3}| {4})*)(\u251C\u2500\u2500\s|\u2514\u2500\u2500\s|\|--\s|`--\s|\+--\s|\?\?\?\s)\s*(\S.*)$/;
+
+/**
+ * Directories never reported as unlisted.
+ * @type {string[]}
+ */
+const DEFAULT_IGNORE = ['.git', 'node_modules'];
+
+/**
+ * Contents identifying placeholder files. Matched against files of at most `stubMaxBytes`.
+ * @type {RegExp[]}
+ */
+const DEFAULT_STUB_PATTERNS = [
+    /^\s*(?:\/\/|#)\s*placeholder\b/im,
+    /^\s*An error occurred while calling [\w .-]+:/,
+    /^\s*Missing entry confirmed\b/i,
+];
+
+/**
+ * Default size above which a file is never considered a stub.
+ * @type {number}
+ */
+const DEFAULT_STUB_MAX_BYTES = 1024;
+
+/**
+ * Normalizes a declared path and splits off the directory marker.
+ * @param {string} declaredPath - The path as written in the plan.
+ * @returns {{path: string, isDirectory: boolean}} The POSIX path without `./` or a trailing slash.
+ */
+function _normalizeDeclaredPath(declaredPath) {
+    const posixPath = toPosixPath(String(declaredPath).trim());
+    const isDirectory = posixPath.endsWith('/');
+    return { path: posixPath.replace(/\/+$/, ''), isDirectory };
+}
+
+/**
+ * Marks entries with declared descendants as directories.
+ * @param {Array<Object>} entries - The plan entries.
+ * @returns {Array<Object>} The entries.
+ */
+function _inferDirectories(entries) {
+    const parents = new Set();
+    for (const entry of entries) {
+        const segments = entry.path.split('/');
+        for (let length = 1; length < segments.length; length++) {
+            parents.add(segments.slice(0, length).join('/'));
+        }
+    }
+    for (const entry of entries) {
+        if (parents.has(entry.path)) {
+            entry.type = 'directory';
+        }
+    }
+    return entries;
+}
+
+/**
+ * Finds the project tree in Markdown: the first fenced code block containing tree lines.
+ * @param {string} markdown - The Markdown text.
+ * @returns {?{text: string, startLine: number, endLine: number}} The block content and its line range
+ *          (0-based, excluding the fences), or null if there is none.
+ */
+function extractTreeBlock(markdown) {
+    const lines = markdown.split(/\r?\n/);
+    let start = -1;
+    for (let index = 0; index < lines.length; index++) {
+        if (!/^\s*(```|~~~)/.test(lines[index])) {
+            continue;
+        }
+        if (start === -1) {
+            start = index + 1;
+            continue;
+        }
+        const blockLines = lines.slice(start, index);
+        if (blockLines.some((line) => TREE_LINE.test(line))) {
+            return { text: blockLines.join('\n'), startLine: start, endLine: index };
+        }
+        start = -1;
+    }
+    return null;
+}
+
+/**
+ * Parses a project tree.
+ * @param {string} text - The tree, one entry per line.
+ * @returns {{entries: Array<{path: string, type: string, description: (string|undefined), line: number}>,
+ *           style: string, rootLabel: string, commentColumn: number}} The entries in tree order, the drawing style,
+ *          the root line (e.g. `.`) and the column of the `#` comments, for rendering the tree again.
+ */
+function parsePlanTree(text) {
+    const entries = [];
+    const directories = []; // Directory names by depth.
+    const commentColumns = new Map();
+    let style = 'unicode';
+    let rootLabel = '.';
+    text.split(/\r?\n/).forEach((line, index) => {
+        const match = TREE_LINE.exec(line);
+        if (!match) {
+            if (entries.length === 0 && line.trim() !== '') {
+                rootLabel = line.trim();
+            }
+            return;
+        }
+        const [, indentation, marker, rest] = match;
+        if (marker.startsWith('???')) {
+            style = 'mojibake';
+        } else if (/^[|`+]/.test(marker)) {
+            style = 'ascii';
+        }
+        const name = rest.match(/^[^\s#]+/)[0];
+        const comment = rest.indexOf('#');
+        const description = comment === -1 ? undefined : rest.slice(comment + 1).trim() || undefined;
+        if (comment !== -1) {
+            const column = line.indexOf('#', indentation.length + marker.length);
+            commentColumns.set(column, (commentColumns.get(column) || 0) + 1);
+        }
+
+        const depth = Math.min(indentation.length / 4, directories.length);
+        directories.length = depth;
+        const { path: entryPath, isDirectory } = _normalizeDeclaredPath(name);
+        const fullPath = [...directories, entryPath].join('/');
+        entries.push({ path: fullPath, type: isDirectory ? 'directory' : 'file', description, line: index + 1 });
+        directories.push(entryPath);
+    });
+    const [commentColumn] = [...commentColumns.entries()].sort((a, b) => b[1] - a[1])[0] || [26];
+    return { entries: _inferDirectories(entries), style, rootLabel, commentColumn };
+}
+
+/**
+ * Reads the entries of a JSON plan.
+ * @param {string} content - The JSON text.
+ * @returns {Array<Object>} The entries.
+ * @throws {Error} If the JSON holds no entry list.
+ */
+function _parseJsonPlan(content) {
+    const data = JSON.parse(content.replace(/^\uFEFF/, ''));
+    const list = Array.isArray(data) ? data : data && (data.entries || data.files);
+    if (!Array.isArray(list)) {
+        throw new Error('A JSON plan must be an array of entries or an object with an "entries" array.');
+    }
+    return list.map((item) => {
+        const declared = typeof item === 'string' ? { path: item } : item || {};
+        if (typeof declared.path !== 'string' || declared.path.trim() === '') {
+            throw new Error(`Invalid plan entry ${JSON.stringify(item)}: a path is required.`);
+        }
+        const { path: entryPath, isDirectory } = _normalizeDeclaredPath(declared.path);
+        return { path: entryPath, type: isDirectory || declared.type === 'directory' ? 'directory' : 'file', description: declared.description };
+    });
+}
+
+/**
+ * Strips quotes and trailing comments from a YAML scalar.
+ * @param {string} value - The raw value.
+ * @returns {string} The value.
+ */
+function _yamlScalar(value) {
+    const trimmed = value.trim();
+    const quoted = /^(['"])(.*)\1$/.exec(trimmed);
+    if (quoted) {
+        return quoted[2];
+    }
+    return trimmed.replace(/\s+#.*$/, '');
+}
+
+/**
+ * Reads the entries of a minimal YAML plan: list items that are paths or `path:` mappings. A top-level
+ * key (e.g. `entries:`) is ignored, as are comments and other keys.
+ * @param {string} content - The YAML text.
+ * @returns {Array<Object>} The entries.
+ * @throws {Error} If a list item has no path.
+ */
+function _parseYamlPlan(content) {
+    const entries = [];
+    let current = null;
+    content.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, index) => {
+        if (/^\s*(#.*)?$/.test(line)) {
+            return;
+        }
+        const item = /^\s*-\s+(.*)$/.exec(line);
+        if (item) {
+            const mapping = /^([\w-]+):\s*(.*)$/.exec(item[1]);
+            current = mapping ? { [mapping[1]]: _yamlScalar(mapping[2]) } : { path: _yamlScalar(item[1]) };
+            current.line = index + 1;
+            entries.push(current);
+            return;
+        }
+        const property = /^\s+([\w-]+):\s*(.*)$/.exec(line);
+        if (property && current) {
+            current[property[1]] = _yamlScalar(property[2]);
+        }
+    });
+    return entries.map((declared) => {
+        if (!declared.path) {
+            throw new Error(`Plan entry on line ${declared.line} has no path.`);
+        }
+        const { path: entryPath, isDirectory } = _normalizeDeclaredPath(declared.path);
+        return {
+            path: entryPath,
+            type: isDirectory || declared.type === 'directory' ? 'directory' : 'file',
+            description: declared.description,
+            line: declared.line,
+        };
+    });
+}
+
+/**
+ * Loads a plan from a Markdown file (its tree block), a JSON file or a YAML file.
+ * @param {string} planPath - The plan file.
+ * @returns {Promise<Object>} The plan: `{ path, format ('tree', 'json' or 'yaml'), entries, content }`, plus
+ *          `block`, `style`, `rootLabel` and `commentColumn` for trees.
+ * @throws {Error} If the file cannot be read or holds no plan.
+ */
+async function loadPlan(planPath) {
+    const content = await fs.readFile(planPath, 'utf8');
+    const extension = path.extname(planPath).toLowerCase();
+    if (extension === '.json') {
+        return { path: planPath, format: 'json', entries: _inferDirectories(_parseJsonPlan(content)), content };
+    }
+    if (extension === '.yaml' || extension === '.yml') {
+        return { path: planPath, format: 'yaml', entries: _inferDirectories(_parseYamlPlan(content)), content };
+    }
+    const block = extractTreeBlock(content);
+    if (!block) {
+        throw new Error(`No project tree found in '${planPath}'.`);
+    }
+    const tree = parsePlanTree(block.text);
+    // Report tree lines relative to the Markdown file.
+    tree.entries.forEach((entry) => {
+        entry.line += block.startLine;
+    });
+    return { path: planPath, format: 'tree', content, block, ...tree };
+}
+
+/**
+ * Renders plan entries as a tree.
+ * @param {Array<{path: string, type: string, description: (string|undefined)}>} entries - The entries, parents first.
+ * @param {Object} [options={}] - Rendering options.
+ * @param {string} [options.style='unicode'] - `unicode`, `ascii` or `mojibake` (see TREE_STYLES).
+ * @param {string} [options.rootLabel='.'] - The first line.
+ * @param {number} [options.commentColumn=26] - The column at which descriptions start.
+ * @returns {string} The tree.
+ */
+function renderPlanTree(entries, options = {}) {
+    const style = TREE_STYLES[options.style] || TREE_STYLES.unicode;
+    const commentColumn = options.commentColumn || 26;
+    const root = { children: [] };
+    const nodes = new Map([['', root]]);
+    const ensureNode = (entryPath, type, description) => {
+        if (nodes.has(entryPath)) {
+            return nodes.get(entryPath);
+        }
+        const separator = entryPath.lastIndexOf('/');
+        const parent = ensureNode(separator === -1 ? '' : entryPath.slice(0, separator), 'directory');
+        const node = { name: entryPath.slice(separator + 1), type, description, children: [] };
+        parent.children.push(node);
+        nodes.set(entryPath, node);
+        return node;
+    };
+    for (const entry of entries) {
+        const node = ensureNode(entry.path, entry.type, entry.description);
+        node.type = entry.type;
+        node.description = entry.description;
+    }
+
+    const lines = [options.rootLabel || '.'];
+    const renderChildren = (node, indentation) => {
+        node.children.forEach((child, index) => {
+            const isLast = index === node.children.length - 1;
+            let line = `${indentation}${isLast ? style.last : style.branch}${child.name}${child.type === 'directory' ? '/' : ''}`;
+            if (child.description) {
+                line = `${line.length < commentColumn ? line.padEnd(commentColumn) : `${line} `}# ${child.description}`;
+            }
+            lines.push(line);
+            renderChildren(child, indentation + (isLast ? style.blank : style.pipe));
+        });
+    };
+    renderChildren(root, '');
+    return lines.join('\n');
+}
+
+/**
+ * Reads the ignore patterns of a directory's `.gitignore`. Negations (`!pattern`) are not supported and
+ * skipped; a leading `/` is dropped, so anchored patterns match at any depth.
+ * @param {string} rootDir - The directory.
+ * @returns {Promise<string[]>} The patterns, or an empty list without a `.gitignore`.
+ */
+async function _readGitignore(rootDir) {
+    let content;
+    try {
+        content = await fs.readFile(path.join(rootDir, '.gitignore'), 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+    return content.split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line !== '' && !line.startsWith('#') && !line.startsWith('!'))
+        .map((line) => line.replace(/^\//, ''))
+        .filter(Boolean);
+}
+
+/**
+ * Resolves a plan entry inside the root directory.
+ * @param {string} rootDir - The root directory.
+ * @param {string} entryPath - The declared POSIX path.
+ * @returns {string} The absolute path.
+ * @throws {Error} If the path resolves outside the root directory.
+ */
+function _resolveInside(rootDir, entryPath) {
+    const root = path.resolve(rootDir);
+    const target = path.resolve(root, entryPath);
+    const relative = path.relative(root, target);
+    if (relative === '' || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+        throw new Error(`Plan entry '${entryPath}' does not point inside '${rootDir}'.`);
+    }
+    return target;
+}
+
+/**
+ * Writes a file through a temporary file, so readers never see it half written.
+ * @param {string} filePath - The file.
+ * @param {string} content - The content.
+ * @returns {Promise<void>}
+ */
+async function _writeAtomically(filePath, content) {
+    const temporaryPath = `${filePath}.tmp`;
+    await fs.writeFile(temporaryPath, content, 'utf8');
+    await fs.rename(temporaryPath, filePath);
+}
+
+/**
+ * Adds file paths to a plan and writes the plan file back in its own format. Tree blocks are re-rendered
+ * in their drawing style with the new files under their directories; YAML items are appended to the file.
+ * @param {Object} plan - The loadPlan() result.
+ * @param {string[]} filePaths - The POSIX paths to add.
+ * @returns {Promise<void>}
+ */
+async function _registerInPlan(plan, filePaths) {
+    if (plan.format === 'json') {
+        const data = JSON.parse(plan.content.replace(/^\uFEFF/, ''));
+        (Array.isArray(data) ? data : (data.entries || data.files)).push(...filePaths);
+        await _writeAtomically(plan.path, `${JSON.stringify(data, null, 2)}\n`);
+        return;
+    }
+    if (plan.format === 'yaml') {
+        const itemIndentation = (/^(\s*)-\s/m.exec(plan.content) || ['', ''])[1];
+        const separator = plan.content.endsWith('\n') || plan.content === '' ? '' : '\n';
+        await _writeAtomically(plan.path, `${plan.content}${separator}${filePaths.map((filePath) => `${itemIndentation}- ${filePath}\n`).join('')}`);
+        return;
+    }
+    const entries = [...plan.entries, ...filePaths.map((filePath) => ({ path: filePath, type: 'file' }))];
+    const tree = renderPlanTree(entries, plan);
+    const newline = plan.content.includes('\r\n') ? '\r\n' : '\n';
+    const lines = plan.content.split(/\r?\n/);
+    lines.splice(plan.block.startLine, plan.block.endLine - plan.block.startLine, ...tree.split('\n'));
+    await _writeAtomically(plan.path, lines.join(newline));
+}
+
+/**
+ * Determines whether a file is a stub.
+ * @param {string} filePath - The file.
+ * @param {number} size - Its size in bytes.
+ * @param {Object} options - `stubMaxBytes` and `stubPatterns`.
+ * @returns {Promise<?string>} `empty` or `placeholder`, or null for a real file.
+ */
+async function _detectStub(filePath, size, options) {
+    if (size === 0) {
+        return 'empty';
+    }
+    if (size > options.stubMaxBytes) {
+        return null;
+    }
+    const content = await fs.readFile(filePath, 'utf8');
+    if (content.trim() === '') {
+        return 'empty';
+    }
+    return options.stubPatterns.some((pattern) => pattern.test(content)) ? 'placeholder' : null;
+}
+
+/**
+ * Reconciles a plan with a directory.
+ * @param {Object} [options={}] - Reconciliation options.
+ * @param {string} [options.planPath='README.md'] - The plan: a Markdown file with a tree block, or a JSON/YAML plan.
+ * @param {string} [options.rootDir] - The directory the plan describes (defaults to the plan's directory).
+ * @param {string[]} [options.ignore=[]] - Globs of files or directories never reported as unlisted or stubs
+ *        (`.git`, `node_modules` and the patterns of the root `.gitignore` are always ignored).
+ * @param {number} [options.stubMaxBytes=1024] - Files larger than this are never stubs.
+ * @param {RegExp[]} [options.stubPatterns] - Contents identifying placeholder files.
+ * @param {boolean} [options.register=false] - Add unlisted files to the plan file.
+ * @param {boolean} [options.scaffold=false] - Create missing directories and (empty) files.
+ * @param {boolean} [options.dryRun=false] - Report what `register` and `scaffold` would do without writing.
+ * @returns {Promise<Object>} `{ status, message, plan, rootDir, missing, unlisted, stubs, present, registered,
+ *          scaffolded, stats }`. `status` is `MATCH`, `MISMATCH_PLAN` (entries still missing or unlisted, or stubs),
+ *          `FILE_NOT_FOUND` or `ERROR`. `missing` entries are `{ path, type, description, line, reason }` and
+ *          `stubs` are `{ path, size, reason, listed }`.
+ */
+async function reconcilePlan(options = {}) {
+    const planPath = options.planPath || 'README.md';
+    const rootDir = options.rootDir || path.dirname(planPath);
+    try {
+        const plan = await loadPlan(planPath);
+        await fs.access(rootDir);
+        const gitignore = await _readGitignore(rootDir);
+        const isIncluded = createPathMatcher({ ignore: [...DEFAULT_IGNORE, ...gitignore, ...(options.ignore || [])] });
+        const stubOptions = {
+            stubMaxBytes: options.stubMaxBytes !== undefined ? options.stubMaxBytes : DEFAULT_STUB_MAX_BYTES,
+            stubPatterns: options.stubPatterns || DEFAULT_STUB_PATTERNS,
+        };
+
+        // Check every declared entry, including those in ignored directories.
+        const present = [];
+        const missing = [];
+        await mapWithConcurrency(plan.entries, 8, async (entry) => {
+            try {
+                const stats = await fs.stat(path.join(rootDir, entry.path));
+                const isDirectory = entry.type === 'directory';
+                if (stats.isDirectory() === isDirectory) {
+                    present.push(entry.path);
+                } else {
+                    missing.push({ ...entry, reason: isDirectory ? 'not a directory' : 'not a file' });
+                }
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+                missing.push({ ...entry, reason: 'not found' });
+            }
+        });
+        const byLine = (a, b) => (a.line || 0) - (b.line || 0) || a.path.localeCompare(b.path);
+        missing.sort(byLine);
+        present.sort();
+
+        // A directory declared without children covers every file below it.
+        const declaredFiles = new Set(plan.entries.filter((entry) => entry.type === 'file').map((entry) => entry.path));
+        const openDirectories = plan.entries
+            .filter((entry) => entry.type === 'directory' && !plan.entries.some((other) => other.path.startsWith(`${entry.path}/`)))
+            .map((entry) => `${entry.path}/`);
+        const planFile = toPosixPath(path.relative(rootDir, planPath));
+        const files = (await walkDirectory(rootDir, (relativePath) => !isIncluded(toPosixPath(relativePath))))
+            .map(toPosixPath)
+            .sort();
+        const isListed = (filePath) => declaredFiles.has(filePath) || openDirectories.some((directory) => filePath.startsWith(directory));
+        const unlisted = files.filter((filePath) => filePath !== planFile && !isListed(filePath));
+
+        const stubs = (await mapWithConcurrency(files, 8, async (filePath) => {
+            const absolutePath = path.join(rootDir, filePath);
+            const { size } = await fs.stat(absolutePath);
+            const reason = await _detectStub(absolutePath, size, stubOptions);
+            return reason ? { path: filePath, size, reason, listed: isListed(filePath) } : null;
+        })).filter(Boolean);
+
+        const scaffolded = [];
+        if (options.scaffold) {
+            // Resolve every target first, so a plan with an escaping entry creates nothing.
+            const targets = missing
+                .filter((item) => item.reason === 'not found')
+                .map((entry) => ({ entry, target: _resolveInside(rootDir, entry.path) }));
+            for (const { entry, target } of targets) {
+                if (!options.dryRun) {
+                    if (entry.type === 'directory') {
+                        await fs.mkdir(target, { recursive: true });
+                    } else {
+                        await fs.mkdir(path.dirname(target), { recursive: true });
+                        await fs.writeFile(target, '', { flag: 'wx' });
+                    }
+                }
+                scaffolded.push(entry.path);
+            }
+        }
+        const registered = [];
+        if (options.register && unlisted.length > 0) {
+            if (!options.dryRun) {
+                await _registerInPlan(plan, unlisted);
+            }
+            registered.push(...unlisted);
+        }
+
+        const remainingMissing = missing.filter((entry) => !scaffolded.includes(entry.path));
+        const remainingUnlisted = unlisted.filter((filePath) => !registered.includes(filePath));
+        const stats = {
+            declared: plan.entries.length,
+            present: present.length,
+            missing: remainingMissing.length,
+            unlisted: remainingUnlisted.length,
+            stubs: stubs.length,
+            scaffolded: scaffolded.length,
+            registered: registered.length,
+        };
+        const isMatch = remainingMissing.length + remainingUnlisted.length + stubs.length === 0;
+        const message = isMatch
+            ? `'${rootDir}' matches the plan in '${planPath}' (${present.length} entries).`
+            : `'${rootDir}' differs from the plan in '${planPath}': ${stats.missing} missing, ${stats.unlisted} unlisted, ${stats.stubs} stubs.`;
+        if (scaffolded.length > 0 || registered.length > 0) {
+            logger.info(`[Plan Reconciler] ${options.dryRun ? 'Would scaffold' : 'Scaffolded'} ${scaffolded.length} entries and `
+                + `${options.dryRun ? 'would register' : 'registered'} ${registered.length} files in '${planPath}'.`);
+        }
+        logger[isMatch ? 'info' : 'warn'](`[Plan Reconciler] ${message}`);
+        return {
+            status: isMatch ? 'MATCH' : 'MISMATCH_PLAN',
+            message,
+            plan: { path: planPath, format: plan.format, entries: plan.entries.length },
+            rootDir,
+            missing: remainingMissing,
+            unlisted: remainingUnlisted,
+            stubs,
+            present,
+            registered,
+            scaffolded,
+            stats,
+        };
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            const message = `Plan or directory not found: ${error.path}.`;
+            logger.error(`[Plan Reconciler] ${message}`);
+            return { status: 'FILE_NOT_FOUND', message, error: error.message };
+        }
+        logger.error(`[Plan Reconciler] Error during plan reconciliation: ${error.message}`);
+        return { status: 'ERROR', message: `An unexpected error occurred: ${error.message}`, error: error.message };
+    }
+}
+
+module.exports = {
+    reconcilePlan,
+    loadPlan,
+    parsePlanTree,
+    extractTreeBlock,
+    renderPlanTree,
+    TREE_STYLES,
+    DEFAULT_STUB_PATTERNS,
+};
@@ -0,0 +1,521 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./aiLogger');
+
+/**
+ * @module aiProviderQuotaManager
+ * @description Per-provider rate limiting, daily quota accounting and retry policy for external
+ *              AI providers. Limits are read from each service entry of config/aiServiceConfigs.json:
+ *
+ *              "openAi": {
+ *                  "rateLimit": { "requestsPerMinute": 60, "burst": 10 },
+ *                  "dailyQuota": { "limit": 5000, "resetHourUtc": 0 },
+ *                  "retry": { "retries": 3, "baseDelayMs": 500, "maxDelayMs": 30000 }
+ *              }
+ *
+ *              Daily usage and exhaustion state persist in a local JSON file so that restarts
+ *              do not reset the counters.
+ */
+
+/**
+ * Error categories returned by classifyProviderError.
+ * @type {{QUOTA: string, AUTH: string, TRANSIENT: string, FATAL: string}}
+ */
+const ERROR_CATEGORIES = {
+    QUOTA: 'quota',
+    AUTH: 'auth',
+    TRANSIENT: 'transient',
+    FATAL: 'fatal',
+};
+
+/**
+ * Network error codes worth retrying.
+ * @type {Set<string>}
+ */
+const TRANSIENT_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND', 'ESOCKETTIMEDOUT']);
+
+/**
+ * Messages identifying an exhausted quota (as opposed to a short-lived rate limit).
+ * @type {RegExp}
+ */
+const QUOTA_MESSAGE_PATTERN = /quota|insufficient_quota|resource[_ ]exhausted|billing|credit balance/i;
+
+/**
+ * Default time (ms) after the last counted request before the usage state is written.
+ * @type {number}
+ */
+const DEFAULT_SAVE_DELAY_MS = 1000;
+
+/**
+ * Classifies a provider error so callers know whether to retry, fail over or give up.
+ * - quota: the provider's quota is used up ("Gemini quota exceeded", 429 insufficient_quota, ...)
+ * - auth: missing, invalid or unauthorized credentials (401/403)
+ * - transient: rate limits, timeouts, network failures and 5xx responses; worth retrying
+ * - fatal: anything else (bad request, unparseable response...); retrying will not help
+ * @param {Error} error - The error thrown by a provider call.
+ * @returns {'quota'|'auth'|'transient'|'fatal'} The error category.
+ */
+function classifyProviderError(error) {
+    const status = Number(error && error.status);
+    const text = `${(error && error.message) || ''} ${(error && error.body) || ''}`;
+
+    if (QUOTA_MESSAGE_PATTERN.test(text) && (!status || status === 429 || status === 403)) {
+        return ERROR_CATEGORIES.QUOTA;
+    }
+    if (status === 401 || status === 403) {
+        return ERROR_CATEGORIES.AUTH;
+    }
+    if (status === 408 || status === 425 || status === 429 || status >= 500) {
+        return ERROR_CATEGORIES.TRANSIENT;
+    }
+    if (error && (error.name === 'AbortError' || TRANSIENT_ERROR_CODES.has(error.code))) {
+        return ERROR_CATEGORIES.TRANSIENT;
+    }
+    return ERROR_CATEGORIES.FATAL;
+}
+
+/**
+ * Parses a `Retry-After` header value (delay in seconds or an HTTP date).
+ * @param {string|number|null|undefined} value - The header value.
+ * @returns {number|null} The delay in milliseconds, or null if absent or invalid.
+ */
+function parseRetryAfter(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Resolves after the given delay.
+ * @param {number} ms - The delay in milliseconds.
+ * @returns {Promise<void>}
+ */
+function _sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Runs an async operation, retrying transient failures with exponential backoff and full jitter.
+ * A `Retry-After` delay on the error (`error.retryAfter`) takes precedence over the computed backoff.
+ * @param {function(number): Promise<*>} operation - The operation; receives the 0-based attempt number.
+ * @param {Object} [options={}] - Retry options.
+ * @param {number} [options.retries=3] - Retries after the first attempt.
+ * @param {number} [options.baseDelayMs=500] - The backoff base delay.
+ * @param {number} [options.maxDelayMs=30000] - The maximum delay between attempts.
+ * @param {function(Error): boolean} [options.shouldRetry] - Decides whether an error is retryable
+ *                                                           (defaults to transient errors only).
+ * @param {function(Error, number, number): void} [options.onRetry] - Called with the error, attempt and delay before waiting.
+ * @returns {Promise<*>} The operation's result.
+ * @throws {Error} The last error once retries are exhausted or the error is not retryable.
+ */
+async function retryWithBackoff(operation, options = {}) {
+    const retries = options.retries !== undefined ? options.retries : 3;
+    const baseDelayMs = options.baseDelayMs || 500;
+    const maxDelayMs = options.maxDelayMs || 30000;
+    const shouldRetry = options.shouldRetry || (error => classifyProviderError(error) === ERROR_CATEGORIES.TRANSIENT);
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            if (attempt >= retries || !shouldRetry(error)) {
+                throw error;
+            }
+            const retryAfterMs = parseRetryAfter(error.retryAfter);
+            const backoffMs = Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+            const delayMs = retryAfterMs !== null ? Math.min(retryAfterMs, maxDelayMs) : backoffMs;
+            if (options.onRetry) {
+                options.onRetry(error, attempt, delayMs);
+            }
+            await _sleep(delayMs);
+        }
+    }
+}
+
+class TokenBucket {
+    /**
+     * @param {Object} config - Bucket configuration.
+     * @param {number} config.capacity - The maximum number of tokens (burst size).
+     * @param {number} config.refillPerSecond - Tokens added per second.
+     */
+    constructor(config) {
+        this.capacity = config.capacity;
+        this.refillPerSecond = config.refillPerSecond;
+        this.tokens = config.capacity;
+        this.lastRefill = Date.now();
+    }
+
+    /**
+     * Adds the tokens accumulated since the last refill.
+     */
+    _refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + ((now - this.lastRefill) / 1000) * this.refillPerSecond);
+        this.lastRefill = now;
+    }
+
+    /**
+     * Takes a token if one is available.
+     * @returns {boolean} True if a token was taken.
+     */
+    tryRemoveToken() {
+        this._refill();
+        if (this.tokens >= 1) {
+            this.tokens -= 1;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Waits until a token is available and takes it.
+     * @returns {Promise<number>} The time waited in milliseconds.
+     */
+    async removeToken() {
+        let waited = 0;
+        while (!this.tryRemoveToken()) {
+            const delayMs = Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000);
+            await _sleep(delayMs);
+            waited += delayMs;
+        }
+        return waited;
+    }
+}
+
+class ProviderQuotaManager {
+    /**
+     * @param {Object} [config={}] - Manager configuration.
+     * @param {string} [config.statePath] - JSON file persisting daily usage (defaults to data/providerQuotaState.json).
+     * @param {Object} [config.serviceConfigs={}] - Service configurations to configure providers from.
+     * @param {number} [config.saveDelayMs=1000] - Time after the last counted request before the usage is written,
+     *        so a burst of requests writes the state file once.
+     */
+    constructor(config = {}) {
+        this.statePath = config.statePath || path.join(process.cwd(), 'data', 'providerQuotaState.json');
+        this.saveDelayMs = config.saveDelayMs !== undefined ? config.saveDelayMs : DEFAULT_SAVE_DELAY_MS;
+        this.providers = new Map();
+        this.state = {};
+        this.loading = null;
+        this.saveTimer = null;
+        this.writeQueue = Promise.resolve();
+        for (const [serviceKey, serviceConfig] of Object.entries(config.serviceConfigs || {})) {
+            this.configureProvider(serviceKey, serviceConfig);
+        }
+    }
+
+    /**
+     * Applies the `rateLimit`, `dailyQuota` and `retry` settings of a service configuration.
+     * @param {string} provider - The provider (service key).
+     * @param {Object} [serviceConfig={}] - The service configuration.
+     */
+    configureProvider(provider, serviceConfig = {}) {
+        const existing = this.providers.get(provider);
+        if (existing && existing.serviceConfig === serviceConfig) {
+            // Already configured from this very config object; keep the rate limiter's current tokens.
+            return;
+        }
+        const rateLimit = serviceConfig.rateLimit;
+        let bucket = null;
+        if (rateLimit && rateLimit.requestsPerMinute > 0) {
+            bucket = new TokenBucket({
+                capacity: rateLimit.burst || rateLimit.requestsPerMinute,
+                refillPerSecond: rateLimit.requestsPerMinute / 60,
+            });
+        }
+        this.providers.set(provider, {
+            serviceConfig,
+            bucket,
+            rateLimit: rateLimit || null,
+            dailyQuota: serviceConfig.dailyQuota || null,
+            retry: serviceConfig.retry || {},
+        });
+    }
+
+    /**
+     * Loads the persisted usage state (once). A missing or unreadable file starts from empty counters.
+     * Concurrent callers share the same read, so none of them overwrites counts taken after it.
+     * @returns {Promise<void>}
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = this._readState();
+        }
+        return this.loading;
+    }
+
+    /**
+     * Reads the persisted usage state (see load).
+     * @returns {Promise<void>}
+     */
+    async _readState() {
+        try {
+            this.state = JSON.parse(await fs.readFile(this.statePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`[Quota Manager] Could not read quota state from ${this.statePath}: ${error.message}. Starting with empty counters.`);
+            }
+            this.state = {};
+        }
+    }
+
+    /**
+     * Persists the usage state. Writes are serialized and go through a temporary file so the
+     * state file is never left half-written.
+     * @returns {Promise<void>}
+     */
+    async save() {
+        if (this.saveTimer !== null) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        const snapshot = JSON.stringify(this.state, null, 2);
+        this.writeQueue = this.writeQueue.then(async () => {
+            try {
+                await fs.mkdir(path.dirname(this.statePath), { recursive: true });
+                const temporaryPath = `${this.statePath}.tmp`;
+                await fs.writeFile(temporaryPath, snapshot, 'utf8');
+                await fs.rename(temporaryPath, this.statePath);
+            } catch (error) {
+                logger.error(`[Quota Manager] Failed to persist quota state to ${this.statePath}: ${error.message}`);
+            }
+        });
+        return this.writeQueue;
+    }
+
+    /**
+     * Schedules a save `saveDelayMs` after the last change.
+     */
+    _scheduleSave() {
+        if (this.saveTimer !== null) {
+            clearTimeout(this.saveTimer);
+        }
+        this.saveTimer = setTimeout(() => this.flush(), this.saveDelayMs);
+    }
+
+    /**
+     * Writes pending usage changes without waiting for `saveDelayMs`.
+     * @returns {Promise<void>} Resolves once every change made so far is on disk.
+     */
+    flush() {
+        if (this.saveTimer !== null) {
+            this.save();
+        }
+        return this.writeQueue;
+    }
+
+    /**
+     * Computes the current quota window of a provider.
+     * @param {string} provider - The provider.
+     * @param {number} [now=Date.now()] - The reference time.
+     * @returns {{windowStart: string, resetsAt: string}} ISO timestamps of the window start and the next reset.
+     */
+    _getQuotaWindow(provider, now = Date.now()) {
+        const settings = this.providers.get(provider);
+        const resetHourUtc = (settings && settings.dailyQuota && settings.dailyQuota.resetHourUtc) || 0;
+        const start = new Date(now);
+        start.setUTCHours(resetHourUtc, 0, 0, 0);
+        if (start.getTime() > now) {
+            start.setUTCDate(start.getUTCDate() - 1);
+        }
+        const resetsAt = new Date(start);
+        resetsAt.setUTCDate(resetsAt.getUTCDate() + 1);
+        return { windowStart: start.toISOString(), resetsAt: resetsAt.toISOString() };
+    }
+
+    /**
+     * Returns the usage entry of a provider for the current window, resetting it when a new window began.
+     * @param {string} provider - The provider.
+     * @returns {Object} `{ windowStart, used, exhaustedUntil, reason }`.
+     */
+    _getUsage(provider) {
+        const { windowStart } = this._getQuotaWindow(provider);
+        const usage = this.state[provider];
+        if (!usage || usage.windowStart !== windowStart) {
+            const carriedExhaustion = usage && usage.exhaustedUntil && Date.parse(usage.exhaustedUntil) > Date.now() ? usage : null;
+            this.state[provider] = {
+                windowStart,
+                used: 0,
+                exhaustedUntil: carriedExhaustion ? carriedExhaustion.exhaustedUntil : null,
+                reason: carriedExhaustion ? carriedExhaustion.reason : null,
+            };
+        }
+        return this.state[provider];
+    }
+
+    /**
+     * @param {string} provider - The provider.
+     * @returns {boolean} False while the provider's quota is exhausted.
+     */
+    isAvailable(provider) {
+        const usage = this._getUsage(provider);
+        return !usage.exhaustedUntil || Date.parse(usage.exhaustedUntil) <= Date.now();
+    }
+
+    /**
+     * Marks a provider unavailable until the given time (defaults to its next quota reset).
+     * @param {string} provider - The provider.
+     * @param {string} reason - Why the provider is unavailable.
+     * @param {number|null} [untilMs=null] - Epoch milliseconds until which the provider is unavailable.
+     * @returns {Promise<void>}
+     */
+    async markExhausted(provider, reason, untilMs = null) {
+        const usage = this._getUsage(provider);
+        usage.exhaustedUntil = untilMs ? new Date(untilMs).toISOString() : this._getQuotaWindow(provider).resetsAt;
+        usage.reason = reason;
+        logger.warn(`[Quota Manager] Provider '${provider}' marked unavailable until ${usage.exhaustedUntil}: ${reason}`);
+        await this.save();
+    }
+
+    /**
+     * Reserves one request for a provider: checks availability and the daily quota, waits for a
+     * rate limiter token and counts the request. The count is written to the state file with a delay
+     * (see flush()).
+     * @param {string} provider - The provider.
+     * @returns {Promise<string>} The start of the quota window the request was counted in (see release()).
+     * @throws {Error} A 'quota' error (`error.category`) if the provider is unavailable or its daily quota is used up.
+     */
+    async acquire(provider) {
+        await this.load();
+        const settings = this.providers.get(provider) || {};
+        if (!this.isAvailable(provider)) {
+            const usage = this._getUsage(provider);
+            throw Object.assign(new Error(`Provider '${provider}' quota exhausted until ${usage.exhaustedUntil}: ${usage.reason}`), {
+                provider,
+                category: ERROR_CATEGORIES.QUOTA,
+            });
+        }
+
+        // The limit check and the reservation happen in one synchronous step, so concurrent callers
+        // cannot all pass the check before any of them is counted.
+        const limit = settings.dailyQuota && settings.dailyQuota.limit;
+        const usage = this._getUsage(provider);
+        if (limit && usage.used >= limit) {
+            await this.markExhausted(provider, `Daily quota of ${limit} requests reached`);
+            return this.acquire(provider);
+        }
+        usage.used++;
+
+        if (settings.bucket) {
+            try {
+                const waitedMs = await settings.bucket.removeToken();
+                if (waitedMs > 0) {
+                    logger.debug(`[Quota Manager] Rate limit delayed '${provider}' by ${waitedMs}ms.`);
+                }
+            } catch (error) {
+                this.release(provider, usage.windowStart);
+                throw error;
+            }
+        }
+        if (limit) {
+            // Only providers with a daily quota need their usage to survive restarts.
+            this._scheduleSave();
+        }
+        return usage.windowStart;
+    }
+
+    /**
+     * Gives back a request reserved by acquire() that did not use the provider's quota, e.g. one that
+     * failed with a network or server error. Requests counted in an earlier window are not given back.
+     * @param {string} provider - The provider.
+     * @param {string} windowStart - The window returned by acquire().
+     */
+    release(provider, windowStart) {
+        const usage = this._getUsage(provider);
+        if (usage.windowStart === windowStart && usage.used > 0) {
+            usage.used--;
+            const settings = this.providers.get(provider) || {};
+            if (settings.dailyQuota && settings.dailyQuota.limit) {
+                this._scheduleSave();
+            }
+        }
+    }
+
+    /**
+     * Runs a provider call under the provider's rate limit, daily quota and retry policy.
+     * Transient errors are retried with backoff (honoring Retry-After); a quota error marks the
+     * provider unavailable until its reset (or the Retry-After time). Failed calls are not counted
+     * against the daily quota unless they failed on the quota itself. The thrown error carries
+     * its `category` (see classifyProviderError).
+     * @param {string} provider - The provider.
+     * @param {function(): Promise<*>} operation - The provider call.
+     * @returns {Promise<*>} The call's result.
+     * @throws {Error} The classified error once the call cannot succeed.
+     */
+    async execute(provider, operation) {
+        const retry = (this.providers.get(provider) || {}).retry || {};
+        try {
+            return await retryWithBackoff(async () => {
+                const windowStart = await this.acquire(provider);
+                try {
+                    return await operation();
+                } catch (error) {
+                    if ((error.category || classifyProviderError(error)) !== ERROR_CATEGORIES.QUOTA) {
+                        this.release(provider, windowStart);
+                    }
+                    throw error;
+                }
+            }, {
+                ...retry,
+                onRetry: (error, attempt, delayMs) => {
+                    logger.warn(`[Quota Manager] Transient error from '${provider}' (attempt ${attempt + 1}): ${error.message}. Retrying in ${Math.round(delayMs)}ms.`);
+                },
+            });
+        } catch (error) {
+            error.category = error.category || classifyProviderError(error);
+            if (error.category === ERROR_CATEGORIES.QUOTA && this.isAvailable(provider)) {
+                const retryAfterMs = parseRetryAfter(error.retryAfter);
+                await this.markExhausted(provider, error.message, retryAfterMs !== null ? Date.now() + retryAfterMs : null);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Describes the quota state of a provider (as reported in the `reconcileAssets` details).
+     * @param {string} provider - The provider.
+     * @returns {Object} `{ available, used, limit, resetsAt, exhaustedUntil, reason, rateLimit }`.
+     */
+    getState(provider) {
+        const settings = this.providers.get(provider) || {};
+        const usage = this._getUsage(provider);
+        const available = this.isAvailable(provider);
+        return {
+            available,
+            used: usage.used,
+            limit: (settings.dailyQuota && settings.dailyQuota.limit) || null,
+            resetsAt: this._getQuotaWindow(provider).resetsAt,
+            exhaustedUntil: available ? null : usage.exhaustedUntil,
+            reason: available ? null : usage.reason,
+            rateLimit: settings.rateLimit || null,
+        };
+    }
+}
+
+let defaultQuotaManager = null;
+
+/**
+ * Returns the process-wide quota manager shared by the provider registry and `reconcileAssets`.
+ * @returns {ProviderQuotaManager} The shared manager.
+ */
+function getDefaultQuotaManager() {
+    if (!defaultQuotaManager) {
+        defaultQuotaManager = new ProviderQuotaManager({ statePath: process.env.AI_QUOTA_STATE_PATH });
+    }
+    return defaultQuotaManager;
+}
+
+module.exports = {
+    ProviderQuotaManager,
+    TokenBucket,
+    ERROR_CATEGORIES,
+    classifyProviderError,
+    parseRetryAfter,
+    retryWithBackoff,
+    getDefaultQuotaManager,
+};
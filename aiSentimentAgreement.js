@@ -0,0 +1,549 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { SENTIMENT_LABELS } = require('./aiLexiconSentimentAnalyzer');
+const { findModelVersionAt } = require('./aiAssetReconciler');
+
+/**
+ * @module aiSentimentAgreement
+ * @description Agreement between two sets of sentiment results for the same inputs, e.g. before and after a
+ *              provider switch or a `SENTIMENT_MODEL_VERSION` change. Records are joined on their id; one set is
+ *              the reference and the other the candidate:
+ *
+ *              - a confusion matrix (rows: reference label, columns: candidate label) over positive, negative,
+ *                neutral and mixed, plus any other label found;
+ *              - accuracy of the candidate against the reference and Cohen's kappa;
+ *              - the mean score delta (candidate - reference) and the score drift per reference label;
+ *              - the disagreeing records with the largest score deltas.
+ *
+ *              A result set is an array of results (as returned by SentimentProviderRegistry#analyzeRecords) or
+ *              `{ name, provider, modelVersion, producedAt, results }`. Its model version is taken from the set,
+ *              from its results, or from the model version history recorded by reconcileAssets.
+ */
+
+/**
+ * Default number of disagreeing records listed in a report.
+ * @type {number}
+ */
+const DEFAULT_TOP_DISAGREEMENTS = 20;
+
+// Number of ids listed for records present in only one set.
+const MAX_LISTED_IDS = 20;
+
+// Length at which record texts are truncated in a report.
+const MAX_TEXT_LENGTH = 200;
+
+/**
+ * Rounds a statistic for the report.
+ * @param {?number} value - The value.
+ * @returns {?number} The value rounded to 4 decimals, or null.
+ */
+function _round(value) {
+    return value === null || !Number.isFinite(value) ? null : Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Averages numbers.
+ * @param {number[]} values - The numbers.
+ * @returns {?number} The mean, or null for no numbers.
+ */
+function _mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Normalizes a result set into indexed records.
+ * @param {(Array<Object>|Object)} input - The results, or a set `{ name, provider, modelVersion, producedAt, results }`.
+ * @param {string} defaultName - The name used when the set has none.
+ * @param {Object} fields - The field names: `{ id, label, score, text }`.
+ * @returns {Object} The set: `{ name, provider, modelVersion, producedAt, records (Map by id), results, unlabeled,
+ *          invalid, duplicateIds, recordVersions }`.
+ * @throws {Error} If the input holds no results array.
+ */
+function _normalizeSet(input, defaultName, fields) {
+    const set = Array.isArray(input) ? { results: input } : input || {};
+    if (!Array.isArray(set.results)) {
+        throw new Error(`Sentiment result set '${set.name || defaultName}' has no results array.`);
+    }
+    const records = new Map();
+    const duplicateIds = [];
+    const recordVersions = new Set();
+    const providers = new Set();
+    let unlabeled = 0;
+    let invalid = 0;
+    for (const result of set.results) {
+        const id = result && result[fields.id];
+        if (id === undefined || id === null || id === '') {
+            invalid++;
+            continue;
+        }
+        const key = String(id);
+        if (records.has(key)) {
+            duplicateIds.push(key);
+            continue;
+        }
+        if (result.modelVersion) {
+            recordVersions.add(String(result.modelVersion));
+        }
+        if (result.provider) {
+            providers.add(String(result.provider));
+        }
+        const label = typeof result[fields.label] === 'string' && result[fields.label].trim() !== ''
+            ? result[fields.label].trim().toLowerCase()
+            : null;
+        // Unlabeled records are kept so the join still pairs them; compareSentimentResults counts those pairs apart.
+        if (!label) {
+            unlabeled++;
+        }
+        const score = Number(result[fields.score]);
+        records.set(key, {
+            id,
+            label,
+            score: result[fields.score] !== null && result[fields.score] !== '' && Number.isFinite(score) ? score : null,
+            text: typeof result[fields.text] === 'string' ? result[fields.text] : undefined,
+        });
+    }
+    return {
+        name: set.name || defaultName,
+        provider: set.provider || (providers.size === 1 ? [...providers][0] : null),
+        modelVersion: set.modelVersion || null,
+        producedAt: set.producedAt || null,
+        records,
+        results: set.results.length,
+        unlabeled,
+        invalid,
+        duplicateIds,
+        recordVersions: [...recordVersions],
+    };
+}
+
+/**
+ * Determines which model version produced a set: the set's own `modelVersion`, the single version carried by
+ * its results, or the version the provider reported to reconcileAssets at `producedAt`.
+ * @param {Object} set - The normalized set.
+ * @param {Object} [history] - The model version history (aiAssetReconciler.loadModelVersionHistory).
+ * @returns {{modelVersion: ?string, source: ?string}} The version and where it came from
+ *          (`set`, `results`, `reconciliation history`), or nulls if unknown.
+ */
+function _resolveModelVersion(set, history) {
+    if (set.modelVersion) {
+        return { modelVersion: set.modelVersion, source: 'set' };
+    }
+    if (set.recordVersions.length === 1) {
+        return { modelVersion: set.recordVersions[0], source: 'results' };
+    }
+    if (set.recordVersions.length > 1) {
+        return { modelVersion: 'mixed', source: 'results' };
+    }
+    if (history && set.provider && set.producedAt) {
+        const modelVersion = findModelVersionAt(history, set.provider, set.producedAt);
+        if (modelVersion) {
+            return { modelVersion, source: 'reconciliation history' };
+        }
+    }
+    return { modelVersion: null, source: null };
+}
+
+/**
+ * Interprets Cohen's kappa on the Landis & Koch scale.
+ * @param {?number} kappa - The kappa.
+ * @returns {?string} `poor`, `slight`, `fair`, `moderate`, `substantial` or `almost perfect`.
+ */
+function interpretKappa(kappa) {
+    if (kappa === null) {
+        return null;
+    }
+    if (kappa < 0) {
+        return 'poor';
+    }
+    const scale = [[0.2, 'slight'], [0.4, 'fair'], [0.6, 'moderate'], [0.8, 'substantial']];
+    const match = scale.find(([limit]) => kappa <= limit);
+    return match ? match[1] : 'almost perfect';
+}
+
+/**
+ * Compares two sets of sentiment results for the same inputs.
+ * @param {(Array<Object>|Object)} setA - The first result set.
+ * @param {(Array<Object>|Object)} setB - The second result set.
+ * @param {Object} [options={}] - Report options.
+ * @param {('a'|'b')} [options.reference='a'] - The set treated as ground truth.
+ * @param {number} [options.topDisagreements=20] - How many disagreeing records are listed.
+ * @param {string} [options.idField='id'] - The field joining the sets.
+ * @param {string} [options.labelField='label'] - The label field.
+ * @param {string} [options.scoreField='score'] - The score field (-1 to 1).
+ * @param {string} [options.textField='text'] - The input text, shown for disagreeing records if present.
+ * @param {Object} [options.modelVersionHistory] - The reconcileAssets model version history, to identify the
+ *        version of sets that do not name one.
+ * @returns {Object} The report: `{ generatedAt, reference, candidate, sets, coverage, labels, confusionMatrix,
+ *          agreement, scores, perLabel, topDisagreements }`.
+ * @throws {Error} If the reference is not `a` or `b`, or a set has no results array.
+ */
+function compareSentimentResults(setA, setB, options = {}) {
+    const reference = options.reference || 'a';
+    if (reference !== 'a' && reference !== 'b') {
+        throw new Error(`Unknown reference '${reference}'; expected 'a' or 'b'.`);
+    }
+    const candidate = reference === 'a' ? 'b' : 'a';
+    const fields = {
+        id: options.idField || 'id',
+        label: options.labelField || 'label',
+        score: options.scoreField || 'score',
+        text: options.textField || 'text',
+    };
+    const sets = { a: _normalizeSet(setA, 'A', fields), b: _normalizeSet(setB, 'B', fields) };
+    const referenceSet = sets[reference];
+    const candidateSet = sets[candidate];
+
+    // Join on id, in the order of the reference set; pairs unlabeled on either side are counted, not compared.
+    const pairs = [];
+    let unlabeledPairs = 0;
+    for (const [key, referenceRecord] of referenceSet.records) {
+        const candidateRecord = candidateSet.records.get(key);
+        if (!candidateRecord) {
+            continue;
+        }
+        if (referenceRecord.label === null || candidateRecord.label === null) {
+            unlabeledPairs++;
+        } else {
+            pairs.push({ reference: referenceRecord, candidate: candidateRecord });
+        }
+    }
+    const onlyIn = (set, other) => [...set.records.keys()].filter((key) => !other.records.has(key));
+    const onlyInA = onlyIn(sets.a, sets.b);
+    const onlyInB = onlyIn(sets.b, sets.a);
+
+    const extraLabels = new Set();
+    for (const pair of pairs) {
+        for (const label of [pair.reference.label, pair.candidate.label]) {
+            if (!SENTIMENT_LABELS.includes(label)) {
+                extraLabels.add(label);
+            }
+        }
+    }
+    const labels = [...SENTIMENT_LABELS, ...[...extraLabels].sort()];
+    const labelIndex = new Map(labels.map((label, index) => [label, index]));
+    const counts = labels.map(() => labels.map(() => 0));
+    const scoreDeltas = [];
+    const deltasByLabel = new Map(labels.map((label) => [label, []]));
+    const disagreements = [];
+    let agreed = 0;
+    for (const pair of pairs) {
+        counts[labelIndex.get(pair.reference.label)][labelIndex.get(pair.candidate.label)]++;
+        const hasScores = pair.reference.score !== null && pair.candidate.score !== null;
+        const delta = hasScores ? pair.candidate.score - pair.reference.score : null;
+        if (hasScores) {
+            scoreDeltas.push(delta);
+            deltasByLabel.get(pair.reference.label).push(delta);
+        }
+        if (pair.reference.label === pair.candidate.label) {
+            agreed++;
+        } else {
+            disagreements.push({ pair, delta });
+        }
+    }
+
+    // Cohen's kappa: observed agreement corrected for the agreement expected from the label frequencies.
+    const total = pairs.length;
+    const referenceTotals = counts.map((row) => row.reduce((sum, count) => sum + count, 0));
+    const candidateTotals = labels.map((label, column) => counts.reduce((sum, row) => sum + row[column], 0));
+    const observed = total > 0 ? agreed / total : null;
+    const expected = total > 0 ? referenceTotals.reduce((sum, count, index) => sum + (count / total) * (candidateTotals[index] / total), 0) : null;
+    let kappa = null;
+    if (total > 0) {
+        kappa = expected < 1 ? (observed - expected) / (1 - expected) : (observed === 1 ? 1 : 0);
+    }
+
+    const perLabel = {};
+    labels.forEach((label, index) => {
+        const truePositives = counts[index][index];
+        const precision = candidateTotals[index] > 0 ? truePositives / candidateTotals[index] : null;
+        const recall = referenceTotals[index] > 0 ? truePositives / referenceTotals[index] : null;
+        const referenceScores = pairs.filter((pair) => pair.reference.label === label && pair.reference.score !== null)
+            .map((pair) => pair.reference.score);
+        const candidateScores = pairs.filter((pair) => pair.reference.label === label && pair.candidate.score !== null)
+            .map((pair) => pair.candidate.score);
+        perLabel[label] = {
+            reference: referenceTotals[index],
+            candidate: candidateTotals[index],
+            precision: _round(precision),
+            recall: _round(recall),
+            f1: precision !== null && recall !== null && precision + recall > 0 ? _round((2 * precision * recall) / (precision + recall)) : null,
+            meanReferenceScore: _round(_mean(referenceScores)),
+            meanCandidateScore: _round(_mean(candidateScores)),
+            scoreDrift: _round(_mean(deltasByLabel.get(label))),
+        };
+    });
+
+    const truncate = (text) => (text !== undefined && text.length > MAX_TEXT_LENGTH ? `${text.slice(0, MAX_TEXT_LENGTH - 3)}...` : text);
+    const topDisagreements = disagreements
+        .sort((left, right) => Math.abs(right.delta || 0) - Math.abs(left.delta || 0))
+        .slice(0, options.topDisagreements !== undefined ? options.topDisagreements : DEFAULT_TOP_DISAGREEMENTS)
+        .map(({ pair, delta }) => ({
+            id: pair.reference.id,
+            referenceLabel: pair.reference.label,
+            candidateLabel: pair.candidate.label,
+            referenceScore: pair.reference.score,
+            candidateScore: pair.candidate.score,
+            scoreDelta: _round(delta),
+            text: truncate(pair.reference.text !== undefined ? pair.reference.text : pair.candidate.text),
+        }));
+
+    const describeSet = (set) => {
+        const { modelVersion, source } = _resolveModelVersion(set, options.modelVersionHistory);
+        return {
+            name: set.name,
+            provider: set.provider,
+            modelVersion,
+            modelVersionSource: source,
+            recordModelVersions: set.recordVersions,
+            producedAt: set.producedAt,
+            results: set.results,
+            labeled: set.records.size - set.unlabeled,
+            unlabeled: set.unlabeled,
+            invalid: set.invalid,
+            duplicateIds: set.duplicateIds.length,
+        };
+    };
+
+    return {
+        generatedAt: new Date().toISOString(),
+        reference,
+        candidate,
+        sets: { a: describeSet(sets.a), b: describeSet(sets.b) },
+        coverage: {
+            joined: total,
+            unlabeledPairs,
+            onlyInA: onlyInA.length,
+            onlyInB: onlyInB.length,
+            onlyInAIds: onlyInA.slice(0, MAX_LISTED_IDS),
+            onlyInBIds: onlyInB.slice(0, MAX_LISTED_IDS),
+        },
+        labels,
+        confusionMatrix: { rows: reference, columns: candidate, labels, counts },
+        agreement: {
+            agreed,
+            disagreed: total - agreed,
+            accuracy: _round(observed),
+            expectedAgreement: _round(expected),
+            kappa: _round(kappa),
+            kappaInterpretation: interpretKappa(kappa === null ? null : _round(kappa)),
+        },
+        scores: {
+            compared: scoreDeltas.length,
+            meanDelta: _round(_mean(scoreDeltas)),
+            meanAbsoluteDelta: _round(_mean(scoreDeltas.map(Math.abs))),
+        },
+        perLabel,
+        topDisagreements,
+    };
+}
+
+/**
+ * Reads a sentiment result set from a JSON file (an array of results or a set object) or a JSON Lines file
+ * (`.jsonl`, `.ndjson`, one result per line). Without `producedAt`, the file's modification time is used.
+ * @param {string} filePath - The file.
+ * @returns {Promise<Object>} The set `{ name, provider, modelVersion, producedAt, results }`.
+ * @throws {Error} If the file cannot be read or parsed.
+ */
+async function loadSentimentResultSet(filePath) {
+    const [content, stats] = await Promise.all([fs.readFile(filePath, 'utf8'), fs.stat(filePath)]);
+    const extension = path.extname(filePath).toLowerCase();
+    let data;
+    if (extension === '.jsonl' || extension === '.ndjson') {
+        data = { results: [] };
+        content.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, index) => {
+            if (line.trim() === '') {
+                return;
+            }
+            try {
+                data.results.push(JSON.parse(line));
+            } catch (error) {
+                throw new Error(`Invalid JSON on line ${index + 1} of '${filePath}': ${error.message}`, { cause: error });
+            }
+        });
+    } else {
+        try {
+            data = JSON.parse(content.replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new Error(`Invalid JSON in '${filePath}': ${error.message}`, { cause: error });
+        }
+    }
+    const set = Array.isArray(data) ? { results: data } : data;
+    return { ...set, name: set.name || path.basename(filePath), producedAt: set.producedAt || stats.mtime.toISOString() };
+}
+
+/**
+ * Formats a signed number for a summary, e.g. `+0.031`.
+ * @param {?number} value - The number.
+ * @returns {string} The formatted number, or `n/a`.
+ */
+function _signed(value) {
+    if (value === null) {
+        return 'n/a';
+    }
+    return `${value > 0 ? '+' : ''}${value.toFixed(3)}`;
+}
+
+/**
+ * Formats a ratio as a percentage.
+ * @param {?number} value - The ratio.
+ * @returns {string} The percentage, or `n/a`.
+ */
+function _percent(value) {
+    return value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Names a set with its provider and model version, e.g. `prod.json (openai, gpt-4o-2024-08-06)`.
+ * @param {Object} set - A set from the report.
+ * @returns {string} The description.
+ */
+function _describeReportSet(set) {
+    const origin = [set.provider, set.modelVersion].filter(Boolean).join(', ');
+    return origin ? `${set.name} (${origin})` : set.name;
+}
+
+/**
+ * Describes an agreement report as one line per finding.
+ * @param {Object} report - The compareSentimentResults() report.
+ * @returns {string[]} The descriptions.
+ */
+function describeAgreementReport(report) {
+    const referenceSet = report.sets[report.reference];
+    const candidateSet = report.sets[report.candidate];
+    const { agreement, scores, coverage } = report;
+    const lines = [
+        `Reference ${_describeReportSet(referenceSet)}; candidate ${_describeReportSet(candidateSet)}.`,
+        `Agreement ${_percent(agreement.accuracy)} on ${coverage.joined} records (Cohen's kappa ${agreement.kappa === null ? 'n/a' : agreement.kappa.toFixed(3)}`
+            + `${agreement.kappaInterpretation ? `, ${agreement.kappaInterpretation}` : ''}).`,
+        `Mean score delta ${_signed(scores.meanDelta)} (mean absolute ${scores.meanAbsoluteDelta === null ? 'n/a' : scores.meanAbsoluteDelta.toFixed(3)}) over ${scores.compared} records.`,
+    ];
+    if (coverage.onlyInA > 0 || coverage.onlyInB > 0) {
+        lines.push(`${coverage.onlyInA} records only in ${report.sets.a.name}, ${coverage.onlyInB} only in ${report.sets.b.name}.`);
+    }
+    if (coverage.unlabeledPairs > 0) {
+        lines.push(`${coverage.unlabeledPairs} records in both sets lack a label in at least one and were not compared.`);
+    }
+    for (const [label, stats] of Object.entries(report.perLabel)) {
+        if (stats.reference > 0 || stats.candidate > 0) {
+            lines.push(`${label}: ${stats.reference} -> ${stats.candidate} records, recall ${_percent(stats.recall)}, score drift ${_signed(stats.scoreDrift)}`);
+        }
+    }
+    for (const record of report.topDisagreements) {
+        const scoresText = record.scoreDelta === null ? '' : ` (${record.referenceScore} -> ${record.candidateScore})`;
+        lines.push(`Record ${record.id}: ${record.referenceLabel} -> ${record.candidateLabel}${scoresText}`);
+    }
+    return lines;
+}
+
+/**
+ * Escapes text for HTML.
+ * @param {*} value - The value.
+ * @returns {string} The escaped text.
+ */
+function _escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders an agreement report as a self-contained HTML page (inline styles, no scripts or external resources).
+ * @param {Object} report - The compareSentimentResults() report.
+ * @returns {string} The HTML document.
+ */
+function renderAgreementHtml(report) {
+    const referenceSet = report.sets[report.reference];
+    const candidateSet = report.sets[report.candidate];
+    const { agreement, scores, coverage, confusionMatrix } = report;
+    const maxCount = Math.max(1, ...confusionMatrix.counts.flat());
+    const number = (value, digits = 3) => (value === null ? 'n/a' : value.toFixed(digits));
+
+    const setRow = (role, set) => `<tr><th>${role}</th><td>${_escapeHtml(set.name)}</td><td>${_escapeHtml(set.provider || 'unknown')}</td>`
+        + `<td>${_escapeHtml(set.modelVersion || 'unknown')}${set.modelVersionSource ? ` <span class="muted">(${_escapeHtml(set.modelVersionSource)})</span>` : ''}</td>`
+        + `<td>${_escapeHtml(set.producedAt || '')}</td><td>${set.labeled}</td><td>${set.unlabeled + set.invalid}</td></tr>`;
+
+    const matrixRows = confusionMatrix.labels.map((label, row) => {
+        const cells = confusionMatrix.counts[row].map((count, column) => {
+            const alpha = (count / maxCount).toFixed(2);
+            const color = row === column ? `rgba(46, 125, 50, ${alpha})` : `rgba(198, 40, 40, ${alpha})`;
+            return `<td style="background: ${color}">${count}</td>`;
+        });
+        return `<tr><th>${_escapeHtml(label)}</th>${cells.join('')}</tr>`;
+    });
+
+    const labelRows = Object.entries(report.perLabel).map(([label, stats]) => `<tr><th>${_escapeHtml(label)}</th>`
+        + `<td>${stats.reference}</td><td>${stats.candidate}</td><td>${_percent(stats.precision)}</td><td>${_percent(stats.recall)}</td>`
+        + `<td>${number(stats.f1)}</td><td>${number(stats.meanReferenceScore)}</td><td>${number(stats.meanCandidateScore)}</td>`
+        + `<td>${_escapeHtml(_signed(stats.scoreDrift))}</td></tr>`);
+
+    const disagreementRows = report.topDisagreements.map((record) => `<tr><td>${_escapeHtml(record.id)}</td>`
+        + `<td>${_escapeHtml(record.referenceLabel)}</td><td>${_escapeHtml(record.candidateLabel)}</td>`
+        + `<td>${_escapeHtml(record.referenceScore)}</td><td>${_escapeHtml(record.candidateScore)}</td>`
+        + `<td>${_escapeHtml(_signed(record.scoreDelta))}</td><td class="text">${_escapeHtml(record.text)}</td></tr>`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Sentiment agreement: ${_escapeHtml(referenceSet.name)} vs ${_escapeHtml(candidateSet.name)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2rem; color: #222; }
+h1 { font-size: 1.5rem; }
+h2 { font-size: 1.15rem; margin-top: 2rem; }
+table { border-collapse: collapse; margin-top: 0.5rem; }
+th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: right; }
+th { background: #f5f5f5; }
+td.text { text-align: left; max-width: 40rem; }
+.cards { display: flex; gap: 1rem; flex-wrap: wrap; }
+.card { border: 1px solid #ccc; border-radius: 6px; padding: 0.75rem 1rem; min-width: 10rem; }
+.card .value { font-size: 1.4rem; font-weight: bold; }
+.muted { color: #777; font-size: 0.85rem; }
+</style>
+</head>
+<body>
+<h1>Sentiment agreement report</h1>
+<p class="muted">Generated ${_escapeHtml(report.generatedAt)}. Score deltas are candidate minus reference.</p>
+<table>
+<tr><th>Role</th><th>Result set</th><th>Provider</th><th>Model version</th><th>Produced</th><th>Labeled</th><th>Unlabeled</th></tr>
+${setRow('Reference', referenceSet)}
+${setRow('Candidate', candidateSet)}
+</table>
+<h2>Summary</h2>
+<div class="cards">
+<div class="card"><div class="muted">Records joined</div><div class="value">${coverage.joined}</div></div>
+<div class="card"><div class="muted">Accuracy</div><div class="value">${_percent(agreement.accuracy)}</div></div>
+<div class="card"><div class="muted">Cohen's kappa</div><div class="value">${number(agreement.kappa)}</div><div class="muted">${_escapeHtml(agreement.kappaInterpretation || '')}</div></div>
+<div class="card"><div class="muted">Mean score delta</div><div class="value">${_escapeHtml(_signed(scores.meanDelta))}</div><div class="muted">mean absolute ${number(scores.meanAbsoluteDelta)}</div></div>
+<div class="card"><div class="muted">Only in one set</div><div class="value">${coverage.onlyInA + coverage.onlyInB}</div><div class="muted">${coverage.onlyInA} / ${coverage.onlyInB}</div></div>
+</div>
+<h2>Confusion matrix</h2>
+<p class="muted">Rows: reference label; columns: candidate label.</p>
+<table>
+<tr><th></th>${confusionMatrix.labels.map((label) => `<th>${_escapeHtml(label)}</th>`).join('')}</tr>
+${matrixRows.join('\n')}
+</table>
+<h2>Per label</h2>
+<table>
+<tr><th>Label</th><th>Reference</th><th>Candidate</th><th>Precision</th><th>Recall</th><th>F1</th><th>Mean reference score</th><th>Mean candidate score</th><th>Score drift</th></tr>
+${labelRows.join('\n')}
+</table>
+<h2>Top disagreements</h2>
+${disagreementRows.length > 0
+        ? `<table>\n<tr><th>Id</th><th>Reference</th><th>Candidate</th><th>Reference score</th><th>Candidate score</th><th>Delta</th><th>Text</th></tr>\n${disagreementRows.join('\n')}\n</table>`
+        : '<p>The result sets agree on every joined record.</p>'}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    compareSentimentResults,
+    loadSentimentResultSet,
+    describeAgreementReport,
+    renderAgreementHtml,
+    interpretKappa,
+    DEFAULT_TOP_DISAGREEMENTS,
+};
@@ -0,0 +1,542 @@
+const fetch = require('node-fetch'); // Install node-fetch: npm install node-fetch
+const logger = require('./aiLogger');
+const { LexiconSentimentAnalyzer, SENTIMENT_LABELS, LEXICON_MODEL_VERSION } = require('./aiLexiconSentimentAnalyzer');
+const { mapWithConcurrency } = require('./aiConcurrency');
+const { getServiceConfigs } = require('./aiAssetReconciler');
+const { getDefaultQuotaManager } = require('./aiProviderQuotaManager');
+
+/**
+ * @module aiSentimentProviderRegistry
+ * @description Routes sentiment analysis requests to the providers declared in
+ *              config/aiServiceConfigs.json (the same configuration checked by `reconcileAssets`).
+ *              Each provider gets an adapter normalizing its response into one result shape:
+ *              `{ label, score, confidence, provider, modelVersion }`. Requests go through an ordered
+ *              priority list and fail over to the next provider on error; a circuit breaker skips
+ *              providers that recent calls or a reconciliation run marked unhealthy.
+ */
+
+/**
+ * Prompt used for chat-completion style providers.
+ * @type {string}
+ */
+const CLASSIFICATION_PROMPT = 'Classify the sentiment of the user text. Reply with JSON only: '
+    + '{"label": "positive|negative|neutral|mixed", "score": <number from -1 to 1>, "confidence": <number from 0 to 1>}. '
+    + 'Use "mixed" when the text contains both clearly positive and clearly negative statements.';
+
+/**
+ * Creates an error describing a failed provider call. `status` and `retryAfter` are kept so that
+ * callers can classify the failure (quota, auth, transient...).
+ * @param {string} message - The error message.
+ * @param {Object} [details={}] - Extra properties: `provider`, `status`, `retryAfter`, `cause`.
+ * @returns {Error} The error.
+ */
+function _providerError(message, details = {}) {
+    const { cause, ...properties } = details;
+    const error = new Error(message, cause ? { cause } : undefined);
+    return Object.assign(error, properties);
+}
+
+/**
+ * Sends a JSON POST request with a timeout and returns the parsed response body.
+ * @param {string} providerName - The provider name (for error messages).
+ * @param {string} url - The URL to call.
+ * @param {Object} body - The JSON request body.
+ * @param {Object} [headers={}] - Extra request headers.
+ * @param {number} [timeoutMs=15000] - The request timeout.
+ * @returns {Promise<Object>} The parsed JSON response.
+ * @throws {Error} If the request fails, times out or returns a non-2xx status.
+ */
+async function _postJson(providerName, url, body, headers = {}, timeoutMs = 15000) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal: controller.signal,
+        });
+    } catch (error) {
+        const message = error.name === 'AbortError'
+            ? `'${providerName}' did not respond within ${timeoutMs}ms`
+            : `'${providerName}' request failed: ${error.message}`;
+        throw _providerError(message, { provider: providerName, code: error.name === 'AbortError' ? 'ETIMEDOUT' : error.code, cause: error });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+
+    if (!response.ok) {
+        let errorBody = '';
+        try {
+            errorBody = (await response.text()).substring(0, 200);
+        } catch (bodyError) {
+            // The status alone is enough to report the failure.
+        }
+        throw _providerError(`'${providerName}' returned status ${response.status} (${response.statusText}): ${errorBody}`, {
+            provider: providerName,
+            status: response.status,
+            retryAfter: response.headers.get('retry-after'),
+            body: errorBody,
+        });
+    }
+    return response.json();
+}
+
+/**
+ * Reads the API key of a provider from the environment variable named by `apiKeyEnv`.
+ * @param {string} providerName - The provider name (for error messages).
+ * @param {Object} config - The provider configuration.
+ * @param {boolean} [required=true] - Whether a missing key is an error.
+ * @returns {string|undefined} The API key.
+ * @throws {Error} If the key is required but missing.
+ */
+function _readApiKey(providerName, config, required = true) {
+    const apiKey = config.apiKeyEnv ? process.env[config.apiKeyEnv] : undefined;
+    if (required && (!apiKey || apiKey.trim() === '')) {
+        throw _providerError(`Missing API key for '${providerName}' (environment variable '${config.apiKeyEnv}').`, { provider: providerName, status: 401 });
+    }
+    return apiKey;
+}
+
+/**
+ * Lexicon analyzers per provider configuration, created on first use.
+ * @type {WeakMap<Object, LexiconSentimentAnalyzer>}
+ */
+const lexiconAnalyzers = new WeakMap();
+
+/**
+ * Adapters keyed by provider type. Each returns a raw `{ label, score, confidence, modelVersion }` result.
+ * @type {Object<string, function(string, string, Object): Promise<Object>>}
+ */
+const PROVIDER_ADAPTERS = {
+    async openai(name, text, config) {
+        const apiKey = _readApiKey(name, config);
+        const model = config.model || 'gpt-4o-mini';
+        const data = await _postJson(name, config.analyzeEndpoint || 'https://api.openai.com/v1/chat/completions', {
+            model,
+            temperature: 0,
+            response_format: { type: 'json_object' },
+            messages: [
+                { role: 'system', content: CLASSIFICATION_PROMPT },
+                { role: 'user', content: text },
+            ],
+        }, { Authorization: `Bearer ${apiKey}` }, config.timeoutMs);
+
+        let parsed;
+        try {
+            parsed = JSON.parse(data.choices[0].message.content);
+        } catch (error) {
+            throw _providerError(`'${name}' returned an unparseable classification.`, { provider: name, cause: error });
+        }
+        return { ...parsed, modelVersion: data.model || model };
+    },
+
+    async google(name, text, config) {
+        const apiKey = _readApiKey(name, config);
+        const endpoint = config.analyzeEndpoint || config.endpoint;
+        const data = await _postJson(name, `${endpoint}?key=${encodeURIComponent(apiKey)}`, {
+            document: { type: 'PLAIN_TEXT', content: text },
+            encodingType: 'UTF8',
+        }, {}, config.timeoutMs);
+
+        const { score = 0, magnitude = 0 } = data.documentSentiment || {};
+        let label = 'neutral';
+        if (score >= 0.25) {
+            label = 'positive';
+        } else if (score <= -0.25) {
+            label = 'negative';
+        } else if (magnitude >= (config.mixedMagnitude || 1.5)) {
+            // Google reports mixed documents as a near-zero score with a high magnitude.
+            label = 'mixed';
+        }
+        return { label, score, confidence: 0.5 + Math.abs(score) / 2, modelVersion: config.model || 'google-nl-v1' };
+    },
+
+    async http(name, text, config) {
+        if (!config.analyzeEndpoint) {
+            throw _providerError(`No 'analyzeEndpoint' configured for '${name}'.`, { provider: name });
+        }
+        const apiKey = _readApiKey(name, config, false);
+        const data = await _postJson(name, config.analyzeEndpoint, { text }, apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, config.timeoutMs);
+        return {
+            ...data,
+            modelVersion: data.modelVersion || (config.modelVersionEnv ? process.env[config.modelVersionEnv] : undefined),
+        };
+    },
+
+    async lexicon(name, text, config) {
+        let analyzer = lexiconAnalyzers.get(config);
+        if (!analyzer) {
+            analyzer = new LexiconSentimentAnalyzer(config);
+            lexiconAnalyzers.set(config, analyzer);
+        }
+        return analyzer.analyze(text);
+    },
+};
+
+/**
+ * Guesses the adapter type of a configured service when no explicit `type` is given.
+ * @param {string} serviceKey - The service key in aiServiceConfigs.json (e.g. 'openAi').
+ * @param {Object} config - The service configuration.
+ * @returns {string} The adapter type ('openai', 'google', 'lexicon' or 'http').
+ */
+function detectProviderType(serviceKey, config) {
+    if (config.type) {
+        return config.type;
+    }
+    if (/openai/i.test(serviceKey)) {
+        return 'openai';
+    }
+    if (/google/i.test(serviceKey)) {
+        return 'google';
+    }
+    if (/lexicon/i.test(serviceKey)) {
+        return 'lexicon';
+    }
+    return 'http';
+}
+
+/**
+ * Determines the model version a provider is configured to use, before calling it.
+ * @param {Object} provider - The registered provider (`{ type, config }`).
+ * @returns {string|null} The model version from `modelVersionEnv` or `model`, if known.
+ */
+function _getConfiguredModelVersion(provider) {
+    if (provider.type === 'lexicon') {
+        return LEXICON_MODEL_VERSION;
+    }
+    const { modelVersionEnv, model } = provider.config;
+    return (modelVersionEnv && process.env[modelVersionEnv]) || model || null;
+}
+
+/**
+ * Normalizes a raw provider result into the shared result shape.
+ * @param {Object} raw - The raw adapter result.
+ * @param {string} provider - The provider name.
+ * @returns {Object} `{ label, score, confidence, provider, modelVersion }` plus any `sentences`.
+ * @throws {Error} If the provider returned an unknown label.
+ */
+function normalizeProviderResult(raw, provider) {
+    const label = String(raw.label || '').toLowerCase();
+    if (!SENTIMENT_LABELS.includes(label)) {
+        throw _providerError(`'${provider}' returned an unknown sentiment label '${raw.label}'.`, { provider });
+    }
+    const clamp = (value, min, max, fallback) => (Number.isFinite(Number(value)) ? Math.min(max, Math.max(min, Number(value))) : fallback);
+
+    const result = {
+        label,
+        score: clamp(raw.score, -1, 1, 0),
+        confidence: clamp(raw.confidence, 0, 1, null),
+        provider,
+        modelVersion: raw.modelVersion || null,
+    };
+    if (raw.sentences) {
+        result.sentences = raw.sentences;
+    }
+    return result;
+}
+
+class CircuitBreaker {
+    /**
+     * @param {Object} [config={}] - Breaker configuration.
+     * @param {number} [config.failureThreshold=3] - Consecutive failures that open the breaker.
+     * @param {number} [config.cooldownMs=60000] - How long an open breaker rejects calls before allowing a trial call.
+     */
+    constructor(config = {}) {
+        this.failureThreshold = config.failureThreshold || 3;
+        this.cooldownMs = config.cooldownMs || 60000;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.openUntil = null;
+        this.openedBy = null;
+        this.reason = null;
+        this.probing = false;
+    }
+
+    /**
+     * @returns {'closed'|'open'|'half-open'} The current state; an open breaker turns half-open once its cooldown elapsed.
+     */
+    getState() {
+        if (this.openUntil === null) {
+            return 'closed';
+        }
+        return Date.now() >= this.openUntil ? 'half-open' : 'open';
+    }
+
+    /**
+     * Checks whether a call may be attempted: always while closed, and once while half-open. The caller
+     * allowed the half-open trial call must report its outcome (recordSuccess or recordFailure); other
+     * callers are rejected until then.
+     * @returns {boolean} True if a call may be attempted.
+     */
+    allowsRequest() {
+        const state = this.getState();
+        if (state === 'closed') {
+            return true;
+        }
+        if (state === 'half-open' && !this.probing) {
+            this.probing = true;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Records a successful call, closing the breaker.
+     */
+    recordSuccess() {
+        this.consecutiveFailures = 0;
+        this.close();
+    }
+
+    /**
+     * Records a failed call; opens the breaker when the threshold is reached or a trial call failed.
+     * @param {string} reason - The failure reason.
+     */
+    recordFailure(reason) {
+        this.consecutiveFailures++;
+        if (this.getState() === 'half-open' || this.consecutiveFailures >= this.failureThreshold) {
+            this.open(reason);
+        }
+    }
+
+    /**
+     * Opens the breaker.
+     * @param {string} reason - Why the provider is considered unhealthy.
+     * @param {number} [durationMs=this.cooldownMs] - How long to reject calls.
+     * @param {'failures'|'reconciliation'} [openedBy='failures'] - What opened the breaker.
+     */
+    open(reason, durationMs = this.cooldownMs, openedBy = 'failures') {
+        this.openedAt = Date.now();
+        this.openUntil = this.openedAt + durationMs;
+        this.openedBy = openedBy;
+        this.reason = reason;
+        this.probing = false;
+    }
+
+    /**
+     * Closes the breaker without touching the failure count.
+     */
+    close() {
+        this.openedAt = null;
+        this.openUntil = null;
+        this.openedBy = null;
+        this.reason = null;
+        this.probing = false;
+    }
+
+    /**
+     * @returns {Object} A serializable snapshot: `{ state, consecutiveFailures, reason, openedBy, openUntil }`.
+     */
+    toJSON() {
+        return {
+            state: this.getState(),
+            consecutiveFailures: this.consecutiveFailures,
+            reason: this.reason,
+            openedBy: this.openedBy,
+            openUntil: this.openUntil ? new Date(this.openUntil).toISOString() : null,
+        };
+    }
+}
+
+class SentimentProviderRegistry {
+    /**
+     * @param {Object} [config={}] - Registry configuration.
+     * @param {number} [config.failureThreshold=3] - Consecutive failures opening a provider's circuit breaker.
+     * @param {number} [config.cooldownMs=60000] - How long an open breaker skips its provider.
+     * @param {ProviderQuotaManager|null} [config.quotaManager] - Applies rate limits, daily quotas and retries to
+     *                                                            remote providers (defaults to the shared manager;
+     *                                                            null disables it).
+     * @param {SentimentResultCache} [config.cache] - Serves repeated texts from a result cache instead of the provider.
+     */
+    constructor(config = {}) {
+        this.breakerConfig = { failureThreshold: config.failureThreshold, cooldownMs: config.cooldownMs };
+        this.quotaManager = config.quotaManager !== undefined ? config.quotaManager : getDefaultQuotaManager();
+        this.cache = config.cache || null;
+        this.providers = new Map();
+    }
+
+    /**
+     * Builds a registry from the service configurations of aiServiceConfigs.json.
+     * Providers are ordered by their `priority` (lower first, default 100), then by declaration order.
+     * @param {Object} [serviceConfigs=getServiceConfigs()] - The service configurations keyed by service name.
+     * @param {Object} [options={}] - Registry options (see constructor).
+     * @param {boolean} [options.includeLexiconFallback=true] - Appends the offline lexicon analyzer as the last resort
+     *                                                          unless a lexicon provider is already configured.
+     * @returns {SentimentProviderRegistry} The populated registry.
+     */
+    static fromConfig(serviceConfigs = getServiceConfigs(), options = {}) {
+        const registry = new SentimentProviderRegistry(options);
+        const entries = Object.entries(serviceConfigs || {})
+            .map(([serviceKey, config], index) => ({ serviceKey, config, index }))
+            .filter(({ config }) => config && config.enabled !== false)
+            .sort((a, b) => ((a.config.priority ?? 100) - (b.config.priority ?? 100)) || (a.index - b.index));
+
+        for (const { serviceKey, config } of entries) {
+            registry.register(serviceKey, config);
+        }
+        const hasLexicon = [...registry.providers.values()].some(provider => provider.type === 'lexicon');
+        if (options.includeLexiconFallback !== false && !hasLexicon) {
+            registry.register('lexicon', { type: 'lexicon' });
+        }
+        return registry;
+    }
+
+    /**
+     * Registers a provider at the end of the priority list.
+     * @param {string} name - The provider name (service key).
+     * @param {Object} config - The service configuration; `type` selects the adapter (see detectProviderType).
+     * @param {function(string, string, Object): Promise<Object>} [adapter] - A custom adapter overriding the built-in one.
+     * @returns {SentimentProviderRegistry} The registry, for chaining.
+     * @throws {Error} If no adapter exists for the provider type.
+     */
+    register(name, config = {}, adapter) {
+        const type = detectProviderType(name, config);
+        const analyze = adapter || PROVIDER_ADAPTERS[type];
+        if (!analyze) {
+            throw new Error(`No sentiment provider adapter available for '${name}' (type '${type}').`);
+        }
+        this.providers.set(name, { name, type, config, analyze, breaker: new CircuitBreaker(this.breakerConfig) });
+        if (this.quotaManager) {
+            this.quotaManager.configureProvider(name, config);
+        }
+        return this;
+    }
+
+    /**
+     * @returns {string[]} The provider names in priority order.
+     */
+    getProviderOrder() {
+        return [...this.providers.keys()];
+    }
+
+    /**
+     * Analyzes a text with the first available provider, failing over to the next one on error.
+     * @param {string} text - The text to analyze.
+     * @param {Object} [options={}] - Call options.
+     * @param {string[]} [options.providers] - Restricts and reorders the providers to try.
+     * @returns {Promise<Object>} The normalized result `{ label, score, confidence, provider, modelVersion }`;
+     *                            results served from the cache carry `cached: true`.
+     * @throws {Error} If every provider was skipped or failed; `error.attempts` lists each provider's outcome.
+     */
+    async analyze(text, options = {}) {
+        const names = options.providers || this.getProviderOrder();
+        const attempts = [];
+
+        for (const name of names) {
+            const provider = this.providers.get(name);
+            if (!provider) {
+                attempts.push({ provider: name, skipped: true, reason: 'not registered' });
+                continue;
+            }
+            // A cached result costs nothing, so it is served even while the provider itself is unavailable.
+            const modelVersion = _getConfiguredModelVersion(provider);
+            if (this.cache) {
+                const cached = await this.cache.get(text, name, modelVersion);
+                if (cached) {
+                    return { ...cached, cached: true };
+                }
+            }
+            // The local lexicon analyzer has no quota to manage.
+            const quotaManager = provider.type === 'lexicon' ? null : this.quotaManager;
+            if (quotaManager) {
+                await quotaManager.load();
+                if (!quotaManager.isAvailable(name)) {
+                    attempts.push({ provider: name, skipped: true, reason: `quota exhausted until ${quotaManager.getState(name).exhaustedUntil}` });
+                    continue;
+                }
+            }
+            // Checked last: a half-open breaker lets the call through as its single trial call.
+            if (!provider.breaker.allowsRequest()) {
+                attempts.push({ provider: name, skipped: true, reason: provider.breaker.reason });
+                continue;
+            }
+
+            try {
+                const call = () => provider.analyze(name, text, provider.config);
+                const raw = quotaManager ? await quotaManager.execute(name, call) : await call();
+                const result = normalizeProviderResult(raw, name);
+                provider.breaker.recordSuccess();
+                if (this.cache) {
+                    await this.cache.set(text, name, modelVersion, result);
+                }
+                if (attempts.length > 0) {
+                    logger.warn(`[Provider Registry] Served by '${name}' after failing over from: ${attempts.map(attempt => attempt.provider).join(', ')}.`);
+                }
+                return result;
+            } catch (error) {
+                provider.breaker.recordFailure(error.message);
+                attempts.push({ provider: name, skipped: false, reason: error.message, category: error.category, error });
+                logger.warn(`[Provider Registry] Provider '${name}' failed: ${error.message}`);
+            }
+        }
+
+        const lastError = [...attempts].reverse().find(attempt => attempt.error);
+        const error = new Error(`All sentiment providers failed or were skipped: ${attempts.map(attempt => `${attempt.provider} (${attempt.reason})`).join('; ')}`,
+            lastError ? { cause: lastError.error } : undefined);
+        error.attempts = attempts;
+        throw error;
+    }
+
+    /**
+     * Analyzes records produced by `integrateFileForAI` with bounded concurrency.
+     * Records that fail on every provider get an `error` instead of a label.
+     * @param {Object[]} records - The records (`{ id, text, source }`).
+     * @param {Object} [options={}] - Call options (see analyze).
+     * @param {number} [options.concurrency=4] - The maximum number of requests in flight.
+     * @returns {Promise<Object[]>} One result per record, carrying the record's `id` and `source`.
+     */
+    async analyzeRecords(records, options = {}) {
+        return mapWithConcurrency(records, options.concurrency || 4, async (record) => {
+            try {
+                return { id: record.id, source: record.source, ...(await this.analyze(record.text, options)) };
+            } catch (error) {
+                return { id: record.id, source: record.source, label: null, error: error.message };
+            }
+        });
+    }
+
+    /**
+     * Opens the circuit breakers of providers found unhealthy by `reconcileAssets`
+     * (invalid API key or failing endpoint), and closes those it opened once the provider is found
+     * healthy again. Breakers opened by failed calls stay open until their trial call succeeds.
+     * @param {Object} reconciliation - The result of `reconcileAssets()` (`{ allHealthy, details }`).
+     */
+    applyReconciliation(reconciliation) {
+        const details = (reconciliation && reconciliation.details) || {};
+        for (const [name, result] of Object.entries(details)) {
+            const provider = this.providers.get(name);
+            if (!provider || typeof result !== 'object') {
+                continue;
+            }
+            if (result.apiKeyValid === false) {
+                provider.breaker.open('API key invalid (reconciliation)', undefined, 'reconciliation');
+            } else if (result.primaryEndpointHealthy === false || result.statusEndpointHealthy === false) {
+                provider.breaker.open('Endpoint unhealthy (reconciliation)', undefined, 'reconciliation');
+            } else if (provider.breaker.openedBy === 'reconciliation') {
+                provider.breaker.close();
+            }
+        }
+    }
+
+    /**
+     * @returns {Object<string, Object>} The circuit breaker state of every provider.
+     */
+    getHealth() {
+        const health = {};
+        for (const [name, provider] of this.providers) {
+            health[name] = { type: provider.type, ...provider.breaker.toJSON() };
+        }
+        return health;
+    }
+}
+
+module.exports = {
+    SentimentProviderRegistry,
+    CircuitBreaker,
+    PROVIDER_ADAPTERS,
+    detectProviderType,
+    normalizeProviderResult,
+};
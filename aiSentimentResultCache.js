@@ -0,0 +1,516 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./aiLogger');
+
+/**
+ * @module aiSentimentResultCache
+ * @description Content-addressed cache for sentiment analysis results, so re-analyzing the same text
+ *              with the same provider and model version does not call (and bill) the provider again.
+ *              Keys combine the provider, its model version and a checksum of the normalized text.
+ *              The backing store is pluggable: in-memory LRU (default), a JSON file, or a MongoDB collection.
+ */
+
+/**
+ * Store key holding the last model version seen per provider.
+ * @type {string}
+ */
+const MODEL_VERSIONS_KEY = '__modelVersions__';
+
+/**
+ * Default time (ms) FileStore waits after the last change before rewriting its file.
+ * @type {number}
+ */
+const DEFAULT_SAVE_DELAY_MS = 1000;
+
+/**
+ * Normalizes text before hashing so that whitespace-only differences share a cache entry.
+ * @param {string} text - The analyzed text.
+ * @returns {string} The normalized text.
+ */
+function normalizeCacheText(text) {
+    return String(text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Interface implemented by cache stores. All methods are async.
+ * @typedef {Object} CacheStore
+ * @property {function(string): Promise<Object|undefined>} get - Reads an entry.
+ * @property {function(string, Object): Promise<void>} set - Writes an entry.
+ * @property {function(string): Promise<void>} delete - Removes an entry.
+ * @property {function(string): Promise<number>} deleteByPrefix - Removes the entries whose key starts with the prefix.
+ * @property {function(): Promise<void>} clear - Removes every entry.
+ */
+
+class MemoryLruStore {
+    /**
+     * @param {Object} [config={}] - Store configuration.
+     * @param {number} [config.maxEntries=10000] - Entries kept before the least recently used are evicted.
+     */
+    constructor(config = {}) {
+        this.maxEntries = config.maxEntries || 10000;
+        this.entries = new Map();
+        // The cache's own bookkeeping (MODEL_VERSIONS_KEY) is kept apart so it is never evicted.
+        this.pinned = new Map();
+        this.evictions = 0;
+    }
+
+    /**
+     * @param {string} key - The cache key.
+     * @returns {Promise<Object|undefined>} The entry, marked as most recently used.
+     */
+    async get(key) {
+        if (key === MODEL_VERSIONS_KEY) {
+            return this.pinned.get(key);
+        }
+        if (!this.entries.has(key)) {
+            return undefined;
+        }
+        // Re-insert to mark the entry as most recently used.
+        const entry = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Writes an entry, evicting the least recently used entries beyond `maxEntries`.
+     * @param {string} key - The cache key.
+     * @param {Object} entry - The entry.
+     */
+    async set(key, entry) {
+        if (key === MODEL_VERSIONS_KEY) {
+            this.pinned.set(key, entry);
+            return;
+        }
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.evictions++;
+        }
+    }
+
+    /**
+     * @param {string} key - The cache key.
+     */
+    async delete(key) {
+        this.entries.delete(key);
+        this.pinned.delete(key);
+    }
+
+    /**
+     * @param {string} prefix - The key prefix.
+     * @returns {Promise<number>} The number of entries removed.
+     */
+    async deleteByPrefix(prefix) {
+        let deleted = 0;
+        for (const key of [...this.entries.keys()]) {
+            if (key.startsWith(prefix)) {
+                this.entries.delete(key);
+                deleted++;
+            }
+        }
+        return deleted;
+    }
+
+    /**
+     * Removes every entry.
+     */
+    async clear() {
+        this.entries.clear();
+        this.pinned.clear();
+    }
+}
+
+class FileStore {
+    /**
+     * Persists entries in a single JSON file. Suited to local runs and CI; use MongoStore for shared caches.
+     * Changes are written once `saveDelayMs` has passed without further changes (or on flush()), so a burst of
+     * writes rewrites the file once; expired entries are dropped whenever the file is read or written.
+     * @param {Object} [config={}] - Store configuration.
+     * @param {string} [config.filePath] - The cache file (defaults to data/sentimentCache.json).
+     * @param {number} [config.saveDelayMs=1000] - Time after the last change before the file is rewritten.
+     */
+    constructor(config = {}) {
+        this.filePath = config.filePath || path.join(process.cwd(), 'data', 'sentimentCache.json');
+        this.saveDelayMs = config.saveDelayMs !== undefined ? config.saveDelayMs : DEFAULT_SAVE_DELAY_MS;
+        this.entries = null;
+        this.loading = null;
+        this.saveTimer = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Loads the cache file on first use; concurrent callers share one read.
+     * @returns {Promise<Object>} The entries keyed by cache key.
+     */
+    _load() {
+        if (!this.loading) {
+            this.loading = this._read();
+        }
+        return this.loading;
+    }
+
+    /**
+     * Reads the cache file and drops its expired entries; a missing or corrupt file starts an empty cache.
+     * @returns {Promise<Object>} The entries keyed by cache key.
+     */
+    async _read() {
+        try {
+            this.entries = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`[Result Cache] Could not read cache file ${this.filePath}: ${error.message}. Starting with an empty cache.`);
+            }
+            this.entries = {};
+        }
+        if (this._purgeExpired() > 0) {
+            this._scheduleSave();
+        }
+        return this.entries;
+    }
+
+    /**
+     * Removes the entries whose `expiresAt` has passed.
+     * @returns {number} The number of entries removed.
+     */
+    _purgeExpired() {
+        const now = Date.now();
+        let purged = 0;
+        for (const [key, entry] of Object.entries(this.entries)) {
+            if (entry && entry.expiresAt && Date.parse(entry.expiresAt) <= now) {
+                delete this.entries[key];
+                purged++;
+            }
+        }
+        return purged;
+    }
+
+    /**
+     * Schedules a save `saveDelayMs` after the last change.
+     */
+    _scheduleSave() {
+        if (this.saveTimer !== null) {
+            clearTimeout(this.saveTimer);
+        }
+        this.saveTimer = setTimeout(() => this.flush(), this.saveDelayMs);
+    }
+
+    /**
+     * Writes pending changes without waiting for `saveDelayMs`.
+     * @returns {Promise<void>} Resolves once every change made so far is on disk.
+     */
+    flush() {
+        if (this.saveTimer !== null) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            this._save();
+        }
+        return this.writeQueue;
+    }
+
+    /**
+     * Writes the entries back to disk through a temporary file; writes are serialized and each writes the
+     * entries as they are when it starts.
+     * @returns {Promise<void>}
+     */
+    _save() {
+        this.writeQueue = this.writeQueue.then(async () => {
+            try {
+                this._purgeExpired();
+                const snapshot = JSON.stringify(this.entries);
+                await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.writeFile(`${this.filePath}.tmp`, snapshot, 'utf8');
+                await fs.rename(`${this.filePath}.tmp`, this.filePath);
+            } catch (error) {
+                logger.error(`[Result Cache] Failed to write cache file ${this.filePath}: ${error.message}`);
+            }
+        });
+        return this.writeQueue;
+    }
+
+    /**
+     * @param {string} key - The cache key.
+     * @returns {Promise<Object|undefined>} The entry.
+     */
+    async get(key) {
+        return (await this._load())[key];
+    }
+
+    /**
+     * Writes an entry; the file is rewritten later (see flush()).
+     * @param {string} key - The cache key.
+     * @param {Object} entry - The entry.
+     */
+    async set(key, entry) {
+        (await this._load())[key] = entry;
+        this._scheduleSave();
+    }
+
+    /**
+     * @param {string} key - The cache key.
+     */
+    async delete(key) {
+        const entries = await this._load();
+        if (key in entries) {
+            delete entries[key];
+            this._scheduleSave();
+        }
+    }
+
+    /**
+     * @param {string} prefix - The key prefix.
+     * @returns {Promise<number>} The number of entries removed.
+     */
+    async deleteByPrefix(prefix) {
+        const entries = await this._load();
+        const keys = Object.keys(entries).filter(key => key.startsWith(prefix));
+        keys.forEach(key => delete entries[key]);
+        if (keys.length > 0) {
+            this._scheduleSave();
+        }
+        return keys.length;
+    }
+
+    /**
+     * Removes every entry and rewrites the file right away.
+     */
+    async clear() {
+        await this._load();
+        this.entries = {};
+        this._scheduleSave();
+        await this.flush();
+    }
+}
+
+class MongoStore {
+    /**
+     * Stores entries in a MongoDB collection (a native driver collection, or `Model.collection` with Mongoose).
+     * Documents are `{ _id: key, entry, expiresAt }`; create a TTL index on `expiresAt` to let MongoDB purge them:
+     * `collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })`.
+     * @param {Object} config - Store configuration.
+     * @param {Object} config.collection - The MongoDB collection.
+     */
+    constructor(config) {
+        if (!config || !config.collection) {
+            throw new Error('MongoStore requires a MongoDB collection.');
+        }
+        this.collection = config.collection;
+    }
+
+    /**
+     * @param {string} key - The cache key.
+     * @returns {Promise<Object|undefined>} The entry.
+     */
+    async get(key) {
+        const document = await this.collection.findOne({ _id: key });
+        return document ? document.entry : undefined;
+    }
+
+    /**
+     * Upserts an entry, copying its `expiresAt` to the document for the TTL index.
+     * @param {string} key - The cache key.
+     * @param {Object} entry - The entry.
+     */
+    async set(key, entry) {
+        const expiresAt = entry && entry.expiresAt ? new Date(entry.expiresAt) : null;
+        await this.collection.updateOne({ _id: key }, { $set: { entry, expiresAt } }, { upsert: true });
+    }
+
+    /**
+     * @param {string} key - The cache key.
+     */
+    async delete(key) {
+        await this.collection.deleteOne({ _id: key });
+    }
+
+    /**
+     * @param {string} prefix - The key prefix.
+     * @returns {Promise<number>} The number of documents removed.
+     */
+    async deleteByPrefix(prefix) {
+        const escaped = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const result = await this.collection.deleteMany({ _id: { $regex: `^${escaped}` } });
+        return result.deletedCount || 0;
+    }
+
+    /**
+     * Removes every document of the collection.
+     */
+    async clear() {
+        await this.collection.deleteMany({});
+    }
+}
+
+class SentimentResultCache {
+    /**
+     * @param {Object} [config={}] - Cache configuration.
+     * @param {CacheStore} [config.store] - The backing store (defaults to a MemoryLruStore).
+     * @param {number} [config.ttlMs=604800000] - Entry lifetime (7 days); 0 keeps entries until invalidated.
+     * @param {string} [config.checksumAlgorithm='sha256'] - The hash algorithm for text checksums.
+     */
+    constructor(config = {}) {
+        this.store = config.store || new MemoryLruStore(config);
+        this.ttlMs = config.ttlMs !== undefined ? config.ttlMs : 7 * 24 * 60 * 60 * 1000;
+        this.checksumAlgorithm = config.checksumAlgorithm || 'sha256';
+        this.knownModelVersions = null;
+        this.stats = { hits: 0, misses: 0, expired: 0, sets: 0, invalidations: 0 };
+    }
+
+    /**
+     * Builds the cache key of a text for a provider and model version.
+     * @param {string} text - The analyzed text.
+     * @param {string} provider - The provider name.
+     * @param {string} [modelVersion] - The provider's model version.
+     * @returns {string} The key: `<provider>|<modelVersion>|<checksum>`.
+     */
+    buildKey(text, provider, modelVersion) {
+        const checksum = crypto.createHash(this.checksumAlgorithm).update(normalizeCacheText(text)).digest('hex');
+        return `${this._providerPrefix(provider)}${modelVersion || 'unversioned'}|${checksum}`;
+    }
+
+    /**
+     * @param {string} provider - The provider name.
+     * @returns {string} The key prefix shared by all entries of a provider.
+     */
+    _providerPrefix(provider) {
+        return `${provider}|`;
+    }
+
+    /**
+     * Looks up a cached result.
+     * @param {string} text - The analyzed text.
+     * @param {string} provider - The provider name.
+     * @param {string} [modelVersion] - The provider's current model version; a version not seen before
+     *                                  invalidates the provider's older entries.
+     * @returns {Promise<Object|undefined>} The cached result, or undefined on a miss or an expired entry.
+     */
+    async get(text, provider, modelVersion) {
+        await this._checkModelVersion(provider, modelVersion);
+        const key = this.buildKey(text, provider, modelVersion);
+        const entry = await this.store.get(key);
+        if (!entry) {
+            this.stats.misses++;
+            return undefined;
+        }
+        if (entry.expiresAt && Date.parse(entry.expiresAt) <= Date.now()) {
+            this.stats.expired++;
+            this.stats.misses++;
+            await this.store.delete(key);
+            return undefined;
+        }
+        this.stats.hits++;
+        return entry.result;
+    }
+
+    /**
+     * Stores a result.
+     * @param {string} text - The analyzed text.
+     * @param {string} provider - The provider name.
+     * @param {string} [modelVersion] - The model version that produced the result.
+     * @param {Object} result - The analysis result.
+     * @returns {Promise<void>}
+     */
+    async set(text, provider, modelVersion, result) {
+        const now = Date.now();
+        await this.store.set(this.buildKey(text, provider, modelVersion), {
+            result,
+            provider,
+            modelVersion: modelVersion || null,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: this.ttlMs > 0 ? new Date(now + this.ttlMs).toISOString() : null,
+        });
+        this.stats.sets++;
+    }
+
+    /**
+     * Returns the cached result or computes, stores and returns it.
+     * @param {string} text - The analyzed text.
+     * @param {string} provider - The provider name.
+     * @param {string} [modelVersion] - The provider's model version.
+     * @param {function(): Promise<Object>} compute - Produces the result on a miss.
+     * @returns {Promise<Object>} The result; cached results carry `cached: true`.
+     */
+    async wrap(text, provider, modelVersion, compute) {
+        const cached = await this.get(text, provider, modelVersion);
+        if (cached) {
+            return { ...cached, cached: true };
+        }
+        const result = await compute();
+        await this.set(text, provider, modelVersion, result);
+        return result;
+    }
+
+    /**
+     * Drops every cached result of a provider.
+     * @param {string} provider - The provider name.
+     * @returns {Promise<number>} The number of entries removed.
+     */
+    async invalidateProvider(provider) {
+        const removed = await this.store.deleteByPrefix(this._providerPrefix(provider));
+        this.stats.invalidations += removed;
+        logger.info(`[Result Cache] Invalidated ${removed} cached result(s) for '${provider}'.`);
+        return removed;
+    }
+
+    /**
+     * Records the model version in use for a provider and invalidates its entries when it changed.
+     * @param {string} provider - The provider name.
+     * @param {string} [modelVersion] - The current model version.
+     * @returns {Promise<boolean>} True if the provider's entries were invalidated.
+     */
+    async _checkModelVersion(provider, modelVersion) {
+        if (!modelVersion) {
+            return false;
+        }
+        if (this.knownModelVersions === null) {
+            this.knownModelVersions = (await this.store.get(MODEL_VERSIONS_KEY)) || {};
+        }
+        const previous = this.knownModelVersions[provider];
+        if (previous === modelVersion) {
+            return false;
+        }
+        this.knownModelVersions[provider] = modelVersion;
+        await this.store.set(MODEL_VERSIONS_KEY, this.knownModelVersions);
+        if (previous === undefined) {
+            return false;
+        }
+        logger.info(`[Result Cache] Model version of '${provider}' changed from '${previous}' to '${modelVersion}'.`);
+        await this.invalidateProvider(provider);
+        return true;
+    }
+
+    /**
+     * Checks the `modelVersionEnv` of every configured service (as reconcileAssets does) and
+     * invalidates the entries of providers whose model version changed.
+     * @param {Object} serviceConfigs - The service configurations keyed by service name.
+     * @returns {Promise<string[]>} The providers whose entries were invalidated.
+     */
+    async syncModelVersions(serviceConfigs) {
+        const invalidated = [];
+        for (const [serviceKey, config] of Object.entries(serviceConfigs || {})) {
+            const modelVersion = config && config.modelVersionEnv ? process.env[config.modelVersionEnv] : undefined;
+            if (await this._checkModelVersion(serviceKey, modelVersion)) {
+                invalidated.push(serviceKey);
+            }
+        }
+        return invalidated;
+    }
+
+    /**
+     * @returns {Object} Hit/miss statistics: `{ hits, misses, expired, sets, invalidations, hitRate }`.
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return { ...this.stats, hitRate: lookups > 0 ? this.stats.hits / lookups : 0 };
+    }
+}
+
+module.exports = {
+    SentimentResultCache,
+    MemoryLruStore,
+    FileStore,
+    MongoStore,
+    normalizeCacheText,
+};
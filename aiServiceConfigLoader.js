@@ -0,0 +1,408 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./aiLogger');
+
+/**
+ * @module aiServiceConfigLoader
+ * @description Loads, interpolates and validates config/aiServiceConfigs.json.
+ *
+ *              The file maps service names to their configuration, e.g.:
+ *
+ *              {
+ *                  "openAi": {
+ *                      "apiKeyEnv": "OPENAI_API_KEY",
+ *                      "endpoint": "https://api.openai.com/v1/models",
+ *                      "apiKeyFormatRegex": "^sk-",
+ *                      "model": "${OPENAI_MODEL:-gpt-4o-mini}"
+ *                  },
+ *                  "customInternalSentimentModel": {
+ *                      "endpoint": "${SENTIMENT_MODEL_URL}/api/sentiment/health",
+ *                      "modelVersionEnv": "SENTIMENT_MODEL_VERSION"
+ *                  }
+ *              }
+ *
+ *              - String values support `${ENV_VAR}` and `${ENV_VAR:-default}` interpolation.
+ *              - A profile overlay `aiServiceConfigs.<profile>.json` next to the base file (profile taken
+ *                from NODE_ENV, e.g. development/test/production) is deep-merged over the base;
+ *                setting a service to `null` in an overlay removes it.
+ *              - Every service is validated against SERVICE_CONFIG_SCHEMA. Errors carry the exact path
+ *                (e.g. `openAi.rateLimit.requestsPerMinute`); unknown keys produce warnings with a suggestion.
+ *              - In strict mode any error aborts loading; otherwise invalid services are left out.
+ */
+
+/**
+ * Default location of the service configuration file.
+ * @type {string}
+ */
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'aiServiceConfigs.json');
+
+/**
+ * Declared schema of a service entry. Each field lists its `type` and optional constraints
+ * (`enum`, `min`, `max`, `format`, nested `properties`, array `items`; `additionalProperties` allows free-form
+ * objects and the `any` type accepts every JSON value).
+ * @type {Object<string, Object>}
+ */
+const SERVICE_CONFIG_SCHEMA = {
+    type: { type: 'string', enum: ['openai', 'google', 'http', 'lexicon'] },
+    enabled: { type: 'boolean' },
+    priority: { type: 'number' },
+    apiKeyEnv: { type: 'string', format: 'envName' },
+    apiKeyFormatRegex: { type: 'string', format: 'regex' },
+    endpoint: { type: 'string', format: 'url' },
+    statusEndpoint: { type: 'string', format: 'url' },
+    analyzeEndpoint: { type: 'string', format: 'url' },
+    model: { type: 'string' },
+    modelVersionEnv: { type: 'string', format: 'envName' },
+    timeoutMs: { type: 'number', min: 1 },
+    mixedMagnitude: { type: 'number', min: 0 },
+    rateLimit: {
+        type: 'object',
+        properties: {
+            requestsPerMinute: { type: 'number', min: 0 },
+            burst: { type: 'number', min: 1 },
+        },
+    },
+    dailyQuota: {
+        type: 'object',
+        properties: {
+            limit: { type: 'number', min: 0 },
+            resetHourUtc: { type: 'number', min: 0, max: 23 },
+        },
+    },
+    retry: {
+        type: 'object',
+        properties: {
+            retries: { type: 'number', min: 0 },
+            baseDelayMs: { type: 'number', min: 0 },
+            maxDelayMs: { type: 'number', min: 0 },
+        },
+    },
+    // Options of the offline lexicon provider.
+    lexicon: { type: 'object', additionalProperties: true },
+    neutralThreshold: { type: 'number', min: 0, max: 1 },
+    strongThreshold: { type: 'number', min: 0, max: 1 },
+    // Health probe used by reconcileAssets (see aiAssetReconciler.js). Header values may contain
+    // `{{apiKey}}`, which is replaced with the key read from `apiKeyEnv` when the probe runs.
+    probe: {
+        type: 'object',
+        properties: {
+            endpoint: { type: 'string', format: 'url' },
+            method: { type: 'string', enum: ['GET', 'HEAD', 'POST', 'PUT'] },
+            headers: { type: 'object', additionalProperties: true },
+            body: { type: 'any' },
+            timeoutMs: { type: 'number', min: 1 },
+            expectedStatus: { type: 'array', items: { type: 'number', min: 100, max: 599 } },
+            assertions: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        path: { type: 'string' },
+                        exists: { type: 'boolean' },
+                        equals: { type: 'any' },
+                        contains: { type: 'any' },
+                        matches: { type: 'string', format: 'regex' },
+                    },
+                },
+            },
+        },
+    },
+};
+
+/**
+ * Computes the Levenshtein distance between two strings (used for "did you mean" suggestions).
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} The edit distance.
+ */
+function _editDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = above;
+        }
+    }
+    return previous[b.length];
+}
+
+/**
+ * Finds the closest known key to an unknown one.
+ * @param {string} key - The unknown key.
+ * @param {string[]} knownKeys - The keys allowed at that position.
+ * @returns {string|null} The suggestion, if one is close enough.
+ */
+function _suggestKey(key, knownKeys) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of knownKeys) {
+        const distance = _editDistance(key.toLowerCase(), candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return bestDistance <= Math.max(2, Math.floor(key.length / 4)) ? best : null;
+}
+
+/**
+ * Replaces `${VAR}` / `${VAR:-default}` references in every string of a configuration.
+ * @param {*} value - The configuration value.
+ * @param {Object} env - The environment to read variables from.
+ * @param {string} pathPrefix - The path of the value (for error messages).
+ * @param {Array<Object>} errors - Collects `{ path, message }` for unset variables without a default.
+ * @returns {*} The interpolated value.
+ */
+function _interpolate(value, env, pathPrefix, errors) {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+            if (env[name] !== undefined && env[name] !== '') {
+                return env[name];
+            }
+            if (fallback !== undefined) {
+                return fallback;
+            }
+            errors.push({ path: pathPrefix, message: `Environment variable '${name}' referenced by '${match}' is not set.` });
+            return '';
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, index) => _interpolate(item, env, `${pathPrefix}[${index}]`, errors));
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = _interpolate(item, env, pathPrefix ? `${pathPrefix}.${key}` : key, errors);
+        }
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Deep-merges a profile overlay over the base configuration. `null` overlay values delete the key.
+ * @param {Object} base - The base configuration.
+ * @param {Object} overlay - The overlay.
+ * @returns {Object} The merged configuration (inputs are not modified).
+ */
+function _deepMerge(base, overlay) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(overlay)) {
+        if (value === null) {
+            delete result[key];
+        } else if (value && typeof value === 'object' && !Array.isArray(value) && result[key] && typeof result[key] === 'object') {
+            result[key] = _deepMerge(result[key], value);
+        } else {
+            result[key] = value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Validates (and coerces numeric/boolean strings produced by interpolation) one value against its field schema.
+ * @param {*} value - The value.
+ * @param {Object} schema - The field schema.
+ * @param {string} fieldPath - The path of the value.
+ * @param {Object} report - Collects `errors` and `warnings` (`{ path, message }`).
+ * @returns {*} The (possibly coerced) value.
+ */
+function _validateField(value, schema, fieldPath, report) {
+    if (schema.type === 'any') {
+        return value;
+    }
+    let coerced = value;
+    if (schema.type === 'number' && typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+        coerced = Number(value);
+    } else if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+        coerced = value === 'true';
+    }
+
+    const actualType = Array.isArray(coerced) ? 'array' : typeof coerced;
+    if (actualType !== schema.type || (schema.type === 'number' && !Number.isFinite(coerced))) {
+        report.errors.push({ path: fieldPath, message: `Expected ${schema.type} but got ${actualType === 'object' && coerced === null ? 'null' : actualType}.` });
+        return coerced;
+    }
+    if (schema.enum && !schema.enum.includes(coerced)) {
+        report.errors.push({ path: fieldPath, message: `Must be one of ${schema.enum.join(', ')} (got '${coerced}').` });
+    }
+    if (schema.min !== undefined && coerced < schema.min) {
+        report.errors.push({ path: fieldPath, message: `Must be >= ${schema.min} (got ${coerced}).` });
+    }
+    if (schema.max !== undefined && coerced > schema.max) {
+        report.errors.push({ path: fieldPath, message: `Must be <= ${schema.max} (got ${coerced}).` });
+    }
+    if (schema.format === 'url' && !/^https?:\/\/\S+$/.test(coerced)) {
+        report.errors.push({ path: fieldPath, message: `Must be an http(s) URL (got '${coerced}').` });
+    }
+    if (schema.format === 'envName' && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(coerced)) {
+        report.errors.push({ path: fieldPath, message: `Must be an environment variable name (got '${coerced}').` });
+    }
+    if (schema.format === 'regex') {
+        try {
+            new RegExp(coerced);
+        } catch (error) {
+            report.errors.push({ path: fieldPath, message: `Invalid regular expression: ${error.message}` });
+        }
+    }
+    if (schema.type === 'object' && schema.properties) {
+        return _validateObject(coerced, schema.properties, fieldPath, report);
+    }
+    if (schema.type === 'array' && schema.items) {
+        return coerced.map((item, index) => _validateField(item, schema.items, `${fieldPath}[${index}]`, report));
+    }
+    return coerced;
+}
+
+/**
+ * Validates an object against a map of field schemas, warning about unknown keys.
+ * @param {Object} value - The object.
+ * @param {Object<string, Object>} properties - The field schemas.
+ * @param {string} objectPath - The path of the object.
+ * @param {Object} report - Collects `errors` and `warnings`.
+ * @returns {Object} The object with coerced values.
+ */
+function _validateObject(value, properties, objectPath, report) {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        const fieldPath = `${objectPath}.${key}`;
+        if (!properties[key]) {
+            const suggestion = _suggestKey(key, Object.keys(properties));
+            report.warnings.push({ path: fieldPath, message: `Unknown key '${key}'${suggestion ? ` (did you mean '${suggestion}'?)` : ''}; it is ignored.` });
+            continue;
+        }
+        result[key] = _validateField(item, properties[key], fieldPath, report);
+    }
+    return result;
+}
+
+/**
+ * Validates service configurations against SERVICE_CONFIG_SCHEMA.
+ * @param {*} configs - The (interpolated) configuration object.
+ * @returns {{configs: Object, errors: Array<Object>, warnings: Array<Object>, invalidServices: string[]}}
+ *          The coerced configurations, `{ path, message }` errors and warnings, and the services with errors.
+ */
+function validateServiceConfigs(configs) {
+    const report = { errors: [], warnings: [] };
+    const result = {};
+    const invalidServices = [];
+
+    if (!configs || typeof configs !== 'object' || Array.isArray(configs)) {
+        report.errors.push({ path: '', message: 'The configuration must be an object mapping service names to their settings.' });
+        return { configs: {}, ...report, invalidServices };
+    }
+
+    for (const [serviceKey, serviceConfig] of Object.entries(configs)) {
+        const errorCount = report.errors.length;
+        if (!serviceConfig || typeof serviceConfig !== 'object' || Array.isArray(serviceConfig)) {
+            report.errors.push({ path: serviceKey, message: 'A service configuration must be an object.' });
+        } else {
+            result[serviceKey] = _validateObject(serviceConfig, SERVICE_CONFIG_SCHEMA, serviceKey, report);
+            const type = serviceConfig.type || (/openai|google|lexicon/i.test(serviceKey) ? null : 'http');
+            if (type === 'http' && !serviceConfig.endpoint && !serviceConfig.analyzeEndpoint) {
+                report.errors.push({ path: serviceKey, message: "A custom service needs an 'endpoint' or 'analyzeEndpoint'." });
+            }
+        }
+        if (report.errors.length > errorCount) {
+            invalidServices.push(serviceKey);
+            delete result[serviceKey];
+        }
+    }
+    return { configs: result, ...report, invalidServices };
+}
+
+/**
+ * Reads and parses a JSON file.
+ * @param {string} filePath - The file path.
+ * @returns {Object} The parsed content.
+ * @throws {Error} If the file cannot be read or parsed.
+ */
+function _readJsonFile(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to load AI service configurations from ${filePath}: ${error.message}`, { cause: error });
+    }
+}
+
+/**
+ * Loads the AI service configurations: base file, profile overlay, `${ENV}` interpolation and validation.
+ * @param {Object} [options={}] - Loading options.
+ * @param {string} [options.configPath] - The base file (defaults to config/aiServiceConfigs.json).
+ * @param {Object} [options.configs] - A configuration object to use instead of reading files (e.g. in tests).
+ * @param {string} [options.profile] - The profile overlay to apply (defaults to NODE_ENV or 'development').
+ * @param {Object} [options.env=process.env] - The environment used for interpolation.
+ * @param {boolean} [options.strict] - Throw on any error (defaults to AI_CONFIG_STRICT=true).
+ * @returns {{configs: Object, errors: Array<Object>, warnings: Array<Object>, profile: string, files: string[]}}
+ *          The valid service configurations plus everything reported while loading them.
+ * @throws {Error} In strict mode, if the configuration is missing or invalid.
+ */
+function loadServiceConfigs(options = {}) {
+    const env = options.env || process.env;
+    const strict = options.strict !== undefined ? options.strict : env.AI_CONFIG_STRICT === 'true';
+    const profile = options.profile || env.NODE_ENV || 'development';
+    const configPath = options.configPath || DEFAULT_CONFIG_PATH;
+    const files = [];
+    const errors = [];
+
+    let raw = {};
+    if (options.configs) {
+        raw = options.configs;
+    } else {
+        try {
+            raw = _readJsonFile(configPath);
+            files.push(configPath);
+            const profilePath = configPath.replace(/\.json$/, `.${profile}.json`);
+            if (fs.existsSync(profilePath)) {
+                raw = _deepMerge(raw, _readJsonFile(profilePath));
+                files.push(profilePath);
+            }
+        } catch (error) {
+            errors.push({ path: '', message: error.message });
+        }
+    }
+
+    const interpolated = _interpolate(raw, env, '', errors);
+    const validation = validateServiceConfigs(interpolated);
+    // A service referencing an unset variable is as unusable as one failing validation.
+    for (const error of errors) {
+        const serviceKey = error.path.split(/[.[]/)[0];
+        if (serviceKey && validation.configs[serviceKey]) {
+            delete validation.configs[serviceKey];
+            validation.invalidServices.push(serviceKey);
+        }
+    }
+    const result = {
+        configs: validation.configs,
+        errors: [...errors, ...validation.errors],
+        warnings: validation.warnings,
+        profile,
+        files,
+    };
+
+    for (const warning of result.warnings) {
+        logger.warn(`[Config Loader] ${warning.path}: ${warning.message}`);
+    }
+    for (const error of result.errors) {
+        logger.error(`[Config Loader] ${error.path || '(root)'}: ${error.message}`);
+    }
+
+    if (strict && result.errors.length > 0) {
+        throw new Error(`Invalid AI service configuration (profile '${profile}'):\n${result.errors.map(error => `  - ${error.path || '(root)'}: ${error.message}`).join('\n')}`);
+    }
+    if (result.errors.length > 0) {
+        logger.warn(`[Config Loader] Continuing without invalid service(s): ${validation.invalidServices.join(', ') || '(none loaded)'}.`);
+    }
+    logger.info(`[Config Loader] Loaded ${Object.keys(result.configs).length} AI service configuration(s) for profile '${profile}'.`);
+    return result;
+}
+
+module.exports = {
+    loadServiceConfigs,
+    validateServiceConfigs,
+    SERVICE_CONFIG_SCHEMA,
+    DEFAULT_CONFIG_PATH,
+};
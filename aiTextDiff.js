@@ -0,0 +1,348 @@
+/**
+ * @module aiTextDiff
+ * @description Line-based text diff (Myers' O(ND) algorithm) producing a structured hunk list and
+ *              standard unified-diff text. Lines can be compared ignoring whitespace, case or line endings.
+ *              When the files differ in more than `maxEditDistance` lines, the part between the common
+ *              prefix and suffix is reported as one changed block instead of a minimal diff.
+ */
+
+/**
+ * Default number of unchanged context lines around each hunk.
+ * @type {number}
+ */
+const DEFAULT_CONTEXT_LINES = 3;
+
+/**
+ * Default limit on the number of inserted plus deleted lines the exact diff searches for.
+ * The search keeps O(D^2) state, so this bounds memory and time on very different files.
+ * @type {number}
+ */
+const DEFAULT_MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Splits text into lines, remembering whether it ends with a newline.
+ * @param {string} text - The text.
+ * @returns {{lines: string[], endsWithNewline: boolean}} The lines (without `\n`; `\r` is kept) and the final-newline flag.
+ */
+function splitLines(text) {
+    if (text === '') {
+        return { lines: [], endsWithNewline: true };
+    }
+    const lines = text.split('\n');
+    const endsWithNewline = lines[lines.length - 1] === '';
+    if (endsWithNewline) {
+        lines.pop();
+    }
+    return { lines, endsWithNewline };
+}
+
+/**
+ * Builds the comparison key of each line according to the diff options.
+ * @param {{lines: string[], endsWithNewline: boolean}} file - The split file.
+ * @param {Object} options - The diff options.
+ * @returns {string[]} The comparison keys.
+ */
+function _lineKeys(file, options) {
+    return file.lines.map((line, index) => {
+        let key = line;
+        if (options.ignoreLineEndings) {
+            key = key.replace(/\r$/, '');
+        }
+        if (options.ignoreWhitespace) {
+            key = key.trim().replace(/\s+/g, ' ');
+        }
+        if (options.ignoreCase) {
+            key = key.toLowerCase();
+        }
+        // A missing final newline is a difference of the last line, as in `diff`.
+        if (!options.ignoreLineEndings && !file.endsWithNewline && index === file.lines.length - 1) {
+            key += '\u0000';
+        }
+        return key;
+    });
+}
+
+/**
+ * Finds a shortest edit script between two key ranges with Myers' algorithm.
+ * @param {string[]} a - Keys of the first file.
+ * @param {string[]} b - Keys of the second file.
+ * @param {number} start - Index where both ranges start (after the common prefix).
+ * @param {number} endA - End (exclusive) of the range in `a`.
+ * @param {number} endB - End (exclusive) of the range in `b`.
+ * @param {number} maxEditDistance - Give up beyond this many edits.
+ * @returns {Array<Object>|null} The operations in order, or null if the limit was exceeded.
+ */
+function _myersDiff(a, b, start, endA, endB, maxEditDistance) {
+    const n = endA - start;
+    const m = endB - start;
+    const limit = Math.min(n + m, maxEditDistance);
+    const offset = limit + 1;
+    const v = new Int32Array(2 * limit + 3);
+    const trace = [];
+
+    for (let d = 0; d <= limit; d++) {
+        // Keep the diagonals reachable in this round; backtracking reads the state before round d.
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[start + x] === b[start + y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                return _backtrack(trace, d, n, m, start);
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Recovers the edit operations from the Myers search state.
+ * @param {Int32Array[]} trace - The diagonal state before each round.
+ * @param {number} distance - The edit distance found.
+ * @param {number} n - Length of the first range.
+ * @param {number} m - Length of the second range.
+ * @param {number} start - Offset of both ranges.
+ * @returns {Array<Object>} The operations in order.
+ */
+function _backtrack(trace, distance, n, m, start) {
+    const operations = [];
+    let x = n;
+    let y = m;
+    for (let d = distance; d > 0; d--) {
+        const state = trace[d];
+        const at = (k) => state[k + d + 1];
+        const k = x - y;
+        const previousK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const previousX = at(previousK);
+        const previousY = previousX - previousK;
+        while (x > previousX && y > previousY) {
+            x--;
+            y--;
+            operations.push({ type: 'equal', indexA: start + x, indexB: start + y });
+        }
+        if (x === previousX) {
+            operations.push({ type: 'insert', indexA: null, indexB: start + previousY });
+        } else {
+            operations.push({ type: 'delete', indexA: start + previousX, indexB: null });
+        }
+        x = previousX;
+        y = previousY;
+    }
+    while (x > 0 && y > 0) {
+        x--;
+        y--;
+        operations.push({ type: 'equal', indexA: start + x, indexB: start + y });
+    }
+    return operations.reverse();
+}
+
+/**
+ * Computes the line operations turning one text into another.
+ * @param {string} textA - The first text.
+ * @param {string} textB - The second text.
+ * @param {Object} [options={}] - Diff options.
+ * @param {boolean} [options.ignoreWhitespace=false] - Ignore leading/trailing whitespace and changes in its amount.
+ * @param {boolean} [options.ignoreCase=false] - Compare lines case-insensitively.
+ * @param {boolean} [options.ignoreLineEndings=false] - Treat CRLF and LF (and a missing final newline) as equal.
+ * @param {number} [options.maxEditDistance=2000] - Edits searched for before falling back to one changed block.
+ * @returns {{operations: Array<Object>, fileA: Object, fileB: Object, exact: boolean}} The operations
+ *          (`{ type: 'equal'|'delete'|'insert', indexA, indexB }`), the split files, and whether the diff is minimal.
+ */
+function diffLines(textA, textB, options = {}) {
+    const fileA = splitLines(textA);
+    const fileB = splitLines(textB);
+    const a = _lineKeys(fileA, options);
+    const b = _lineKeys(fileB, options);
+
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+        prefix++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > prefix && endB > prefix && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    let middle = _myersDiff(a, b, prefix, endA, endB, options.maxEditDistance || DEFAULT_MAX_EDIT_DISTANCE);
+    const exact = middle !== null;
+    if (!exact) {
+        middle = [];
+        for (let index = prefix; index < endA; index++) {
+            middle.push({ type: 'delete', indexA: index, indexB: null });
+        }
+        for (let index = prefix; index < endB; index++) {
+            middle.push({ type: 'insert', indexA: null, indexB: index });
+        }
+    }
+
+    const operations = [];
+    for (let index = 0; index < prefix; index++) {
+        operations.push({ type: 'equal', indexA: index, indexB: index });
+    }
+    operations.push(...middle);
+    for (let offset = 0; offset < a.length - endA; offset++) {
+        operations.push({ type: 'equal', indexA: endA + offset, indexB: endB + offset });
+    }
+    return { operations, fileA, fileB, exact };
+}
+
+/**
+ * Groups line operations into hunks with surrounding context.
+ * @param {Object} diff - The diffLines() result.
+ * @param {number} [contextLines=3] - Unchanged lines shown around each change.
+ * @returns {Array<Object>} Hunks: `{ kind, oldStart, oldLines, newStart, newLines, lines }`, where `kind` is
+ *          `insert`, `delete` or `change` and `lines` are `{ type: ' '|'-'|'+', text, lineA, lineB }` (1-based).
+ */
+function buildHunks(diff, contextLines = DEFAULT_CONTEXT_LINES) {
+    const { operations, fileA, fileB } = diff;
+    const changed = [];
+    operations.forEach((operation, index) => {
+        if (operation.type !== 'equal') {
+            changed.push(index);
+        }
+    });
+
+    // Merge changes whose context would touch or overlap into one range of operations.
+    const ranges = [];
+    for (const index of changed) {
+        const last = ranges[ranges.length - 1];
+        if (last && index - last.end <= 2 * contextLines + 1) {
+            last.end = index;
+        } else {
+            ranges.push({ start: index, end: index });
+        }
+    }
+
+    // Line numbers consumed before each operation.
+    const consumedA = [];
+    const consumedB = [];
+    let lineA = 0;
+    let lineB = 0;
+    for (const operation of operations) {
+        consumedA.push(lineA);
+        consumedB.push(lineB);
+        lineA += operation.type === 'insert' ? 0 : 1;
+        lineB += operation.type === 'delete' ? 0 : 1;
+    }
+
+    return ranges.map((range) => {
+        const start = Math.max(0, range.start - contextLines);
+        const end = Math.min(operations.length - 1, range.end + contextLines);
+        const lines = [];
+        let deleted = 0;
+        let inserted = 0;
+        let oldLines = 0;
+        let newLines = 0;
+        for (let index = start; index <= end; index++) {
+            const operation = operations[index];
+            if (operation.type === 'equal') {
+                lines.push({ type: ' ', text: fileA.lines[operation.indexA], lineA: operation.indexA + 1, lineB: operation.indexB + 1 });
+                oldLines++;
+                newLines++;
+            } else if (operation.type === 'delete') {
+                lines.push({ type: '-', text: fileA.lines[operation.indexA], lineA: operation.indexA + 1, lineB: null });
+                oldLines++;
+                deleted++;
+            } else {
+                lines.push({ type: '+', text: fileB.lines[operation.indexB], lineA: null, lineB: operation.indexB + 1 });
+                newLines++;
+                inserted++;
+            }
+        }
+        let kind = 'change';
+        if (deleted === 0) {
+            kind = 'insert';
+        } else if (inserted === 0) {
+            kind = 'delete';
+        }
+        // An empty side starts at the line before the hunk, as in `diff -u`.
+        return {
+            kind,
+            oldStart: oldLines > 0 ? consumedA[start] + 1 : consumedA[start],
+            oldLines,
+            newStart: newLines > 0 ? consumedB[start] + 1 : consumedB[start],
+            newLines,
+            lines,
+        };
+    });
+}
+
+/**
+ * Formats a hunk range for the `@@` header (`start,count`, with `,1` omitted).
+ * @param {number} start - The first line.
+ * @param {number} count - The number of lines.
+ * @returns {string} The range.
+ */
+function _formatRange(start, count) {
+    return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+/**
+ * Formats hunks as unified-diff text.
+ * @param {Array<Object>} hunks - The hunks from buildHunks().
+ * @param {Object} diff - The diffLines() result (for the final-newline markers).
+ * @param {string} [labelA='a'] - The `---` file label.
+ * @param {string} [labelB='b'] - The `+++` file label.
+ * @returns {string} The unified diff (empty if there are no hunks).
+ */
+function formatUnifiedDiff(hunks, diff, labelA = 'a', labelB = 'b') {
+    if (hunks.length === 0) {
+        return '';
+    }
+    const { fileA, fileB } = diff;
+    const output = [`--- ${labelA}`, `+++ ${labelB}`];
+    for (const hunk of hunks) {
+        output.push(`@@ -${_formatRange(hunk.oldStart, hunk.oldLines)} +${_formatRange(hunk.newStart, hunk.newLines)} @@`);
+        for (const line of hunk.lines) {
+            output.push(`${line.type}${line.text}`);
+            const lastOfA = line.lineA === fileA.lines.length && !fileA.endsWithNewline && line.type !== '+';
+            const lastOfB = line.lineB === fileB.lines.length && !fileB.endsWithNewline && line.type !== '-';
+            if (lastOfA || lastOfB) {
+                output.push('\\ No newline at end of file');
+            }
+        }
+    }
+    return `${output.join('\n')}\n`;
+}
+
+/**
+ * Diffs two texts and returns both the structured hunks and the unified diff.
+ * @param {string} textA - The first text.
+ * @param {string} textB - The second text.
+ * @param {Object} [options={}] - diffLines() options plus `context` (default 3) and `labelA`/`labelB`.
+ * @returns {{isMatch: boolean, hunks: Array<Object>, unifiedDiff: string, stats: {inserted: number, deleted: number, hunks: number}, exact: boolean}}
+ *          The comparison result; `exact` is false when the fallback for very different texts was used.
+ */
+function diffText(textA, textB, options = {}) {
+    const diff = diffLines(textA, textB, options);
+    const hunks = buildHunks(diff, options.context !== undefined ? options.context : DEFAULT_CONTEXT_LINES);
+    const stats = { inserted: 0, deleted: 0, hunks: hunks.length };
+    for (const operation of diff.operations) {
+        if (operation.type === 'insert') {
+            stats.inserted++;
+        } else if (operation.type === 'delete') {
+            stats.deleted++;
+        }
+    }
+    return {
+        isMatch: hunks.length === 0,
+        hunks,
+        unifiedDiff: formatUnifiedDiff(hunks, diff, options.labelA, options.labelB),
+        stats,
+        exact: diff.exact,
+    };
+}
+
+module.exports = {
+    diffText,
+    diffLines,
+    buildHunks,
+    formatUnifiedDiff,
+    splitLines,
+};
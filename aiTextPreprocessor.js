@@ -0,0 +1,519 @@
+const crypto = require('crypto');
+
+/**
+ * @module aiTextPreprocessor
+ * @description Configurable preprocessing pipeline applied to ingested content before it is
+ *              sent for sentiment analysis: encoding detection, markup stripping, whitespace and
+ *              Unicode normalization, personal data masking and boilerplate removal.
+ *              Every stage can be toggled individually and reports what it changed.
+ */
+
+/**
+ * Stage defaults used when preprocessing is enabled without further options.
+ * Each stage accepts `false` (disabled), `true` (defaults) or an options object.
+ * @type {Object}
+ */
+const DEFAULT_PREPROCESS_OPTIONS = {
+    decode: true,
+    stripMarkup: { html: true, markdown: true },
+    normalizeWhitespace: { unicodeForm: 'NFKC' },
+    maskPii: { urls: true, emails: true, phones: true, handles: true },
+    removeBoilerplate: { minOccurrences: 3, minLength: 8 },
+};
+
+/**
+ * Placeholders substituted for masked personal data.
+ * @type {Object<string, string>}
+ */
+const PII_PLACEHOLDERS = {
+    emails: '[EMAIL]',
+    urls: '[URL]',
+    phones: '[PHONE]',
+    handles: '[HANDLE]',
+};
+
+/**
+ * Masking patterns, applied in this order (emails before handles so `@domain` is not taken for a handle).
+ * @type {Array<[string, RegExp]>}
+ */
+const PII_PATTERNS = [
+    ['emails', /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g],
+    ['urls', /\b(?:https?:\/\/|www\.)[^\s<>"']+[^\s<>"'.,;:!?)\]]/gi],
+    ['phones', /(?<![\w+(])[+(]?\d[\d\s().-]{6,}\d(?!\w)/g],
+    ['handles', /(?<![\w.@])@[A-Za-z0-9_]{2,30}\b/g],
+];
+
+/**
+ * Numbers the phone pattern finds that are not phone numbers: dates (`2024-01-15`, `15.01.2024`) and
+ * amounts with grouped thousands (`1 250 000.00`).
+ * @type {RegExp[]}
+ */
+const NON_PHONE_PATTERNS = [
+    /(?<!\d)\d{4}[-.]\d{1,2}[-.]\d{1,2}(?!\d)/,
+    /(?<!\d)\d{1,2}[-.]\d{1,2}[-.]\d{4}(?!\d)/,
+    /^\d{1,3}(?:[\s.]\d{3})+[.,]\d{1,2}$/,
+];
+
+/**
+ * Field names holding identifiers (`id`, `order_id`, `customerKey`, ...). Personal data in them is replaced
+ * by a stable pseudonym instead of a placeholder, so that distinct ids stay distinct.
+ * @type {RegExp[]}
+ */
+const IDENTIFIER_FIELD_PATTERNS = [/^(?:.*[\s_.-])?(?:id|key|uuid)$/i, /[a-z](?:Id|ID|Key|Uuid)$/];
+
+/**
+ * Field names holding dates and times (`date`, `created_at`, `orderDate`, ...), which are kept as they are.
+ * @type {RegExp[]}
+ */
+const DATE_FIELD_PATTERNS = [/^(?:.*[\s_.-])?(?:date|time|timestamp|created|updated)(?:[\s_.-]?at)?$/i, /[a-z](?:Date|Time|At)$/];
+
+/**
+ * Lines that start an e-mail/chat signature block; the block is dropped with the boilerplate stage.
+ * @type {RegExp[]}
+ */
+const SIGNATURE_PATTERNS = [
+    /^--\s*$/,
+    /^sent from my [\w\s]+$/i,
+    /^get outlook for \w+/i,
+];
+
+/**
+ * Named HTML entities decoded when stripping markup.
+ * @type {Object<string, string>}
+ */
+const HTML_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: '\'',
+    nbsp: ' ',
+};
+
+/**
+ * Resolves a stage option (`false`, `true` or an object) against its defaults.
+ * @param {boolean|Object|undefined} value - The stage option as given by the caller.
+ * @param {Object|boolean} defaults - The default options of the stage.
+ * @returns {Object|null} The effective stage options, or null if the stage is disabled.
+ */
+function _resolveStage(value, defaults) {
+    if (value === false) {
+        return null;
+    }
+    const base = typeof defaults === 'object' ? defaults : {};
+    return typeof value === 'object' && value !== null ? { ...base, ...value } : { ...base };
+}
+
+/**
+ * Resolves the options of every stage.
+ * @param {boolean|Object} [options=true] - `true` for the defaults, or per-stage options.
+ * @returns {Object<string, Object|null>} The effective options per stage (null when disabled).
+ */
+function resolvePreprocessOptions(options = true) {
+    const given = typeof options === 'object' && options !== null ? options : {};
+    const resolved = {};
+    for (const stage of Object.keys(DEFAULT_PREPROCESS_OPTIONS)) {
+        resolved[stage] = _resolveStage(given[stage], DEFAULT_PREPROCESS_OPTIONS[stage]);
+    }
+    return resolved;
+}
+
+/**
+ * Detects the encoding of raw file content and decodes it, removing any byte order mark.
+ * Detection order: BOM, UTF-16 null-byte pattern, strict UTF-8 validation, Latin-1 fallback.
+ * @param {Buffer} buffer - The raw file content.
+ * @param {Object} [options={}] - Decoding options.
+ * @param {string} [options.encoding] - Forces an encoding (any label supported by TextDecoder).
+ * @returns {{text: string, report: Object}} The decoded text and the stage report
+ *                                            (`{ stage: 'decode', changed, encoding, bom }`).
+ */
+function decodeBuffer(buffer, options = {}) {
+    let encoding = options.encoding || null;
+    let bom = false;
+    let start = 0;
+
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+        encoding = encoding || 'utf-8';
+        bom = true;
+        start = 3;
+    } else if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+        encoding = encoding || 'utf-16le';
+        bom = true;
+        start = 2;
+    } else if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+        encoding = encoding || 'utf-16be';
+        bom = true;
+        start = 2;
+    }
+
+    if (!encoding) {
+        encoding = _detectEncodingWithoutBom(buffer);
+    }
+
+    const text = new TextDecoder(encoding).decode(buffer.subarray(start));
+    return {
+        text,
+        report: { stage: 'decode', changed: bom || encoding !== 'utf-8', encoding, bom },
+    };
+}
+
+/**
+ * Guesses the encoding of content that has no byte order mark.
+ * @param {Buffer} buffer - The raw file content.
+ * @returns {string} 'utf-16le', 'utf-16be', 'utf-8' or 'latin1'.
+ */
+function _detectEncodingWithoutBom(buffer) {
+    const sample = buffer.subarray(0, 4096);
+    let evenNulls = 0;
+    let oddNulls = 0;
+    for (let i = 0; i < sample.length; i++) {
+        if (sample[i] === 0) {
+            if (i % 2 === 0) {
+                evenNulls++;
+            } else {
+                oddNulls++;
+            }
+        }
+    }
+    // Mostly-ASCII UTF-16 text has a null byte in every other position.
+    const half = sample.length / 2;
+    if (half > 0 && oddNulls / half > 0.3 && evenNulls === 0) {
+        return 'utf-16le';
+    }
+    if (half > 0 && evenNulls / half > 0.3 && oddNulls === 0) {
+        return 'utf-16be';
+    }
+
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return 'utf-8';
+    } catch (error) {
+        return 'latin1';
+    }
+}
+
+/**
+ * Decodes HTML character references.
+ * @param {string} text - Text containing entities such as `&amp;` or `&#39;`.
+ * @returns {string} The decoded text.
+ */
+function _decodeHtmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const codePoint = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return Number.isFinite(codePoint) && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+        }
+        const decoded = HTML_ENTITIES[name.toLowerCase()];
+        return decoded !== undefined ? decoded : entity;
+    });
+}
+
+/**
+ * Removes HTML tags (keeping block-level breaks) and Markdown syntax.
+ * @param {string} text - The text to strip.
+ * @param {Object} options - Stage options (`{ html, markdown }`).
+ * @returns {{text: string, report: Object}} The stripped text and the stage report.
+ */
+function _stripMarkup(text, options) {
+    let result = text;
+    let html = false;
+    let markdown = false;
+
+    if (options.html && /<\/?[a-z][\s\S]*?>|&(?:#x?[0-9a-f]+|[a-z]+);/i.test(result)) {
+        const before = result;
+        result = result
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/<(script|style|head)\b[\s\S]*?<\/\1>/gi, '')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(p|div|li|tr|h[1-6]|blockquote|section|article)>/gi, '\n')
+            .replace(/<[^>]+>/g, '');
+        result = _decodeHtmlEntities(result);
+        html = result !== before;
+    }
+
+    if (options.markdown) {
+        const before = result;
+        result = result
+            .replace(/^\s*(```|~~~).*$/gm, '')
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+            .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+            .replace(/^\s{0,3}>\s?/gm, '')
+            .replace(/^\s*(?:[-*+]|\d+[.)])\s+/gm, '')
+            .replace(/^\s*([-*_])(?:\s*\1){2,}\s*$/gm, '')
+            .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '$2')
+            .replace(/(^|[^\w*])([*_])(?=\S)([^*_\n]*?\S)\2(?![\w*])/g, '$1$3')
+            .replace(/`([^`\n]+)`/g, '$1');
+        markdown = result !== before;
+    }
+
+    return {
+        text: result,
+        report: { stage: 'stripMarkup', changed: html || markdown, html, markdown, removedChars: text.length - result.length },
+    };
+}
+
+/**
+ * Normalizes Unicode (NFKC by default), line endings and whitespace.
+ * @param {string} text - The text to normalize.
+ * @param {Object} options - Stage options (`{ unicodeForm }`).
+ * @returns {{text: string, report: Object}} The normalized text and the stage report.
+ */
+function _normalizeWhitespace(text, options) {
+    let result = options.unicodeForm ? text.normalize(options.unicodeForm) : text;
+    result = result
+        .replace(/[\u200B-\u200D\u2060\uFEFF]/g, '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/[^\S\n]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+    return {
+        text: result,
+        report: { stage: 'normalizeWhitespace', changed: result !== text, unicodeForm: options.unicodeForm || null },
+    };
+}
+
+/**
+ * Replaces URLs, e-mail addresses, phone numbers and @handles with placeholders.
+ * @param {string} text - The text to mask.
+ * @param {Object} options - Stage options (`{ urls, emails, phones, handles }`).
+ * @param {boolean} [pseudonymize=false] - Append a hash of the masked value to the placeholder
+ *        (`[EMAIL:3f2a9c1b40de]`), so equal values stay equal and distinct values distinct.
+ * @returns {{text: string, report: Object}} The masked text and the stage report with counts per kind.
+ */
+function _maskPii(text, options, pseudonymize = false) {
+    let result = text;
+    const counts = {};
+    for (const [kind, pattern] of PII_PATTERNS) {
+        if (!options[kind]) {
+            continue;
+        }
+        counts[kind] = 0;
+        result = result.replace(pattern, (match) => {
+            if (kind === 'phones' && !_isPhoneNumber(match)) {
+                return match;
+            }
+            counts[kind]++;
+            if (pseudonymize) {
+                const hash = crypto.createHash('sha256').update(match).digest('hex').slice(0, 12);
+                return `${PII_PLACEHOLDERS[kind].slice(0, -1)}:${hash}]`;
+            }
+            return PII_PLACEHOLDERS[kind];
+        });
+    }
+    const changed = Object.values(counts).some(count => count > 0);
+    return { text: result, report: { stage: 'maskPii', changed, counts } };
+}
+
+/**
+ * Tells phone numbers from other numbers the phone pattern finds, so that dates, amounts and plain digit
+ * runs (order numbers, `20240115`) survive: a phone number has 8 to 15 digits and an international `+`,
+ * an area code in parentheses or digit groups separated by spaces, dots or dashes.
+ * @param {string} match - A match of the phone pattern.
+ * @returns {boolean} True if the match is a phone number.
+ */
+function _isPhoneNumber(match) {
+    const digits = match.replace(/\D/g, '').length;
+    if (digits < 8 || digits > 15 || NON_PHONE_PATTERNS.some(pattern => pattern.test(match))) {
+        return false;
+    }
+    return match.startsWith('+') || /\(\d{1,5}\)/.test(match) || /\d[\s.-]+\d/.test(match);
+}
+
+/**
+ * Drops signature blocks and lines listed as repeated boilerplate.
+ * @param {string} text - The text to clean.
+ * @param {Set<string>} [boilerplateLines=new Set()] - Normalized lines known to repeat across records.
+ * @returns {{text: string, report: Object}} The cleaned text and the stage report.
+ */
+function _removeBoilerplate(text, boilerplateLines = new Set()) {
+    const kept = [];
+    const removed = [];
+    const lines = text.split('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (SIGNATURE_PATTERNS.some(pattern => pattern.test(line.trim()))) {
+            removed.push(...lines.slice(i));
+            break;
+        }
+        if (boilerplateLines.has(_boilerplateKey(line))) {
+            removed.push(line);
+        } else {
+            kept.push(line);
+        }
+    }
+
+    return {
+        text: removed.length > 0 ? kept.join('\n').trim() : text,
+        report: { stage: 'removeBoilerplate', changed: removed.length > 0, removedLines: removed.length },
+    };
+}
+
+/**
+ * Normalizes a line for boilerplate comparison.
+ * @param {string} line - The line.
+ * @returns {string} The comparison key.
+ */
+function _boilerplateKey(line) {
+    return line.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Finds lines repeated across many texts (footers, disclaimers, greetings templates).
+ * @param {string[]} texts - The texts to inspect.
+ * @param {Object} options - Stage options (`{ minOccurrences, minLength }`).
+ * @returns {Set<string>} The normalized boilerplate lines.
+ */
+function findBoilerplateLines(texts, options) {
+    const occurrences = new Map();
+    for (const text of texts) {
+        const seen = new Set(text.split('\n').map(_boilerplateKey).filter(key => key.length >= options.minLength));
+        for (const key of seen) {
+            occurrences.set(key, (occurrences.get(key) || 0) + 1);
+        }
+    }
+
+    const boilerplate = new Set();
+    for (const [key, count] of occurrences) {
+        if (count >= options.minOccurrences) {
+            boilerplate.add(key);
+        }
+    }
+    return boilerplate;
+}
+
+/**
+ * Runs the text stages of the pipeline (all but decoding) on a single text.
+ * @param {string} text - The text to preprocess.
+ * @param {boolean|Object} [options=true] - Stage options (see DEFAULT_PREPROCESS_OPTIONS).
+ * @param {Set<string>} [boilerplateLines] - Lines known to repeat across records (see findBoilerplateLines).
+ * @returns {{text: string, report: Object[]}} The processed text and one report entry per enabled stage.
+ */
+function preprocessText(text, options = true, boilerplateLines) {
+    const stages = resolvePreprocessOptions(options);
+    const report = [];
+    let result = text;
+
+    if (stages.stripMarkup) {
+        const stripped = _stripMarkup(result, stages.stripMarkup);
+        result = stripped.text;
+        report.push(stripped.report);
+    }
+    if (stages.normalizeWhitespace) {
+        const normalized = _normalizeWhitespace(result, stages.normalizeWhitespace);
+        result = normalized.text;
+        report.push(normalized.report);
+    }
+    if (stages.removeBoilerplate) {
+        const cleaned = _removeBoilerplate(result, boilerplateLines);
+        result = cleaned.text;
+        report.push(cleaned.report);
+    }
+    if (stages.maskPii) {
+        const masked = _maskPii(result, stages.maskPii);
+        result = masked.text;
+        report.push(masked.report);
+    }
+
+    return { text: result, report };
+}
+
+/**
+ * Preprocesses one string value of a record's fields. Date fields are kept as they are and identifier
+ * fields only have personal data pseudonymized; other values are stripped of markup, normalized and
+ * masked. Boilerplate removal is a text stage and does not apply to fields.
+ * @param {string} value - The value.
+ * @param {Object<string, Object|null>} stages - The resolved stage options (see resolvePreprocessOptions).
+ * @param {string} [name] - The name of the field holding the value.
+ * @returns {string} The processed value.
+ */
+function _preprocessFieldValue(value, stages, name) {
+    const isField = (patterns) => typeof name === 'string' && patterns.some(pattern => pattern.test(name));
+    if (isField(DATE_FIELD_PATTERNS)) {
+        return value;
+    }
+    if (isField(IDENTIFIER_FIELD_PATTERNS)) {
+        return stages.maskPii ? _maskPii(value, stages.maskPii, true).text : value;
+    }
+    let result = value;
+    if (stages.stripMarkup) {
+        result = _stripMarkup(result, stages.stripMarkup).text;
+    }
+    if (stages.normalizeWhitespace) {
+        result = _normalizeWhitespace(result, stages.normalizeWhitespace).text;
+    }
+    if (stages.maskPii) {
+        result = _maskPii(result, stages.maskPii).text;
+    }
+    return result;
+}
+
+/**
+ * Preprocesses every string of a record's fields, nested objects and arrays included (see _preprocessFieldValue).
+ * @param {*} value - The fields (or one of their values).
+ * @param {Object<string, Object|null>} stages - The resolved stage options (see resolvePreprocessOptions).
+ * @param {string} [name] - The name of the field holding the value.
+ * @returns {*} A processed copy.
+ */
+function _preprocessFields(value, stages, name) {
+    if (typeof value === 'string') {
+        return _preprocessFieldValue(value, stages, name);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => _preprocessFields(item, stages, name));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, _preprocessFields(item, stages, key)]));
+    }
+    return value;
+}
+
+/**
+ * Preprocesses a list of records produced by the integrator. Repeated boilerplate is detected
+ * across all records first; each record then gets its cleaned `text` and a `preprocessing`
+ * array describing what every stage changed. Personal data is also masked in the string values of
+ * `fields` (dates are kept, identifiers pseudonymized) and pseudonymized in `id`, so neither keeps what was
+ * masked in the text.
+ * @param {Object[]} records - The records (`{ text, ... }`).
+ * @param {boolean|Object} [options=true] - Stage options (see DEFAULT_PREPROCESS_OPTIONS).
+ * @param {Object[]} [initialReport=[]] - Report entries to prepend to every record (e.g. the decode stage).
+ * @returns {{records: Object[], summary: Object<string, Object>}} The processed records and, per stage,
+ *                                                                 the number of records it changed.
+ */
+function preprocessRecords(records, options = true, initialReport = []) {
+    const stages = resolvePreprocessOptions(options);
+    let boilerplateLines = new Set();
+    if (stages.removeBoilerplate && records.length >= stages.removeBoilerplate.minOccurrences) {
+        // Compare lines the way they will look once markup and whitespace have been handled.
+        const prepared = records.map(record => preprocessText(record.text, { ...options, removeBoilerplate: false, maskPii: false }).text);
+        boilerplateLines = findBoilerplateLines(prepared, stages.removeBoilerplate);
+    }
+
+    const summary = {};
+    const processed = records.map((record) => {
+        const { text, report } = preprocessText(record.text, options, boilerplateLines);
+        const preprocessing = [...initialReport, ...report];
+        for (const entry of preprocessing) {
+            summary[entry.stage] = summary[entry.stage] || { changedRecords: 0 };
+            if (entry.changed) {
+                summary[entry.stage].changedRecords++;
+            }
+        }
+        const id = stages.maskPii && typeof record.id === 'string' ? _maskPii(record.id, stages.maskPii, true).text : record.id;
+        const fields = record.fields ? _preprocessFields(record.fields, stages) : record.fields;
+        return { ...record, id, text, fields, preprocessing };
+    });
+
+    return { records: processed, summary };
+}
+
+module.exports = {
+    DEFAULT_PREPROCESS_OPTIONS,
+    resolvePreprocessOptions,
+    decodeBuffer,
+    preprocessText,
+    preprocessRecords,
+    findBoilerplateLines,
+};
@@ -0,0 +1,718 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const crypto = require('crypto');
+const logger = require('../aiLogger');
+const AIFileReconciliationService = require('../aiFileReconciliation');
+const { reconcileAssets, initServiceConfigs } = require('../aiAssetReconciler');
+const { summarizeServiceDetails } = require('../aiAssetMonitor');
+const { describeStreamProgress } = require('../aiJsonStreamComparator');
+const { reconcilePlan } = require('../aiPlanReconcile');
+const { BatchAnalysisJob, JOB_STATUSES } = require('../aiBatchJobRunner');
+
+/**
+ * @module sentimentsight
+ * @description Command-line interface for the SentimentSight reconciliation tools:
+ *
+ *              sentimentsight check-assets              Reconcile the AI service configuration (reconcileAssets).
+ *              sentimentsight reconcile <a> <b>         Compare two files (AIFileReconciliationService.reconcileFiles).
+ *              sentimentsight reconcile-dir <a> <b>     Compare every file of two directories.
+ *              sentimentsight manifest <dir> <file>     Write a checksum manifest of a directory.
+ *              sentimentsight verify-manifest <dir> <file>  Check a directory against a saved manifest.
+ *              sentimentsight agreement <a> <b>         Compare two sets of sentiment results (labels, kappa, drift).
+ *              sentimentsight plan [<plan>] [<dir>]     Check a directory against its declared layout (README tree).
+ *              sentimentsight analyze <file>            Analyze every record of a file as a resumable batch job.
+ *
+ *              Results are printed as text, JSON or JUnit XML; the exit code tells CI what happened.
+ */
+
+/**
+ * Process exit codes. With several results the most severe one wins (error > missing > mismatch).
+ * @type {{MATCH: number, MISMATCH: number, MISSING: number, ERROR: number, USAGE: number}}
+ */
+const EXIT_CODES = {
+    MATCH: 0,
+    MISMATCH: 1,
+    MISSING: 2,
+    ERROR: 3,
+    USAGE: 4,
+};
+
+/**
+ * Result statuses of a single check, ordered by severity, with their exit codes.
+ * @type {Object<string, number>}
+ */
+const STATUS_EXIT_CODES = {
+    pass: EXIT_CODES.MATCH,
+    fail: EXIT_CODES.MISMATCH,
+    missing: EXIT_CODES.MISSING,
+    error: EXIT_CODES.ERROR,
+};
+
+const OUTPUT_FORMATS = ['human', 'json', 'junit'];
+
+const USAGE = `Usage: sentimentsight <command> [options]
+
+Commands:
+  check-assets              Check AI service API keys, endpoints, model versions and quotas
+  reconcile <a> <b>         Compare two files (text, CSV, JSON or JSON Lines)
+  reconcile-dir <a> <b>     Compare all files of two directories
+  manifest <dir> <file>     Write a checksum manifest (path, size, hash) of a directory
+  verify-manifest <dir> <file>
+                            Check that a directory still matches a saved manifest
+  agreement <a> <b>         Compare two sentiment result sets for the same inputs: confusion
+                            matrix, accuracy, Cohen's kappa, score drift, top disagreements
+  plan [<plan>] [<dir>]     Check a directory against the layout declared in a plan (the tree
+                            block of README.md by default, or a JSON/YAML plan file): missing,
+                            unlisted and stub files
+  analyze <file>            Analyze the sentiment of every record of a file as a resumable
+                            batch job; Ctrl+C pauses it, running the command again resumes it
+
+Options:
+  -f, --format <format>     Output format: human (default), json or junit
+  -v, --verbose             Report every difference instead of the first few; show debug logs
+  --checksum-algorithm <a>  Hash algorithm for file checksums (default: sha256)
+  --ignore <glob>           Skip matching files or directories (repeatable; directory commands, plan)
+  --concurrency <n>         Files compared or hashed, or records analyzed, at once (default: 4)
+  --reference <a|b>         agreement: the result set treated as ground truth (default: a)
+  --min-accuracy <n>        agreement: lowest accuracy (0-1) that still passes (default: 1)
+  --html <file>             agreement: also write a self-contained HTML report
+  --register                plan: add unlisted files to the plan file
+  --scaffold                plan: create missing directories and empty files
+  --dry-run                 plan: report what --register and --scaffold would change
+  --job <id>                analyze: the job id (default: derived from the input path)
+  --cancel                  analyze: cancel the job instead of running it
+  --config <file>           check-assets, analyze: the AI service configuration file (aiServiceConfigs.json)
+                            other commands: a JSON file of reconciliation service options
+                            (logPath, auditLogPath, checksumAlgorithm, verbose, jsonDiff, csv);
+                            flags take precedence
+  -h, --help                Show this help
+
+Exit codes: 0 match, 1 mismatch, 2 missing file, 3 error, 4 invalid usage`;
+
+/**
+ * Creates an error for invalid command-line usage.
+ * @param {string} message - What is wrong.
+ * @returns {Error} The error, flagged with `usage: true`.
+ */
+function _usageError(message) {
+    return Object.assign(new Error(message), { usage: true });
+}
+
+/**
+ * Parses the command-line arguments.
+ * @param {string[]} argv - The arguments after the script name.
+ * @returns {{command: (string|null), positionals: string[], options: Object}} The parsed arguments.
+ * @throws {Error} With `usage: true` for unknown options or missing option values.
+ */
+function parseArgs(argv) {
+    const options = {
+        format: 'human',
+        verbose: false,
+        checksumAlgorithm: undefined,
+        config: undefined,
+        ignore: [],
+        concurrency: undefined,
+        reference: undefined,
+        minAccuracy: undefined,
+        html: undefined,
+        register: false,
+        scaffold: false,
+        dryRun: false,
+        job: undefined,
+        cancel: false,
+        help: false,
+    };
+    const positionals = [];
+    const valueOptions = {
+        '-f': 'format',
+        '--format': 'format',
+        '--checksum-algorithm': 'checksumAlgorithm',
+        '--config': 'config',
+        '--ignore': 'ignore',
+        '--concurrency': 'concurrency',
+        '--reference': 'reference',
+        '--min-accuracy': 'minAccuracy',
+        '--html': 'html',
+        '--job': 'job',
+    };
+    const booleanOptions = {
+        '--register': 'register',
+        '--scaffold': 'scaffold',
+        '--dry-run': 'dryRun',
+        '--cancel': 'cancel',
+    };
+
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg, undefined];
+        if (flag === '-h' || flag === '--help') {
+            options.help = true;
+        } else if (flag === '-v' || flag === '--verbose') {
+            options.verbose = true;
+        } else if (booleanOptions[arg]) {
+            options[booleanOptions[arg]] = true;
+        } else if (valueOptions[flag]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++index];
+            if (value === undefined || value === '') {
+                throw _usageError(`Option '${flag}' needs a value.`);
+            }
+            if (Array.isArray(options[valueOptions[flag]])) {
+                options[valueOptions[flag]].push(value);
+            } else {
+                options[valueOptions[flag]] = value;
+            }
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw _usageError(`Unknown option '${arg}'.`);
+        } else {
+            positionals.push(arg);
+        }
+    }
+
+    if (!OUTPUT_FORMATS.includes(options.format)) {
+        throw _usageError(`Unknown format '${options.format}'; expected one of ${OUTPUT_FORMATS.join(', ')}.`);
+    }
+    if (options.concurrency !== undefined) {
+        options.concurrency = Number(options.concurrency);
+        if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+            throw _usageError('--concurrency must be a positive integer.');
+        }
+    }
+    if (options.reference !== undefined && options.reference !== 'a' && options.reference !== 'b') {
+        throw _usageError('--reference must be a or b.');
+    }
+    if (options.minAccuracy !== undefined) {
+        options.minAccuracy = Number(options.minAccuracy);
+        if (Number.isNaN(options.minAccuracy) || options.minAccuracy < 0 || options.minAccuracy > 1) {
+            throw _usageError('--min-accuracy must be a number from 0 to 1.');
+        }
+    }
+    if (options.checksumAlgorithm && !crypto.getHashes().includes(options.checksumAlgorithm.toLowerCase())) {
+        throw _usageError(`Unsupported checksum algorithm '${options.checksumAlgorithm}'.`);
+    }
+    return { command: positionals.shift() || null, positionals, options };
+}
+
+/**
+ * Sends all log output to stderr so that JSON and JUnit output on stdout stays machine-readable.
+ * @param {boolean} verbose - Whether debug logs are shown.
+ */
+function _configureLogging(verbose) {
+    logger.level = verbose ? 'debug' : 'warn';
+    const allLevels = Object.fromEntries(Object.keys(logger.levels).map((level) => [level, true]));
+    for (const transport of logger.transports) {
+        transport.stderrLevels = allLevels;
+    }
+}
+
+/**
+ * Builds the AIFileReconciliationService options from `--config` and the command-line flags.
+ * @param {Object} options - The parsed options.
+ * @returns {Object} The constructor options.
+ * @throws {Error} If the options file cannot be read or parsed.
+ */
+function _loadServiceOptions(options) {
+    let serviceOptions = {};
+    if (options.config) {
+        try {
+            serviceOptions = JSON.parse(fs.readFileSync(options.config, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to load reconciliation options from ${options.config}: ${error.message}`, { cause: error });
+        }
+    }
+    if (options.checksumAlgorithm) {
+        serviceOptions.checksumAlgorithm = options.checksumAlgorithm.toLowerCase();
+    }
+    if (options.verbose) {
+        serviceOptions.verbose = true;
+    }
+    return serviceOptions;
+}
+
+/**
+ * Converts a reconcileFiles() result into a CLI result case.
+ * @param {string} name - The case name.
+ * @param {Object} result - The reconcileFiles() result.
+ * @param {number} durationMs - How long the comparison took.
+ * @returns {Object} The case: `{ name, status, type, message, details, durationMs, result }`.
+ */
+function _fileResultToCase(name, result, durationMs) {
+    let status = 'fail';
+    if (result.status === 'MATCH') {
+        status = 'pass';
+    } else if (result.status === 'FILE_NOT_FOUND') {
+        status = 'missing';
+    } else if (result.status === 'ERROR') {
+        status = 'error';
+    }
+    return { name, status, type: result.status, message: result.message, details: result.details || [], durationMs, result };
+}
+
+/**
+ * Runs `check-assets`.
+ * @param {string[]} positionals - Unused.
+ * @param {Object} options - The parsed options.
+ * @returns {Promise<Array<Object>>} One case per configured service.
+ */
+async function runCheckAssets(positionals, options) {
+    if (positionals.length > 0) {
+        throw _usageError('check-assets takes no arguments.');
+    }
+    if (options.config && !fs.existsSync(options.config)) {
+        return [{ name: options.config, status: 'missing', type: 'CONFIG_NOT_FOUND', message: `Configuration file not found: ${options.config}`, details: [] }];
+    }
+
+    const loadResult = initServiceConfigs(options.config ? { configPath: options.config } : {});
+    const configErrors = loadResult.errors.map((error) => `${error.path}: ${error.message}`);
+    const startedAt = Date.now();
+    const result = await reconcileAssets();
+    const durationMs = Date.now() - startedAt;
+
+    if (result.details.message) {
+        const missing = loadResult.errors.some((error) => /ENOENT|no such file/i.test(error.message));
+        return [{ name: 'AI service configuration', status: missing ? 'missing' : 'error', type: 'NO_CONFIGURATION', message: result.details.message, details: configErrors }];
+    }
+
+    const cases = Object.entries(result.details).map(([service, details]) => {
+        const summary = summarizeServiceDetails(details);
+        const failed = summary.failedChecks.length > 0;
+        const messages = [...summary.reasons];
+        if (summary.apiKeyValid === false) {
+            messages.push('api_key: missing or invalid');
+        }
+        if (summary.failedChecks.includes('model_version')) {
+            messages.push('model_version: not set');
+        }
+        return {
+            name: service,
+            status: failed ? 'fail' : 'pass',
+            type: failed ? 'UNHEALTHY' : 'HEALTHY',
+            message: failed ? `Failed checks: ${summary.failedChecks.join(', ')}` : 'All checks passed.',
+            details: messages,
+            durationMs,
+            result: details,
+        };
+    });
+    if (configErrors.length > 0) {
+        // Invalid services are left out of the reconciliation; report them so they are not silently skipped.
+        cases.push({ name: 'AI service configuration', status: 'error', type: 'INVALID_CONFIGURATION', message: 'The configuration has errors.', details: configErrors });
+    }
+    return cases;
+}
+
+/**
+ * Runs `reconcile <a> <b>`.
+ * @param {string[]} positionals - The two file paths.
+ * @param {Object} options - The parsed options.
+ * @returns {Promise<Array<Object>>} A single case.
+ */
+async function runReconcile(positionals, options) {
+    if (positionals.length !== 2) {
+        throw _usageError('reconcile needs exactly two files.');
+    }
+    const service = new AIFileReconciliationService(_loadServiceOptions(options));
+    const [fileA, fileB] = positionals;
+    const startedAt = Date.now();
+    // Large JSON and JSON Lines files are compared as streams; show their progress with --verbose.
+    const result = await service.reconcileFiles(fileA, fileB, {
+        onProgress: (progress) => logger.info(`[CLI] Comparing ${fileA} <> ${fileB}: ${describeStreamProgress(progress)}`),
+    });
+    return [_fileResultToCase(`${fileA} <> ${fileB}`, result, Date.now() - startedAt)];
+}
+
+/**
+ * Runs `reconcile-dir <a> <b>` (AIFileReconciliationService.reconcileDirectories): files present in only
+ * one directory are reported as missing, files present in both are compared by content.
+ * @param {string[]} positionals - The two directory paths.
+ * @param {Object} options - The parsed options.
+ * @returns {Promise<Array<Object>>} One case per file.
+ */
+async function runReconcileDir(positionals, options) {
+    if (positionals.length !== 2) {
+        throw _usageError('reconcile-dir needs exactly two directories.');
+    }
+    const [dirA, dirB] = positionals;
+    const service = new AIFileReconciliationService(_loadServiceOptions(options));
+    const startedAt = Date.now();
+    const result = await service.reconcileDirectories(dirA, dirB, { ignore: options.ignore, concurrency: options.concurrency });
+    if (result.status === 'DIRECTORY_NOT_FOUND' || !result.stats) {
+        return [{ name: `${dirA} <> ${dirB}`, status: result.status === 'DIRECTORY_NOT_FOUND' ? 'missing' : 'error', type: result.status, message: result.message, details: [] }];
+    }
+
+    const cases = [
+        ...result.removed.map((relativePath) => ({ name: relativePath, status: 'missing', type: 'FILE_NOT_FOUND', message: `Missing from '${dirB}'.`, details: [] })),
+        ...result.added.map((relativePath) => ({ name: relativePath, status: 'missing', type: 'FILE_NOT_FOUND', message: `Missing from '${dirA}'.`, details: [] })),
+        ...result.unchanged.map((relativePath) => ({ name: relativePath, status: 'pass', type: 'MATCH', message: 'Unchanged.', details: [] })),
+        ...[...result.modified, ...result.errors].map((entry) => _fileResultToCase(entry.path, entry.result, 0)),
+    ];
+    const durationMs = (Date.now() - startedAt) / Math.max(1, cases.length);
+    return cases.sort((a, b) => a.name.localeCompare(b.name)).map((resultCase) => ({ ...resultCase, durationMs }));
+}
+
+/**
+ * Runs `manifest <dir> <file>`.
+ * @param {string[]} positionals - The directory and the manifest path.
+ * @param {Object} options - The parsed options.
+ * @returns {Promise<Array<Object>>} A single case.
+ */
+async function runManifest(positionals, options) {
+    if (positionals.length !== 2) {
+        throw _usageError('manifest needs a directory and a manifest file.');
+    }
+    const [directory, manifestPath] = positionals;
+    if (!fs.existsSync(directory)) {
+        return [{ name: directory, status: 'missing', type: 'DIRECTORY_NOT_FOUND', message: `Directory not found: ${directory}`, details: [] }];
+    }
+    const service = new AIFileReconciliationService(_loadServiceOptions(options));
+    const startedAt = Date.now();
+    const manifest = await service.writeManifest(directory, manifestPath, { ignore: options.ignore, concurrency: options.concurrency });
+    return [{
+        name: directory,
+        status: 'pass',
+        type: 'MANIFEST_WRITTEN',
+        message: `Wrote ${manifest.fileCount} files (${manifest.totalBytes} bytes, ${manifest.algorithm}) to ${manifestPath}.`,
+        details: [],
+        durationMs: Date.now() - startedAt,
+    }];
+}
+
+/**
+ * Runs `verify-manifest <dir> <file>`: one case per file of the manifest or the directory.
+ * @param {string[]} positionals - The directory and the manifest path.
+ * @param {Object} options - The parsed options.
+ * @returns {Promise<Array<Object>>} The cases.
+ */
+async function runVerifyManifest(positionals, options) {
+    if (positionals.length !== 2) {
+        throw _usageError('verify-manifest needs a directory and a manifest file.');
+    }
+    const [directory, manifestPath] = positionals;
+    const service = new AIFileReconciliationService(_loadServiceOptions(options));
+    const result = await service.verifyManifest(directory, manifestPath, {
+        ignore: options.ignore.length > 0 ? options.ignore : undefined,
+        concurrency: options.concurrency,
+    });
+    if (!result.stats) {
+        return [_fileResultToCase(`${directory} <> ${manifestPath}`, result, 0)];
+    }
+    return [
+        ...result.removed.map((relativePath) => ({ name: relativePath, status: 'missing', type: 'FILE_NOT_FOUND', message: 'Listed in the manifest but missing from the directory.', details: [] })),
+        ...result.added.map((relativePath) => ({ name: relativePath, status: 'fail', type: 'UNLISTED_FILE', message: 'Not listed in the manifest.', details: [] })),
+        ...result.modified.map((entry) => ({
+            name: entry.path,
+            status: 'fail',
+            type: 'MISMATCH_CONTENT',
+            message: 'Changed since the manifest was written.',
+            details: [`expected size ${entry.expected.size}, hash ${entry.expected.hash}`, `actual size ${entry.actual.size}, hash ${entry.actual.hash || '(not hashed: size differs)'}`],
+        })),
+        ...result.unchanged.map((relativePath) => ({ name: relativePath, status: 'pass', type: 'MATCH', message: 'Unchanged.', details: [] })),
+    ].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Runs `agreement <a> <b>` (AIFileReconciliationService.reconcileSentimentResults).
+ * @param {string[]} positionals - The two result set files.
+ * @param {Object} options - The parsed options.
+ * @returns {Promise<Array<Object>>} A single case; its `result.report` holds the full agreement report.
+ */
+async function runAgreement(positionals, options) {
+    if (positionals.length !== 2) {
+        throw _usageError('agreement needs exactly two result set files.');
+    }
+    const [fileA, fileB] = positionals;
+    const service = new AIFileReconciliationService(_loadServiceOptions(options));
+    const startedAt = Date.now();
+    const result = await service.reconcileSentimentResults(fileA, fileB, {
+        reference: options.reference,
+        minAccuracy: options.minAccuracy,
+        htmlReportPath: options.html,
+    });
+    return [_fileResultToCase(`${fileA} <> ${fileB}`, result, Date.now() - startedAt)];
+}
+
+/**
+ * Runs `plan [<plan>] [<dir>]` (aiPlanReconcile.reconcilePlan): one case per missing, unlisted or stub
+ * file and per declared entry present.
+ * @param {string[]} positionals - The plan file (default README.md) and the directory (default: the plan's).
+ * @param {Object} options - The parsed options.
+ * @returns {Promise<Array<Object>>} The cases.
+ */
+async function runPlan(positionals, options) {
+    if (positionals.length > 2) {
+        throw _usageError('plan takes at most a plan file and a directory.');
+    }
+    const [planPath = 'README.md', rootDir] = positionals;
+    const result = await reconcilePlan({
+        planPath,
+        rootDir,
+        ignore: options.ignore,
+        register: options.register,
+        scaffold: options.scaffold,
+        dryRun: options.dryRun,
+    });
+    if (!result.stats) {
+        return [_fileResultToCase(planPath, result, 0)];
+    }
+    const stubs = new Map(result.stubs.map((stub) => [stub.path, stub]));
+    const stubCase = (relativePath) => {
+        const stub = stubs.get(relativePath);
+        stubs.delete(relativePath);
+        return { name: relativePath, status: 'fail', type: 'STUB_FILE', message: `${stub.reason === 'empty' ? 'Empty' : 'Placeholder'} file (${stub.size} bytes).`, details: [] };
+    };
+    const cases = [
+        ...result.missing.map((entry) => ({
+            name: entry.path,
+            status: 'missing',
+            type: 'DECLARED_NOT_FOUND',
+            message: `Declared in the plan${entry.line ? ` (line ${entry.line})` : ''} but ${entry.reason}.`,
+            details: entry.description ? [entry.description] : [],
+        })),
+        ...result.scaffolded.map((relativePath) => ({ name: relativePath, status: 'pass', type: 'SCAFFOLDED', message: options.dryRun ? 'Missing; would be created empty.' : 'Was missing; created empty.', details: [] })),
+        ...result.unlisted.map((relativePath) => (stubs.has(relativePath)
+            ? { ...stubCase(relativePath), details: ['Not listed in the plan.'] }
+            : { name: relativePath, status: 'fail', type: 'UNLISTED_FILE', message: 'Not listed in the plan.', details: [] })),
+        ...result.registered.map((relativePath) => (stubs.has(relativePath)
+            ? stubCase(relativePath)
+            : { name: relativePath, status: 'pass', type: 'REGISTERED', message: options.dryRun ? 'Not listed; would be added to the plan.' : 'Was not listed; added to the plan.', details: [] })),
+        ...result.present.filter((relativePath) => !stubs.has(relativePath))
+            .map((relativePath) => ({ name: relativePath, status: 'pass', type: 'MATCH', message: 'Present.', details: [] })),
+    ];
+    cases.push(...[...stubs.keys()].map(stubCase));
+    return cases.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Runs `analyze <file>` (aiBatchJobRunner.BatchAnalysisJob). SIGINT and SIGTERM pause the job after the records in
+ * flight; running the same command again resumes it.
+ * @param {string[]} positionals - The input file.
+ * @param {Object} options - The parsed options.
+ * @returns {Promise<Array<Object>>} A single case: pass once every record is analyzed, fail if records were
+ *          dead-lettered or the job stopped early.
+ */
+async function runAnalyze(positionals, options) {
+    if (positionals.length !== 1) {
+        throw _usageError('analyze needs exactly one input file.');
+    }
+    const [inputPath] = positionals;
+    if (!fs.existsSync(inputPath)) {
+        return [{ name: inputPath, status: 'missing', type: 'FILE_NOT_FOUND', message: `Input file not found: ${inputPath}`, details: [] }];
+    }
+    const loadResult = initServiceConfigs(options.config ? { configPath: options.config } : {});
+    for (const error of loadResult.errors) {
+        logger.warn(`[CLI] AI service configuration: ${error.path}: ${error.message}`);
+    }
+
+    const job = new BatchAnalysisJob({ inputPath, jobId: options.job, concurrency: options.concurrency });
+    const startedAt = Date.now();
+    let summary;
+    if (options.cancel) {
+        summary = await job.cancel('cancelled from the command line');
+    } else {
+        const pause = () => {
+            process.stderr.write(`Pausing job '${job.jobId}' after the records in flight...\n`);
+            job.pause('interrupted');
+        };
+        process.once('SIGINT', pause);
+        process.once('SIGTERM', pause);
+        try {
+            summary = await job.run();
+        } finally {
+            process.removeListener('SIGINT', pause);
+            process.removeListener('SIGTERM', pause);
+        }
+    }
+
+    const isDone = summary.status === JOB_STATUSES.COMPLETED && summary.deadLettered === 0;
+    const details = [`results: ${summary.resultsPath}`];
+    if (summary.deadLettered > 0) {
+        details.push(`dead letters: ${summary.deadLetterPath}`);
+    }
+    if (summary.status === JOB_STATUSES.PAUSED) {
+        details.push(`resume with: sentimentsight analyze ${inputPath}${options.job ? ` --job ${options.job}` : ''}`);
+    }
+    return [{
+        name: `${inputPath} (job ${summary.jobId})`,
+        status: isDone ? 'pass' : 'fail',
+        type: `JOB_${summary.status.toUpperCase()}`,
+        message: `Job ${summary.status}${summary.reason ? ` (${summary.reason})` : ''}: ${summary.succeeded} of ${summary.total} records analyzed, `
+            + `${summary.deadLettered} dead-lettered, ${summary.remaining} remaining.`,
+        details,
+        durationMs: Date.now() - startedAt,
+        result: summary,
+    }];
+}
+
+const COMMANDS = {
+    'check-assets': runCheckAssets,
+    reconcile: runReconcile,
+    'reconcile-dir': runReconcileDir,
+    manifest: runManifest,
+    'verify-manifest': runVerifyManifest,
+    agreement: runAgreement,
+    plan: runPlan,
+    analyze: runAnalyze,
+};
+
+/**
+ * Computes the exit code of a set of cases (the most severe status wins).
+ * @param {Array<Object>} cases - The result cases.
+ * @returns {number} The exit code.
+ */
+function getExitCode(cases) {
+    return cases.reduce((code, resultCase) => Math.max(code, STATUS_EXIT_CODES[resultCase.status]), EXIT_CODES.MATCH);
+}
+
+/**
+ * Renders a detail entry (string or structured difference) as one line of text.
+ * @param {*} detail - The detail.
+ * @returns {string} The text.
+ */
+function _detailToText(detail) {
+    return typeof detail === 'string' ? detail : JSON.stringify(detail);
+}
+
+/**
+ * Formats cases for humans.
+ * @param {string} command - The command that ran.
+ * @param {Array<Object>} cases - The result cases.
+ * @param {boolean} verbose - Whether details of passing cases are shown too.
+ * @returns {string} The report.
+ */
+function formatHuman(command, cases, verbose) {
+    const labels = { pass: 'PASS', fail: 'FAIL', missing: 'MISSING', error: 'ERROR' };
+    const lines = [];
+    for (const resultCase of cases) {
+        lines.push(`[${labels[resultCase.status]}] ${resultCase.name}: ${resultCase.message}`);
+        if (resultCase.status !== 'pass' || verbose) {
+            for (const detail of resultCase.details) {
+                lines.push(`    ${_detailToText(detail)}`);
+            }
+            if (verbose && resultCase.result && resultCase.result.unifiedDiff) {
+                lines.push(...resultCase.result.unifiedDiff.trimEnd().split('\n').map((line) => `    ${line}`));
+            }
+        }
+    }
+    const counts = { pass: 0, fail: 0, missing: 0, error: 0 };
+    cases.forEach((resultCase) => counts[resultCase.status]++);
+    lines.push('');
+    lines.push(`${command}: ${cases.length} checked, ${counts.pass} passed, ${counts.fail} failed, ${counts.missing} missing, ${counts.error} errors`);
+    return lines.join('\n');
+}
+
+/**
+ * Formats cases as JSON.
+ * @param {string} command - The command that ran.
+ * @param {Array<Object>} cases - The result cases.
+ * @returns {string} The JSON document.
+ */
+function formatJson(command, cases) {
+    return JSON.stringify({ command, exitCode: getExitCode(cases), results: cases }, null, 2);
+}
+
+/**
+ * Escapes text for XML attributes and content, dropping characters XML cannot represent.
+ * @param {*} value - The value.
+ * @returns {string} The escaped text.
+ */
+function _escapeXml(value) {
+    return String(value)
+        .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Formats cases as a JUnit XML report (one test case per check).
+ * @param {string} command - The command that ran.
+ * @param {Array<Object>} cases - The result cases.
+ * @returns {string} The XML document.
+ */
+function formatJunit(command, cases) {
+    const suiteName = `sentimentsight.${command}`;
+    const failures = cases.filter((resultCase) => resultCase.status === 'fail' || resultCase.status === 'missing').length;
+    const errors = cases.filter((resultCase) => resultCase.status === 'error').length;
+    const totalSeconds = cases.reduce((sum, resultCase) => sum + (resultCase.durationMs || 0), 0) / 1000;
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="sentimentsight" tests="${cases.length}" failures="${failures}" errors="${errors}" time="${totalSeconds}">`,
+        `  <testsuite name="${_escapeXml(suiteName)}" tests="${cases.length}" failures="${failures}" errors="${errors}" skipped="0" time="${totalSeconds}" timestamp="${new Date().toISOString()}">`,
+    ];
+    for (const resultCase of cases) {
+        const open = `    <testcase classname="${_escapeXml(suiteName)}" name="${_escapeXml(resultCase.name)}" time="${(resultCase.durationMs || 0) / 1000}"`;
+        if (resultCase.status === 'pass') {
+            lines.push(`${open}/>`);
+            continue;
+        }
+        const element = resultCase.status === 'error' ? 'error' : 'failure';
+        const body = resultCase.details.map(_detailToText).join('\n');
+        lines.push(`${open}>`);
+        lines.push(`      <${element} message="${_escapeXml(resultCase.message)}" type="${_escapeXml(resultCase.type)}">${_escapeXml(body)}</${element}>`);
+        lines.push('    </testcase>');
+    }
+    lines.push('  </testsuite>');
+    lines.push('</testsuites>');
+    return lines.join('\n');
+}
+
+/**
+ * Runs the CLI.
+ * @param {string[]} argv - The arguments after the script name.
+ * @returns {Promise<number>} The exit code.
+ */
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return EXIT_CODES.USAGE;
+    }
+    const { command, positionals, options } = parsed;
+    if (options.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return EXIT_CODES.MATCH;
+    }
+    if (!COMMANDS[command]) {
+        process.stderr.write(`${command ? `Unknown command '${command}'.` : 'No command given.'}\n\n${USAGE}\n`);
+        return EXIT_CODES.USAGE;
+    }
+
+    _configureLogging(options.verbose);
+    let cases;
+    try {
+        cases = await COMMANDS[command](positionals, options);
+    } catch (error) {
+        if (error.usage) {
+            process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+            return EXIT_CODES.USAGE;
+        }
+        cases = [{ name: command, status: 'error', type: 'ERROR', message: error.message, details: [] }];
+    }
+
+    if (options.format === 'json') {
+        process.stdout.write(`${formatJson(command, cases)}\n`);
+    } else if (options.format === 'junit') {
+        process.stdout.write(`${formatJunit(command, cases)}\n`);
+    } else {
+        process.stdout.write(`${formatHuman(command, cases, options.verbose)}\n`);
+    }
+    return getExitCode(cases);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((exitCode) => {
+        process.exitCode = exitCode;
+    });
+}
+
+module.exports = {
+    main,
+    parseArgs,
+    getExitCode,
+    formatHuman,
+    formatJson,
+    formatJunit,
+    EXIT_CODES,
+};